@@ -0,0 +1,720 @@
+/**
+ * MACRA BARCODE SCANNER v1.0
+ * ══════════════════════════════════════════════════════════════
+ *
+ * Scan the EAN/UPC barcode on a packaged food, look the product up and
+ * log it with a chosen serving size. Sits next to the 📸 photo scanner.
+ *
+ * DECODING:
+ * ─────────
+ * BarcodeDetector (Chrome/Android) when the browser has it, otherwise a
+ * small scanline decoder for EAN-13, UPC-A and EAN-8 that reads a few
+ * rows of each camera frame and needs the same code twice in a row.
+ * The number can always be typed in. Codes are stored as GTIN-13
+ * (UPC-A gets a leading 0) or EAN-8.
+ *
+ * PRODUCT DATABASES:
+ * ──────────────────
+ * Adapters are asked in the order they were registered:
+ *   dump - products imported from an Open Food Facts-style dump (offline)
+ *   usda - USDA FoodData Central Branded foods, matched on gtinUpc
+ *          (needs the USDA key from AI settings)
+ * registerAdapter({ id, label, available?, lookup(code) }) adds another;
+ * lookup resolves to a product or null, and throws when it couldn't ask.
+ *
+ *   product: { code, name, brand, per100g: { calories, protein, carbs, fat },
+ *              servings: [{ label, grams }], source, micronutrients?, fdcId? }
+ *   (micronutrients are per 100 g too)
+ *
+ * CACHE:
+ * ──────
+ * Every answer goes in the MacraDB 'products' store, so a product is
+ * only fetched once. Codes nobody knew are remembered for a day.
+ *
+ * @version 1.0.0
+ * @author MSG Headquarters / Aurelius Koda
+ */
+
+(function(window) {
+    'use strict';
+
+    const CACHE_STORE = 'products';
+    const DUMP_STORE = 'productDump';
+    const NOT_FOUND_TTL_MS = 24 * 60 * 60 * 1000;
+    const IMPORT_BATCH = 500;
+    const SCAN_INTERVAL_MS = 150;
+    const MACROS = ['calories', 'protein', 'carbs', 'fat'];
+
+    const adapters = [];
+    let scanner = null;
+
+    // ═══════════════════════════════════════════════════════════════
+    // GTIN
+    // ═══════════════════════════════════════════════════════════════
+
+    function hasValidCheckDigit(digits) {
+        const body = digits.slice(0, -1);
+        let sum = 0;
+        for (let i = 0; i < body.length; i++) {
+            // Weights alternate 3, 1, 3... from the digit next to the check digit
+            sum += Number(body[body.length - 1 - i]) * (i % 2 === 0 ? 3 : 1);
+        }
+        return (10 - (sum % 10)) % 10 === Number(digits[digits.length - 1]);
+    }
+
+    /**
+     * UPC-E (8 digits, number system 0/1) to the UPC-A it abbreviates
+     */
+    function expandUPCE(code) {
+        const [system, d1, d2, d3, d4, d5, last, check] = code;
+        let middle;
+        if (last <= '2') middle = `${d1}${d2}${last}0000${d3}${d4}${d5}`;
+        else if (last === '3') middle = `${d1}${d2}${d3}00000${d4}${d5}`;
+        else if (last === '4') middle = `${d1}${d2}${d3}${d4}00000${d5}`;
+        else middle = `${d1}${d2}${d3}${d4}${d5}0000${last}`;
+        return `${system}${middle}${check}`;
+    }
+
+    /**
+     * Canonical key for a scanned or typed code
+     * @param {string} raw - Digits (spaces and dashes are ignored)
+     * @param {string} format - BarcodeDetector format, if known
+     * @returns {string|null} - GTIN-13 or EAN-8, null when not a valid code
+     */
+    function normalizeCode(raw, format) {
+        let digits = String(raw || '').replace(/\D/g, '');
+        if (format === 'upc_e' && digits.length === 8) digits = expandUPCE(digits);
+        if (digits.length === 14 && digits[0] === '0') digits = digits.slice(1);
+        if (digits.length === 12) digits = '0' + digits;
+        if (digits.length !== 13 && digits.length !== 8) return null;
+        return hasValidCheckDigit(digits) ? digits : null;
+    }
+
+    // USDA stores gtinUpc with or without leading zeros
+    function sameGTIN(a, b) {
+        return String(a || '').replace(/\D/g, '').replace(/^0+/, '') === String(b || '').replace(/\D/g, '').replace(/^0+/, '');
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // SCANLINE DECODER
+    // ═══════════════════════════════════════════════════════════════
+
+    // Bar/space widths (in modules) of each digit's L code. G codes are
+    // the same widths reversed; R codes the same widths in colour-flipped order.
+    const DIGIT_WIDTHS = [
+        [3, 2, 1, 1], [2, 2, 2, 1], [2, 1, 2, 2], [1, 4, 1, 1], [1, 1, 3, 2],
+        [1, 2, 3, 1], [1, 1, 1, 4], [1, 3, 1, 2], [1, 2, 1, 3], [3, 1, 1, 2]
+    ];
+
+    // EAN-13 first digit, from the L/G parity of the left six digits
+    const FIRST_DIGIT_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+    const MAX_DIGIT_ERROR = 1.6;
+
+    function matchDigit(widths, withParity) {
+        const total = widths.reduce((sum, w) => sum + w, 0);
+        const scaled = widths.map(w => w * 7 / total);
+        let best = null;
+        DIGIT_WIDTHS.forEach((pattern, digit) => {
+            const candidates = withParity ? [['L', pattern], ['G', [...pattern].reverse()]] : [['L', pattern]];
+            candidates.forEach(([parity, p]) => {
+                const error = scaled.reduce((sum, w, i) => sum + Math.abs(w - p[i]), 0);
+                if (!best || error < best.error) best = { digit, parity, error };
+            });
+        });
+        return best && best.error <= MAX_DIGIT_ERROR ? best : null;
+    }
+
+    // Guard bars are one module each
+    function isGuard(runs, start, count, module) {
+        for (let i = start; i < start + count; i++) {
+            if (runs[i] < module * 0.5 || runs[i] > module * 1.5) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Try to read one code from runs[start...], where runs[start] is a bar
+     * @param {number} digitsPerSide - 6 for EAN-13/UPC-A, 4 for EAN-8
+     */
+    function decodeRuns(runs, start, digitsPerSide) {
+        const runCount = 3 + digitsPerSide * 4 + 5 + digitsPerSide * 4 + 3;
+        if (start + runCount > runs.length) return null;
+        let width = 0;
+        for (let i = start; i < start + runCount; i++) width += runs[i];
+        const module = width / (digitsPerSide * 14 + 11);
+        // Needs a quiet zone before the start guard
+        if (start > 0 && runs[start - 1] < module * 3) return null;
+        const middle = start + 3 + digitsPerSide * 4;
+        if (!isGuard(runs, start, 3, module) || !isGuard(runs, middle, 5, module) || !isGuard(runs, start + runCount - 3, 3, module)) return null;
+
+        let digits = '';
+        let parity = '';
+        for (let d = 0; d < digitsPerSide * 2; d++) {
+            const at = d < digitsPerSide ? start + 3 + d * 4 : middle + 5 + (d - digitsPerSide) * 4;
+            const match = matchDigit(runs.slice(at, at + 4), d < digitsPerSide && digitsPerSide === 6);
+            if (!match) return null;
+            digits += match.digit;
+            if (d < digitsPerSide) parity += match.parity;
+        }
+        if (digitsPerSide === 6) {
+            const first = FIRST_DIGIT_PARITY.indexOf(parity);
+            if (first < 0) return null;
+            digits = first + digits;
+        }
+        return hasValidCheckDigit(digits) ? digits : null;
+    }
+
+    /**
+     * Decode a row of luminance values (0-255)
+     * @returns {string|null} - EAN-13 (UPC-A has a leading 0) or EAN-8
+     */
+    function decodeRow(row) {
+        let min = 255, max = 0;
+        for (const value of row) { if (value < min) min = value; if (value > max) max = value; }
+        if (max - min < 40) return null;
+        const threshold = (min + max) / 2;
+
+        // Run lengths, starting with the first dark pixel
+        const runs = [];
+        let dark = true, length = 0, started = false;
+        for (const value of row) {
+            const isDark = value < threshold;
+            if (!started) { if (!isDark) continue; started = true; }
+            if (isDark === dark) { length++; } else { runs.push(length); dark = isDark; length = 1; }
+        }
+        if (length) runs.push(length);
+
+        // Upside-down labels read right to left
+        const reversed = runs.length % 2 === 0 ? runs.slice(0, -1).reverse() : [...runs].reverse();
+        for (const candidate of [runs, reversed]) {
+            for (let start = 0; start < candidate.length; start += 2) {
+                const code = decodeRuns(candidate, start, 6) || decodeRuns(candidate, start, 4);
+                if (code) return code;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Decode a frame: a few rows around the middle, where people aim
+     * @param {ImageData} image
+     */
+    function decodeImage(image) {
+        const { data, width, height } = image;
+        for (const fraction of [0.5, 0.42, 0.58, 0.34, 0.66]) {
+            const y = Math.floor(height * fraction);
+            const row = new Uint8ClampedArray(width);
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                row[x] = (data[i] * 299 + data[i + 1] * 587 + data[i + 2] * 114) / 1000;
+            }
+            const code = decodeRow(row);
+            if (code) return code;
+        }
+        return null;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // PRODUCT DATABASES
+    // ═══════════════════════════════════════════════════════════════
+
+    function registerAdapter(adapter) {
+        const existing = adapters.findIndex(a => a.id === adapter.id);
+        if (existing >= 0) adapters[existing] = adapter;
+        else adapters.push(adapter);
+    }
+
+    function hasDB() {
+        return typeof MacraDB !== 'undefined' && MacraDB.isSupported();
+    }
+
+    function round1(value) {
+        return Math.round((Number(value) || 0) * 10) / 10;
+    }
+
+    registerAdapter({
+        id: 'dump',
+        label: 'Imported products',
+        available: hasDB,
+        lookup: async code => (await MacraDB.get(DUMP_STORE, code)) || null
+    });
+
+    registerAdapter({
+        id: 'usda',
+        label: 'USDA Branded foods',
+        available: () => typeof searchUSDAFoods === 'function' && typeof getUSDASettings === 'function' && !!getUSDASettings(),
+        async lookup(code) {
+            // Full-text search matches gtinUpc; keep only exact code matches
+            const foods = await searchUSDAFoods(code.replace(/^0+/, ''), 10);
+            if (!foods) throw new Error('USDA search failed');
+            const food = foods.find(f => f.dataType === 'Branded' && sameGTIN(f.gtinUpc, code));
+            if (!food) return null;
+
+            // Branded search results give nutrients per 100 g
+            const nutrients = extractUSDANutrients(food);
+            const unit = String(food.servingSizeUnit || '').toLowerCase();
+            const servings = food.servingSize && ['g', 'grm', 'ml', 'mlt'].includes(unit)
+                ? [{ label: food.householdServingFullText ? `${food.householdServingFullText} (${round1(food.servingSize)} g)` : `${round1(food.servingSize)} g`, grams: food.servingSize }]
+                : [];
+            return {
+                code,
+                name: food.description,
+                brand: food.brandName || food.brandOwner || '',
+                per100g: { calories: nutrients.calories, protein: nutrients.protein, carbs: nutrients.carbs, fat: nutrients.fat },
+                servings,
+                micronutrients: nutrients.micronutrients,
+                fdcId: food.fdcId
+            };
+        }
+    });
+
+    /**
+     * Product for a code: cache first, then each adapter in order
+     * @param {Object} options - { refresh: skip the cache }
+     * @returns {Promise<Object|null>} - product, or null when nobody knows it
+     */
+    async function lookup(code, options = {}) {
+        if (hasDB() && !options.refresh) {
+            const cached = await MacraDB.get(CACHE_STORE, code).catch(() => null);
+            if (cached?.product) return cached.product;
+            if (cached?.notFound && Date.now() - cached.cachedAt < NOT_FOUND_TTL_MS) return null;
+        }
+
+        let unanswered = false;
+        for (const adapter of adapters) {
+            if (adapter.available && !adapter.available()) continue;
+            try {
+                const found = await adapter.lookup(code);
+                if (found) {
+                    const product = { ...found, code, source: found.source || adapter.id };
+                    if (hasDB()) await MacraDB.put(CACHE_STORE, { code, product, cachedAt: Date.now() }).catch(() => {});
+                    return product;
+                }
+            } catch (error) {
+                console.warn(`🏷️ ${adapter.label} lookup failed:`, error.message);
+                unanswered = true;
+            }
+        }
+        // Don't remember a miss that was really a failed request
+        if (hasDB() && !unanswered) await MacraDB.put(CACHE_STORE, { code, notFound: true, cachedAt: Date.now() }).catch(() => {});
+        return null;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // DUMP IMPORT
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * One Open Food Facts record to a product, or null without a valid
+     * code or any energy value
+     */
+    function productFromOFF(record) {
+        const code = normalizeCode(record.code || record._id);
+        const n = record.nutriments || {};
+        const kcal = n['energy-kcal_100g'] ?? (n.energy_100g != null ? n.energy_100g / 4.184 : null);
+        if (!code || kcal == null) return null;
+        const grams = parseFloat(record.serving_quantity);
+        return {
+            code,
+            name: record.product_name || record.generic_name || code,
+            brand: String(record.brands || '').split(',')[0].trim(),
+            per100g: {
+                calories: Math.round(kcal),
+                protein: round1(n.proteins_100g),
+                carbs: round1(n.carbohydrates_100g),
+                fat: round1(n.fat_100g)
+            },
+            servings: grams > 0 ? [{ label: record.serving_size || `${grams} g`, grams }] : [],
+            source: 'dump'
+        };
+    }
+
+    // JSON array, { products: [...] } or one JSON object per line
+    function parseDump(text) {
+        try {
+            const parsed = JSON.parse(text);
+            return Array.isArray(parsed) ? parsed : parsed.products || [parsed];
+        } catch (e) {
+            return text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+        }
+    }
+
+    /**
+     * Import a dump into the productDump store
+     * @returns {Promise<Object>} - { imported, skipped, total }
+     */
+    async function importDump(text) {
+        const products = parseDump(text).map(productFromOFF);
+        const valid = products.filter(Boolean);
+        let total = 0;
+        for (let i = 0; i < valid.length; i += IMPORT_BATCH) {
+            total = await MacraDB.putAll(DUMP_STORE, valid.slice(i, i + IMPORT_BATCH));
+        }
+        // Earlier misses may be in the dump now
+        const cached = await MacraDB.getAll(CACHE_STORE);
+        await Promise.all(cached.filter(entry => entry.notFound).map(entry => MacraDB.remove(CACHE_STORE, entry.code)));
+        return { imported: valid.length, skipped: products.length - valid.length, total: total || await MacraDB.count(DUMP_STORE) };
+    }
+
+    async function handleDumpFile(event) {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+        try {
+            showToast('🏷️ Importing products...');
+            const result = await importDump(await file.text());
+            showToast(`🏷️ Imported ${result.imported.toLocaleString()} products${result.skipped ? ` (${result.skipped} skipped)` : ''}`);
+        } catch (error) {
+            console.error('Product dump import failed:', error);
+            showToast('❌ Could not read that file: ' + error.message);
+        }
+        renderSettings();
+    }
+
+    async function clearCache() {
+        await MacraDB.clear(CACHE_STORE);
+        showToast('🗑️ Cleared cached barcode lookups');
+        renderSettings();
+    }
+
+    async function clearDump() {
+        if (!confirm('Remove every imported product?')) return;
+        await MacraDB.clear(DUMP_STORE);
+        showToast('🗑️ Removed imported products');
+        renderSettings();
+    }
+
+    async function renderSettings() {
+        const container = document.getElementById('barcodeSettings');
+        if (!container) return;
+        if (!hasDB()) {
+            container.innerHTML = `<div style="font-size: 13px; color: var(--white-50);">This browser can't store products offline.</div>`;
+            return;
+        }
+        const [imported, cached] = await Promise.all([MacraDB.count(DUMP_STORE), MacraDB.count(CACHE_STORE)]).catch(() => [0, 0]);
+        const usda = adapters.find(a => a.id === 'usda');
+        container.innerHTML = `
+            <div style="font-size: 13px; color: var(--white-50); margin-bottom: 12px;">
+                ${imported.toLocaleString()} imported product${imported === 1 ? '' : 's'} · ${cached.toLocaleString()} cached lookup${cached === 1 ? '' : 's'}<br>
+                USDA Branded lookups: ${usda?.available() ? '<span style="color: var(--prism-emerald);">on</span>' : 'off - add a USDA key in AI settings'}
+            </div>
+            <div style="display: flex; gap: 12px; flex-wrap: wrap;">
+                <button class="btn btn-ghost" onclick="document.getElementById('barcodeDumpInput').click()">📥 Import Product Dump</button>
+                <button class="btn btn-ghost" onclick="MacraBarcode.clearCache()">🗑️ Clear Lookups</button>
+                ${imported ? `<button class="btn btn-ghost" style="border-color: var(--prism-rose); color: var(--prism-rose);" onclick="MacraBarcode.clearDump()">Remove Imported</button>` : ''}
+            </div>
+            <input type="file" id="barcodeDumpInput" accept=".json,.jsonl,.ndjson" style="display:none;" onchange="MacraBarcode.handleDumpFile(event)">
+            <div style="font-size: 12px; color: var(--white-30); margin-top: 8px;">Open Food Facts JSON or JSONL export.</div>
+        `;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // SCANNER
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Open the scanner modal
+     * @param {Object} options - { onLog(result, code) } gets a food result
+     *                           for processUnifiedResult()
+     */
+    function openScanner(options = {}) {
+        closeScanner();
+        scanner = { onLog: options.onLog, stream: null, timer: null, detector: null, lastRead: null, product: null };
+
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+        modal.id = 'barcodeModal';
+        modal.innerHTML = `
+            <div class="modal-content" style="max-width:420px;">
+                <div class="modal-header">
+                    <h3>🏷️ Scan Barcode</h3>
+                    <button class="modal-close" onclick="MacraBarcode.closeScanner()">×</button>
+                </div>
+                <div id="barcodeCamera" style="position:relative;border-radius:12px;overflow:hidden;background:var(--onyx);aspect-ratio:4/3;margin-bottom:12px;">
+                    <video id="barcodeVideo" playsinline muted style="width:100%;height:100%;object-fit:cover;"></video>
+                    <div style="position:absolute;left:10%;right:10%;top:50%;height:2px;background:var(--prism-rose);opacity:0.7;"></div>
+                </div>
+                <div id="barcodeStatus" style="font-size:13px;color:var(--white-50);margin-bottom:12px;">Starting camera...</div>
+                <div style="display:flex;gap:8px;margin-bottom:12px;">
+                    <input type="text" inputmode="numeric" class="form-input" id="barcodeManual" placeholder="Or type the number" onkeydown="if(event.key==='Enter') MacraBarcode.submitManual()">
+                    <button class="btn btn-ghost" onclick="MacraBarcode.submitManual()">Look up</button>
+                </div>
+                <div id="barcodeProduct"></div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+        modal.onclick = (e) => { if (e.target === modal) closeScanner(); };
+        startCamera();
+    }
+
+    function setStatus(text) {
+        const el = document.getElementById('barcodeStatus');
+        if (el) el.textContent = text;
+    }
+
+    async function startCamera() {
+        const session = scanner;
+        const camera = document.getElementById('barcodeCamera');
+        if (!navigator.mediaDevices?.getUserMedia) {
+            if (camera) camera.style.display = 'none';
+            setStatus('No camera here - type the number under the barcode.');
+            return;
+        }
+        try {
+            const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' }, audio: false });
+            if (scanner !== session) { stream.getTracks().forEach(track => track.stop()); return; }
+            scanner.stream = stream;
+            const video = document.getElementById('barcodeVideo');
+            video.srcObject = stream;
+            await video.play();
+
+            if ('BarcodeDetector' in window) {
+                const supported = await BarcodeDetector.getSupportedFormats().catch(() => []);
+                const formats = ['ean_13', 'ean_8', 'upc_a', 'upc_e'].filter(f => supported.includes(f));
+                if (formats.length) scanner.detector = new BarcodeDetector({ formats });
+            }
+            setStatus('Point the camera at the barcode');
+            scanFrame();
+        } catch (error) {
+            console.warn('🏷️ Camera unavailable:', error.message);
+            if (camera) camera.style.display = 'none';
+            setStatus('Camera unavailable - type the number under the barcode.');
+        }
+    }
+
+    function stopCamera() {
+        if (!scanner) return;
+        clearTimeout(scanner.timer);
+        scanner.timer = null;
+        scanner.stream?.getTracks().forEach(track => track.stop());
+        scanner.stream = null;
+    }
+
+    async function scanFrame() {
+        const session = scanner;
+        if (!session?.stream) return;
+        const video = document.getElementById('barcodeVideo');
+        let code = null;
+        try {
+            if (video?.readyState >= 2) {
+                if (session.detector) {
+                    const [barcode] = await session.detector.detect(video);
+                    if (barcode) code = normalizeCode(barcode.rawValue, barcode.format);
+                } else {
+                    const read = readFrame(video);
+                    // The scanline decoder wants the same answer twice
+                    code = read && read === session.lastRead ? read : null;
+                    session.lastRead = read;
+                }
+            }
+        } catch (error) {
+            console.warn('🏷️ Frame decode failed:', error.message);
+        }
+        if (scanner !== session || !session.stream) return;
+        if (code) {
+            stopCamera();
+            if (navigator.vibrate) navigator.vibrate(50);
+            showProduct(code);
+        } else {
+            session.timer = setTimeout(scanFrame, SCAN_INTERVAL_MS);
+        }
+    }
+
+    function readFrame(video) {
+        const width = Math.min(video.videoWidth, 640);
+        const height = Math.round(video.videoHeight * width / video.videoWidth);
+        if (!width || !height) return null;
+        const canvas = scanner.canvas || (scanner.canvas = document.createElement('canvas'));
+        canvas.width = width;
+        canvas.height = height;
+        const context = canvas.getContext('2d', { willReadFrequently: true });
+        context.drawImage(video, 0, 0, width, height);
+        return decodeImage(context.getImageData(0, 0, width, height));
+    }
+
+    function submitManual() {
+        const input = document.getElementById('barcodeManual');
+        const code = normalizeCode(input?.value);
+        if (!code) {
+            showToast('⚠️ That isn\'t a valid EAN/UPC number');
+            return;
+        }
+        stopCamera();
+        showProduct(code);
+    }
+
+    async function showProduct(code) {
+        const container = document.getElementById('barcodeProduct');
+        if (!container || !scanner) return;
+        const camera = document.getElementById('barcodeCamera');
+        if (camera) camera.style.display = 'none';
+        setStatus(`Barcode ${code}`);
+        container.innerHTML = `<div style="display:flex;align-items:center;gap:8px;color:var(--white-50);font-size:13px;"><span class="spinner"></span> Looking up product...</div>`;
+
+        const product = await lookup(code).catch(error => {
+            console.error('Barcode lookup error:', error);
+            return null;
+        });
+        if (!scanner || !document.getElementById('barcodeProduct')) return;
+        scanner.product = product;
+        scanner.code = code;
+
+        if (!product) {
+            container.innerHTML = `
+                <div style="padding:12px;background:var(--onyx);border-radius:8px;font-size:13px;color:var(--white-70);margin-bottom:12px;">
+                    No product found for <strong>${code}</strong>.
+                    <div style="color:var(--white-50);margin-top:4px;">Add a USDA key in AI settings or import a product dump in Settings, or log it by name instead.</div>
+                </div>
+                <div style="display:flex;gap:12px;">
+                    <button class="btn btn-ghost" style="flex:1;" onclick="MacraBarcode.closeScanner()">Close</button>
+                    <button class="btn btn-primary" style="flex:1;" onclick="MacraBarcode.scanAgain()">Scan again</button>
+                </div>
+            `;
+            return;
+        }
+
+        // Product text comes from third-party databases and dumps, so it
+        // is filled in with textContent below rather than in the markup
+        container.innerHTML = `
+            <div style="padding:12px;background:var(--onyx);border-radius:8px;margin-bottom:16px;">
+                <div style="font-weight:600;" id="barcodeProductName"></div>
+                <div style="font-size:12px;color:var(--white-50);" id="barcodeProductSource"></div>
+            </div>
+            <div style="display:flex;gap:8px;">
+                <div class="form-group" style="flex:2;">
+                    <label>Serving</label>
+                    <select class="form-input" id="barcodeServing" onchange="MacraBarcode.updatePreview()">
+                        <option value="custom">Custom (g)</option>
+                    </select>
+                </div>
+                <div class="form-group" style="flex:1;">
+                    <label>Servings</label>
+                    <input type="number" class="form-input" id="barcodeQuantity" value="1" min="0.25" step="0.25" oninput="MacraBarcode.updatePreview()">
+                </div>
+            </div>
+            <div class="form-group" id="barcodeGramsGroup" style="display:none;">
+                <label>Grams per serving</label>
+                <input type="number" class="form-input" id="barcodeGrams" value="100" min="1" oninput="MacraBarcode.updatePreview()">
+            </div>
+            <div id="barcodePreview" style="font-size:14px;margin-bottom:16px;"></div>
+            <div style="display:flex;gap:12px;">
+                <button class="btn btn-ghost" style="flex:1;" onclick="MacraBarcode.scanAgain()">Scan again</button>
+                <button class="btn btn-primary" style="flex:2;" onclick="MacraBarcode.logScanned()">🥗 Log</button>
+            </div>
+        `;
+        document.getElementById('barcodeProductName').textContent = product.name;
+        document.getElementById('barcodeProductSource').textContent =
+            `${product.brand ? product.brand + ' · ' : ''}${adapters.find(a => a.id === product.source)?.label || product.source}`;
+        const select = document.getElementById('barcodeServing');
+        servingOptions(product).forEach((serving, i) => select.add(new Option(serving.label, i), select.options.length - 1));
+        select.value = '0';
+        updatePreview();
+    }
+
+    function servingOptions(product) {
+        return [...(product.servings || []), { label: '100 g', grams: 100 }];
+    }
+
+    function macrosFor(product, grams) {
+        const macros = {};
+        MACROS.forEach(m => {
+            macros[m] = m === 'calories'
+                ? Math.round((product.per100g?.[m] || 0) * grams / 100)
+                : round1((product.per100g?.[m] || 0) * grams / 100);
+        });
+        return macros;
+    }
+
+    // Chosen serving and quantity from the form
+    function selection() {
+        const product = scanner?.product;
+        if (!product) return null;
+        const choice = document.getElementById('barcodeServing')?.value;
+        const custom = choice === 'custom';
+        const grams = parseFloat(document.getElementById('barcodeGrams')?.value) || 0;
+        const serving = custom ? { label: `${grams} g`, grams } : servingOptions(product)[parseInt(choice) || 0];
+        const quantity = parseFloat(document.getElementById('barcodeQuantity')?.value) || 0;
+        return { product, serving, quantity, custom };
+    }
+
+    function updatePreview() {
+        const chosen = selection();
+        if (!chosen) return;
+        const gramsGroup = document.getElementById('barcodeGramsGroup');
+        if (gramsGroup) gramsGroup.style.display = chosen.custom ? 'block' : 'none';
+        const macros = buildFoodResult(chosen.product, chosen.serving, chosen.quantity).data.totals;
+        const preview = document.getElementById('barcodePreview');
+        if (preview) {
+            preview.innerHTML = `<strong>${macros.calories}</strong> cal · ${macros.protein}g protein · ${macros.carbs}g carbs · ${macros.fat}g fat`;
+        }
+    }
+
+    /**
+     * Food result for processUnifiedResult(): one item per serving,
+     * totals for all of them
+     */
+    function buildFoodResult(product, serving, quantity) {
+        const item = {
+            name: product.name,
+            brand: product.brand || undefined,
+            ...macrosFor(product, serving.grams),
+            micronutrients: product.micronutrients && typeof MacraNutrients !== 'undefined'
+                ? MacraNutrients.scale(product.micronutrients, serving.grams / 100)
+                : undefined,
+            serving: serving.label,
+            grams: serving.grams,
+            barcode: product.code,
+            source: product.source,
+            fdcId: product.fdcId
+        };
+        const totals = {};
+        MACROS.forEach(m => { totals[m] = m === 'calories' ? Math.round(item[m] * quantity) : round1(item[m] * quantity); });
+        return { type: 'food', data: { items: [item], totals, servings: quantity } };
+    }
+
+    function logScanned() {
+        const chosen = selection();
+        if (!chosen || !(chosen.serving.grams > 0) || !(chosen.quantity > 0)) {
+            showToast('⚠️ Pick a serving size first');
+            return;
+        }
+        const result = buildFoodResult(chosen.product, chosen.serving, chosen.quantity);
+        const code = scanner.code;
+        const onLog = scanner.onLog;
+        closeScanner();
+        if (onLog) onLog(result, code);
+    }
+
+    function scanAgain() {
+        const camera = document.getElementById('barcodeCamera');
+        const container = document.getElementById('barcodeProduct');
+        if (container) container.innerHTML = '';
+        if (camera) camera.style.display = '';
+        if (scanner) {
+            scanner.product = null;
+            scanner.lastRead = null;
+        }
+        setStatus('Starting camera...');
+        startCamera();
+    }
+
+    function closeScanner() {
+        stopCamera();
+        scanner = null;
+        const modal = document.getElementById('barcodeModal');
+        if (modal) modal.remove();
+    }
+
+    window.MacraBarcode = {
+        normalizeCode, expandUPCE, decodeRow, decodeImage,
+        registerAdapter, lookup, productFromOFF, importDump, buildFoodResult,
+        openScanner, closeScanner, scanAgain, submitManual, updatePreview, logScanned,
+        renderSettings, handleDumpFile, clearCache, clearDump,
+        adapters,
+        version: '1.0.0'
+    };
+
+    console.log('🏷️ MACRA Barcode Scanner v1.0 loaded');
+
+})(window);
@@ -1,25 +1,75 @@
 /**
- * MACRA CRYPTO v2.1
+ * MACRA CRYPTO v3.2
  * ══════════════════════════════════════════════════════════════
- * 
- * Client-side encryption using Athlete Codes as the encryption key.
- * Data is encrypted BEFORE leaving the device, ensuring end-to-end
+ *
+ * Client-side encryption with a per-account data key. Data is
+ * encrypted BEFORE leaving the device, ensuring end-to-end
  * security even if the backend is compromised.
- * 
+ *
  * SECURITY MODEL:
  * ────────────────
- * 1. Your Athlete Code (MACRA-XXXX) is the encryption key
- * 2. Data is encrypted on your device before sending to server
- * 3. Server stores encrypted blobs - cannot read your data
- * 4. Only you (or those with your code) can decrypt
- * 
- * @version 2.1.0
+ * 1. A random 256-bit data key (DEK) encrypts everything
+ * 2. The DEK is stored only wrapped - once by your passphrase
+ *    (PBKDF2-SHA256) and once by a printable recovery key.
+ *    Until a passphrase is set (v3.2), ensureDataKey() creates the DEK
+ *    automatically and wraps it with the Athlete Code (a "provisional"
+ *    keyring) - the same protection as before v3.0, so data never
+ *    leaves the device in plaintext. The provisional keyring is synced,
+ *    so anyone with it and the Athlete Code can read that data.
+ *    Setting a passphrase issues a fresh DEK and retires the
+ *    provisional one (like rotateKey); only data written after that is
+ *    out of the Athlete Code's reach.
+ * 3. Server stores encrypted blobs + the wrapped keyring - cannot read your data
+ * 4. Once a passphrase is set, your Athlete Code is a social identifier only - sharing it
+ *    gives nobody access to your data
+ *
+ * ENVELOPES (see ENVELOPE_FORMATS):
+ * ──────────────────────────────────
+ * v3.0 - { _encrypted, version: '3.0', algorithm, keyId, iv, ciphertext }
+ * v2.1 - Legacy object, key derived from the Athlete Code + salt
+ * v1.0 - Legacy base64(iv ‖ ciphertext) string from macra-crypto-old.js
+ * Legacy formats are decrypt-only; reencrypt() upgrades them to v3.0.
+ * Athlete Code keys are cached per salt for the session (v3.1).
+ *
+ * ACCOUNT SYNC (v2.2):
+ * ─────────────────────
+ * prepareForSync/processFromSync (restored from the v1 design) wrap
+ * every activity, weight entry, workout template, recipe, custom program and
+ * settings object in its own envelope: { type, id, date, payload: <encrypted> }.
+ * Only the leaderboard numbers in `public` go up in plaintext.
+ *
+ * KEY ROTATION (v3.0):
+ * ─────────────────────
+ * rotateKey() issues a new DEK and recovery key, keeps the old DEK
+ * in the keyring's `retired` list (encrypted under the new one) so
+ * server-held payloads stay readable, and re-encrypts local stored
+ * blobs through the handlers registered with onKeyRotated().
+ *
+ * @version 3.2.0
  * @author MSG Headquarters / Aurelius Koda
  */
 
 (function(window) {
     'use strict';
 
+    const ENVELOPE_VERSION = '3.0';
+    const KEYRING_STORAGE_KEY = 'macra_keyring';
+    const DEVICE_KEY_ID = 'device';
+    // OWASP 2023 guidance for PBKDF2-SHA256
+    const PASSPHRASE_ITERATIONS = 600000;
+    // Recovery keys carry 160 random bits - stretching adds little
+    const RECOVERY_ITERATIONS = 100000;
+    // Same cost as the pre-v3.0 Athlete Code keys
+    const PROVISIONAL_ITERATIONS = 100000;
+    const RECOVERY_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    const MIN_PASSPHRASE_LENGTH = 10;
+
+    // Unlocked state - memory only, plus a non-extractable copy in MacraDB
+    let dataKey = null;          // { id, key }
+    let retiredKeys = {};        // keyId → CryptoKey
+    let ensuring = null;         // in-flight ensureDataKey()
+    const rotationHandlers = [];
+
     // Convert string to Uint8Array
     function str2ab(str) {
         const encoder = new TextEncoder();
@@ -52,14 +102,14 @@
         return bytes.buffer;
     }
 
-    // Derive encryption key from athlete code using PBKDF2
-    async function deriveKey(athleteCode, salt) {
+    // Derive encryption key from athlete code using PBKDF2 (legacy v2.1 envelopes)
+    async function pbkdf2AthleteKey(athleteCode, salt) {
         const normalizedCode = athleteCode.toUpperCase().replace(/\s/g, '');
-        
+
         const keyMaterial = await crypto.subtle.importKey(
             'raw', str2ab(normalizedCode), 'PBKDF2', false, ['deriveBits', 'deriveKey']
         );
-        
+
         return await crypto.subtle.deriveKey(
             { name: 'PBKDF2', salt: salt, iterations: 100000, hash: 'SHA-256' },
             keyMaterial,
@@ -72,32 +122,441 @@
     function generateSalt() { return crypto.getRandomValues(new Uint8Array(16)); }
     function generateIV() { return crypto.getRandomValues(new Uint8Array(12)); }
 
-    // Encrypt data using athlete code
-    async function encrypt(data, athleteCode) {
-        if (!athleteCode) {
-            console.warn('No athlete code provided, returning data unencrypted');
-            return data;
+    // ═══════════════════════════════════════════════════════════════
+    // DERIVED-KEY CACHE
+    // ═══════════════════════════════════════════════════════════════
+    //
+    // PBKDF2 runs 100,000 iterations - deriving once per salt and
+    // keeping the key for the session turns every later call with the
+    // same salt into a map lookup. Memory only; cleared by lock().
+
+    const keyCache = new Map();      // `${salt}|${code}` → Promise<CryptoKey>
+    const sessionSalt = generateSalt();
+
+    function cached(cacheKey, derive) {
+        if (!keyCache.has(cacheKey)) {
+            // Drop failed derivations so a retry can succeed
+            keyCache.set(cacheKey, derive().catch(error => {
+                keyCache.delete(cacheKey);
+                throw error;
+            }));
         }
-        
-        try {
-            const salt = generateSalt();
-            const iv = generateIV();
-            const key = await deriveKey(athleteCode, salt);
-            const plaintext = JSON.stringify(data);
-            
-            const ciphertext = await crypto.subtle.encrypt(
-                { name: 'AES-GCM', iv: iv, tagLength: 128 },
-                key,
-                str2ab(plaintext)
+        return keyCache.get(cacheKey);
+    }
+
+    /**
+     * Athlete Code key for a salt - defaults to this session's salt, so
+     * callers that just need "a key for this session" derive it once
+     * @param {string} athleteCode
+     * @param {Uint8Array} salt - Optional
+     */
+    function deriveKey(athleteCode, salt = sessionSalt) {
+        const normalizedCode = athleteCode.toUpperCase().replace(/\s/g, '');
+        return cached(bufferToBase64(salt) + '|' + normalizedCode, () => pbkdf2AthleteKey(athleteCode, salt));
+    }
+
+    // v1.0 (backups/macra-crypto-old.js): raw code, salt fixed per code
+    function deriveV1Key(athleteCode) {
+        const salt = str2ab('MACRA-SALT-V1-' + athleteCode.substring(0, 10));
+        return cached('v1|' + bufferToBase64(salt) + '|' + athleteCode, async () => {
+            const keyMaterial = await crypto.subtle.importKey('raw', str2ab(athleteCode), 'PBKDF2', false, ['deriveKey']);
+            return await crypto.subtle.deriveKey(
+                { name: 'PBKDF2', salt: salt, iterations: 100000, hash: 'SHA-256' },
+                keyMaterial,
+                { name: 'AES-GCM', length: 256 },
+                false,
+                ['decrypt']
             );
-            
+        });
+    }
+
+    function generateKeyId() {
+        return Array.from(crypto.getRandomValues(new Uint8Array(8)), b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    async function aesEncrypt(key, bytes) {
+        const iv = generateIV();
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv, tagLength: 128 }, key, bytes);
+        return { iv: bufferToBase64(iv), ciphertext: bufferToBase64(ciphertext) };
+    }
+
+    async function aesDecrypt(key, iv, ciphertext) {
+        return await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: new Uint8Array(base64ToBuffer(iv)), tagLength: 128 },
+            key,
+            base64ToBuffer(ciphertext)
+        );
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // KEYRING
+    // ═══════════════════════════════════════════════════════════════
+
+    function importDataKey(raw) {
+        return crypto.subtle.importKey('raw', raw, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+    }
+
+    async function deriveWrappingKey(secret, salt, iterations) {
+        const keyMaterial = await crypto.subtle.importKey('raw', str2ab(secret), 'PBKDF2', false, ['deriveKey']);
+        return await crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt: salt, iterations: iterations, hash: 'SHA-256' },
+            keyMaterial,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    // Encrypt the raw DEK under a passphrase / recovery key
+    async function wrapRaw(raw, secret, iterations) {
+        const salt = generateSalt();
+        const kek = await deriveWrappingKey(secret, salt, iterations);
+        const { iv, ciphertext } = await aesEncrypt(kek, raw);
+        return { kdf: 'PBKDF2-SHA256', iterations, salt: bufferToBase64(salt), iv, wrapped: ciphertext };
+    }
+
+    async function unwrapRaw(wrap, secret) {
+        const kek = await deriveWrappingKey(secret, new Uint8Array(base64ToBuffer(wrap.salt)), wrap.iterations);
+        return new Uint8Array(await aesDecrypt(kek, wrap.iv, wrap.wrapped));
+    }
+
+    // 20 random bytes → 32 base32 characters in groups of four
+    function generateRecoveryKey() {
+        const bytes = crypto.getRandomValues(new Uint8Array(20));
+        let bits = '';
+        bytes.forEach(b => { bits += b.toString(2).padStart(8, '0'); });
+        let key = '';
+        for (let i = 0; i < bits.length; i += 5) {
+            key += RECOVERY_ALPHABET[parseInt(bits.slice(i, i + 5), 2)];
+        }
+        return key.match(/.{4}/g).join('-');
+    }
+
+    function normalizeRecoveryKey(recoveryKey) {
+        return String(recoveryKey || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    }
+
+    function normalizeAthleteCode(athleteCode) {
+        return String(athleteCode || '').toUpperCase().replace(/\s/g, '');
+    }
+
+    function getKeyring() {
+        try {
+            return JSON.parse(localStorage.getItem(KEYRING_STORAGE_KEY) || 'null');
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function saveKeyring(keyring) {
+        localStorage.setItem(KEYRING_STORAGE_KEY, JSON.stringify(keyring));
+    }
+
+    // A keyring that only needs the passphrase flow (not provisional)
+    function passphraseKeyring() {
+        const keyring = getKeyring();
+        if (!keyring || keyring.provisional) throw new Error('Encryption is not set up yet');
+        return keyring;
+    }
+
+    /**
+     * Adopt a keyring from the server (new device, or rotated elsewhere).
+     * Locks this device if the active key changed.
+     * @returns {boolean} - true if the local keyring changed
+     */
+    function setKeyring(keyring) {
+        if (!keyring || !keyring.keyId) return false;
+        const current = getKeyring();
+        if (current) {
+            // ISO timestamps. A provisional keyring gives way to the one in the
+            // cloud; a passphrase keyring only to a newer passphrase keyring.
+            const newer = current.updatedAt < keyring.updatedAt;
+            const adopt = current.provisional ? (keyring.keyId !== current.keyId || newer) : (!keyring.provisional && newer);
+            if (!adopt) return false;
+        }
+        saveKeyring(keyring);
+        if (dataKey && dataKey.id !== keyring.keyId) lock();
+        return true;
+    }
+
+    // Build a keyring around a raw DEK; `retired` entries are old raw keys
+    async function buildKeyring(raw, keyId, passphrase, recoveryKey, retired) {
+        const dek = await importDataKey(raw);
+        const retiredEntries = [];
+        for (const old of retired) {
+            const { iv, ciphertext } = await aesEncrypt(dek, old.raw);
+            retiredEntries.push({ keyId: old.keyId, iv, wrapped: ciphertext });
+        }
+        return {
+            version: 1,
+            keyId: keyId,
+            updatedAt: new Date().toISOString(),
+            passphrase: await wrapRaw(raw, passphrase, PASSPHRASE_ITERATIONS),
+            recovery: await wrapRaw(raw, normalizeRecoveryKey(recoveryKey), RECOVERY_ITERATIONS),
+            retired: retiredEntries
+        };
+    }
+
+    // Raw bytes of the retired keys, decrypted with the current raw DEK
+    async function unwrapRetired(keyring, raw) {
+        const dek = await importDataKey(raw);
+        const result = [];
+        for (const entry of keyring.retired || []) {
+            result.push({ keyId: entry.keyId, raw: new Uint8Array(await aesDecrypt(dek, entry.iv, entry.wrapped)) });
+        }
+        return result;
+    }
+
+    async function activate(raw, keyring) {
+        const key = await importDataKey(raw);
+        const retired = {};
+        for (const old of await unwrapRetired(keyring, raw)) {
+            retired[old.keyId] = await importDataKey(old.raw);
+        }
+        dataKey = { id: keyring.keyId, key };
+        retiredKeys = retired;
+
+        // Remember this device - CryptoKeys are stored non-extractable
+        if (window.MacraDB && window.MacraDB.isSupported()) {
+            try {
+                await window.MacraDB.put('keys', { id: DEVICE_KEY_ID, keyId: keyring.keyId, key, retired });
+            } catch (e) {
+                console.warn('Could not remember data key on this device:', e);
+            }
+        }
+    }
+
+    /**
+     * Unlock the data key without user input while no passphrase is set:
+     * creates a provisional keyring wrapped with the Athlete Code, or
+     * unwraps the existing one. Passphrase keyrings still need unlock().
+     * @param {string} athleteCode
+     * @returns {boolean} - true if the data key is unlocked
+     */
+    function ensureDataKey(athleteCode) {
+        if (dataKey) return Promise.resolve(true);
+        if (!isSupported() || !normalizeAthleteCode(athleteCode)) return Promise.resolve(false);
+        // Concurrent callers must not each create a keyring
+        if (!ensuring) {
+            ensuring = unlockProvisional(normalizeAthleteCode(athleteCode)).finally(() => { ensuring = null; });
+        }
+        return ensuring;
+    }
+
+    async function unlockProvisional(secret) {
+        const keyring = getKeyring();
+        if (keyring && !keyring.provisional) return false;
+        if (!keyring) {
+            const raw = crypto.getRandomValues(new Uint8Array(32));
+            const next = {
+                version: 1,
+                keyId: generateKeyId(),
+                updatedAt: new Date().toISOString(),
+                provisional: await wrapRaw(raw, secret, PROVISIONAL_ITERATIONS),
+                retired: []
+            };
+            saveKeyring(next);
+            await activate(raw, next);
+            console.log('🔐 Provisional data key created, id', next.keyId);
+            return true;
+        }
+        try {
+            await activate(await unwrapRaw(keyring.provisional, secret), keyring);
+            return true;
+        } catch (e) {
+            console.warn('Provisional data key could not be unwrapped with this Athlete Code');
+            return false;
+        }
+    }
+
+    /**
+     * Protect the account keyring with a passphrase. Always starts a
+     * fresh data key: a provisional key has been synced under the
+     * Athlete Code, so it moves to `retired` (old payloads stay
+     * readable) and stored blobs are re-encrypted as in rotateKey().
+     * Returns the recovery key - it is never stored, so the caller must
+     * show it to the user.
+     * @param {string} passphrase
+     * @param {string} athleteCode - Unwraps a provisional keyring
+     * @returns {string} - Recovery key
+     */
+    async function createKeyring(passphrase, athleteCode) {
+        const current = getKeyring();
+        if (current && !current.provisional) throw new Error('Encryption is already set up for this account');
+        validatePassphrase(passphrase);
+
+        let retired = [];
+        if (current) {
+            let provisionalRaw;
+            try {
+                provisionalRaw = await unwrapRaw(current.provisional, normalizeAthleteCode(athleteCode));
+            } catch (e) {
+                throw new Error('Could not read the existing data key - check your Athlete Code');
+            }
+            retired = await unwrapRetired(current, provisionalRaw);
+            retired.push({ keyId: current.keyId, raw: provisionalRaw });
+        }
+        const raw = crypto.getRandomValues(new Uint8Array(32));
+        const recoveryKey = generateRecoveryKey();
+        const keyring = await buildKeyring(raw, generateKeyId(), passphrase, recoveryKey, retired);
+        saveKeyring(keyring);
+        await activate(raw, keyring);
+        console.log('🔐 Data key protected with a passphrase, id', keyring.keyId);
+        if (current) await runRotationHandlers();
+        return recoveryKey;
+    }
+
+    async function unlock(passphrase) {
+        const keyring = passphraseKeyring();
+        let raw;
+        try {
+            raw = await unwrapRaw(keyring.passphrase, passphrase);
+        } catch (e) {
+            throw new Error('Wrong passphrase');
+        }
+        await activate(raw, keyring);
+        return true;
+    }
+
+    /**
+     * Unlock with the recovery key and set a new passphrase
+     */
+    async function unlockWithRecoveryKey(recoveryKey, newPassphrase) {
+        const keyring = passphraseKeyring();
+        validatePassphrase(newPassphrase);
+        let raw;
+        try {
+            raw = await unwrapRaw(keyring.recovery, normalizeRecoveryKey(recoveryKey));
+        } catch (e) {
+            throw new Error('Recovery key not recognized');
+        }
+        keyring.passphrase = await wrapRaw(raw, newPassphrase, PASSPHRASE_ITERATIONS);
+        keyring.updatedAt = new Date().toISOString();
+        saveKeyring(keyring);
+        await activate(raw, keyring);
+        return true;
+    }
+
+    async function changePassphrase(currentPassphrase, newPassphrase) {
+        const keyring = passphraseKeyring();
+        validatePassphrase(newPassphrase);
+        let raw;
+        try {
+            raw = await unwrapRaw(keyring.passphrase, currentPassphrase);
+        } catch (e) {
+            throw new Error('Wrong passphrase');
+        }
+        keyring.passphrase = await wrapRaw(raw, newPassphrase, PASSPHRASE_ITERATIONS);
+        keyring.updatedAt = new Date().toISOString();
+        saveKeyring(keyring);
+        return true;
+    }
+
+    /**
+     * Replace the data key. Old keys move to `retired` so existing
+     * server-side payloads still decrypt; rotation handlers re-encrypt
+     * everything stored locally.
+     * @param {string} passphrase - Current passphrase (also wraps the new key)
+     * @returns {string} - New recovery key (the old one stops working)
+     */
+    async function rotateKey(passphrase) {
+        const keyring = passphraseKeyring();
+        let oldRaw;
+        try {
+            oldRaw = await unwrapRaw(keyring.passphrase, passphrase);
+        } catch (e) {
+            throw new Error('Wrong passphrase');
+        }
+
+        const retired = await unwrapRetired(keyring, oldRaw);
+        retired.push({ keyId: keyring.keyId, raw: oldRaw });
+
+        const raw = crypto.getRandomValues(new Uint8Array(32));
+        const recoveryKey = generateRecoveryKey();
+        const next = await buildKeyring(raw, generateKeyId(), passphrase, recoveryKey, retired);
+        saveKeyring(next);
+        await activate(raw, next);
+        console.log('🔐 Data key rotated:', keyring.keyId, '→', next.keyId);
+        await runRotationHandlers();
+        return recoveryKey;
+    }
+
+    async function runRotationHandlers() {
+        for (const handler of rotationHandlers) {
+            try {
+                await handler(reencrypt);
+            } catch (e) {
+                console.error('Key rotation handler failed:', e);
+            }
+        }
+    }
+
+    /**
+     * Register a re-encryption step for stored blobs. Called after
+     * rotation (and passphrase setup) with reencrypt(payload, legacyAthleteCode) → payload under the new key.
+     */
+    function onKeyRotated(handler) {
+        rotationHandlers.push(handler);
+    }
+
+    // Forget the unlocked key on this device
+    async function lock() {
+        dataKey = null;
+        retiredKeys = {};
+        keyCache.clear();
+        if (window.MacraDB && window.MacraDB.isSupported()) {
+            try { await window.MacraDB.remove('keys', DEVICE_KEY_ID); } catch (e) { /* nothing stored */ }
+        }
+    }
+
+    // Pick up a key this device unlocked in an earlier session
+    async function restoreSession() {
+        const keyring = getKeyring();
+        if (!keyring || !window.MacraDB || !window.MacraDB.isSupported()) return false;
+        try {
+            const stored = await window.MacraDB.get('keys', DEVICE_KEY_ID);
+            if (!stored || stored.keyId !== keyring.keyId) return false;
+            dataKey = { id: stored.keyId, key: stored.key };
+            retiredKeys = stored.retired || {};
+            return true;
+        } catch (e) {
+            console.warn('Could not restore data key:', e);
+            return false;
+        }
+    }
+
+    function validatePassphrase(passphrase) {
+        if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+            throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+        }
+    }
+
+    function isUnlocked() {
+        return !!dataKey;
+    }
+
+    function keyFor(keyId) {
+        if (dataKey && dataKey.id === keyId) return dataKey.key;
+        return retiredKeys[keyId] || null;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // ENCRYPT / DECRYPT
+    // ═══════════════════════════════════════════════════════════════
+
+    // Encrypt data with the unlocked data key (always the current format)
+    async function encrypt(data) {
+        if (!dataKey) throw new Error('Encryption is locked - unlock with your passphrase');
+
+        try {
+            const { iv, ciphertext } = await aesEncrypt(dataKey.key, str2ab(JSON.stringify(data)));
             return {
                 _encrypted: true,
-                version: '2.1',
+                version: ENVELOPE_VERSION,
                 algorithm: 'AES-256-GCM',
-                salt: bufferToBase64(salt),
-                iv: bufferToBase64(iv),
-                ciphertext: bufferToBase64(ciphertext),
+                keyId: dataKey.id,
+                iv: iv,
+                ciphertext: ciphertext,
                 timestamp: new Date().toISOString()
             };
         } catch (error) {
@@ -106,28 +565,240 @@
         }
     }
 
-    // Decrypt data using athlete code
-    async function decrypt(payload, athleteCode) {
-        if (!payload || !payload._encrypted) return payload;
-        if (!athleteCode) throw new Error('Athlete code required for decryption');
-        
+    // ═══════════════════════════════════════════════════════════════
+    // ENVELOPE FORMATS
+    // ═══════════════════════════════════════════════════════════════
+    //
+    // Every format we have ever written. Only ENVELOPE_VERSION is
+    // written; the rest are decrypt-only and reencrypt() upgrades them.
+    // New format: add an entry here and bump ENVELOPE_VERSION.
+
+    const ENVELOPE_FORMATS = {
+        // macra-crypto-old.js: base64(iv ‖ ciphertext) string
+        '1.0': {
+            matches: p => typeof p === 'string' && p.length >= 40 && /^[A-Za-z0-9+/]+={0,2}$/.test(p),
+            async decrypt(payload, athleteCode) {
+                if (!athleteCode) throw new Error('Athlete code required to read legacy data');
+                const combined = new Uint8Array(base64ToBuffer(payload));
+                const key = await deriveV1Key(athleteCode);
+                const plaintext = await crypto.subtle.decrypt(
+                    { name: 'AES-GCM', iv: combined.slice(0, 12), tagLength: 128 },
+                    key,
+                    combined.slice(12)
+                );
+                return JSON.parse(ab2str(plaintext));
+            }
+        },
+
+        // v2.1: object envelope, PBKDF2 key from the Athlete Code + per-payload salt
+        '2.1': {
+            matches: p => !!(p && p._encrypted && p.version === '2.1'),
+            async decrypt(payload, athleteCode) {
+                if (!athleteCode) throw new Error('Athlete code required to read legacy data');
+                const key = await deriveKey(athleteCode, new Uint8Array(base64ToBuffer(payload.salt)));
+                return JSON.parse(ab2str(await aesDecrypt(key, payload.iv, payload.ciphertext)));
+            }
+        },
+
+        // v3.0: account data key, identified by keyId
+        '3.0': {
+            matches: p => !!(p && p._encrypted && p.version === '3.0'),
+            async decrypt(payload) {
+                const key = keyFor(payload.keyId);
+                if (!key) {
+                    throw new Error(dataKey ? 'Data was encrypted with an unknown key' : 'Encryption is locked - unlock with your passphrase');
+                }
+                return JSON.parse(ab2str(await aesDecrypt(key, payload.iv, payload.ciphertext)));
+            }
+        }
+    };
+
+    /**
+     * Which envelope format a payload is in
+     * @returns {string|null} - Format version, or null for plaintext
+     */
+    function envelopeVersion(payload) {
+        // Check newest first - the string matcher is the loosest
+        const versions = Object.keys(ENVELOPE_FORMATS).sort().reverse();
+        return versions.find(v => ENVELOPE_FORMATS[v].matches(payload)) || null;
+    }
+
+    /**
+     * Decrypt any known envelope format; plaintext passes through.
+     * Base64 strings are only treated as v1.0 when a code is given.
+     * @param {Object|string} payload - Envelope
+     * @param {string} legacyAthleteCode - Only needed for v1.0 / v2.1 envelopes
+     */
+    async function decrypt(payload, legacyAthleteCode) {
+        let version = envelopeVersion(payload);
+        if (version === '1.0' && !legacyAthleteCode) version = null;
+        if (!version) return payload;
+
         try {
-            const salt = new Uint8Array(base64ToBuffer(payload.salt));
-            const iv = new Uint8Array(base64ToBuffer(payload.iv));
-            const ciphertext = base64ToBuffer(payload.ciphertext);
-            const key = await deriveKey(athleteCode, salt);
-            
-            const plaintext = await crypto.subtle.decrypt(
-                { name: 'AES-GCM', iv: iv, tagLength: 128 },
-                key,
-                ciphertext
-            );
-            
-            return JSON.parse(ab2str(plaintext));
+            return await ENVELOPE_FORMATS[version].decrypt(payload, legacyAthleteCode);
         } catch (error) {
-            console.error('Decryption error:', error);
-            throw new Error('Failed to decrypt data - wrong athlete code?');
+            console.error(`Decryption error (v${version}):`, error);
+            if (/locked|unknown key|required/.test(error.message)) throw error;
+            throw new Error(version === ENVELOPE_VERSION ? 'Failed to decrypt data' : 'Failed to decrypt data - wrong athlete code?');
+        }
+    }
+
+    /**
+     * Upgrade a payload to the current format and data key. Already
+     * current payloads are returned untouched; plaintext stays plaintext.
+     * @param {Object|string} payload - Envelope in any known format
+     * @param {string} legacyAthleteCode - For v1.0 / v2.1 envelopes
+     */
+    async function reencrypt(payload, legacyAthleteCode) {
+        const version = envelopeVersion(payload);
+        if (!version || (version === '1.0' && !legacyAthleteCode)) return payload;
+        if (version === ENVELOPE_VERSION && dataKey && payload.keyId === dataKey.id) return payload;
+        return await encrypt(await decrypt(payload, legacyAthleteCode));
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // ACCOUNT SYNC
+    // ═══════════════════════════════════════════════════════════════
+
+    const SYNC_FORMAT = 'macra-records-v1';
+    // Settings-style fields that sync as a single record each
+    const SINGLETON_RECORDS = ['goals', 'profile', 'stats', 'prs', 'trainingProgram', 'usdaChoices'];
+
+    function isEncryptedSync(syncData) {
+        return !!(syncData && syncData.format === SYNC_FORMAT && Array.isArray(syncData.records));
+    }
+
+    /**
+     * Build the /api/user/sync body - one encrypted envelope per record.
+     * The wrapped keyring rides along so other devices can unlock.
+     * @param {Object} appData - Local app data
+     * @returns {Object} - { format, encryption_version, keyring, public, records }
+     */
+    async function prepareForSync(appData) {
+        if (!dataKey) throw new Error('Encryption is locked - unlock with your passphrase');
+
+        const records = [];
+
+        for (const [date, activities] of Object.entries(appData.activities || {})) {
+            for (const activity of activities) {
+                records.push({
+                    type: 'activity',
+                    id: String(activity.id),
+                    date: date,
+                    payload: await encrypt(activity)
+                });
+            }
+        }
+
+        for (const entry of appData.weightHistory || []) {
+            records.push({
+                type: 'weight',
+                id: String(entry.timestamp),
+                payload: await encrypt(entry)
+            });
+        }
+
+        for (const template of appData.workoutTemplates || []) {
+            records.push({
+                type: 'template',
+                id: String(template.id),
+                payload: await encrypt(template)
+            });
+        }
+
+        for (const recipe of appData.recipes || []) {
+            records.push({
+                type: 'recipe',
+                id: String(recipe.id),
+                payload: await encrypt(recipe)
+            });
+        }
+
+        for (const program of appData.customPrograms || []) {
+            records.push({
+                type: 'program',
+                id: String(program.id),
+                payload: await encrypt(program)
+            });
+        }
+
+        for (const type of SINGLETON_RECORDS) {
+            if (!appData[type]) continue;
+            records.push({
+                type: type,
+                id: type,
+                payload: await encrypt(appData[type])
+            });
+        }
+
+        return {
+            format: SYNC_FORMAT,
+            encryption_version: ENVELOPE_VERSION,
+            encrypted_at: new Date().toISOString(),
+            keyring: getKeyring(),
+            // Leaderboard numbers only - everything else is in records
+            public: {
+                displayName: appData.profile?.name || 'Athlete',
+                streak: appData.stats?.streak || 0,
+                longestStreak: appData.stats?.longestStreak || 0,
+                points: appData.stats?.points || 0,
+                weeklyPoints: appData.stats?.weeklyPoints || 0,
+                lastActive: new Date().toISOString()
+            },
+            records: records
+        };
+    }
+
+    /**
+     * Turn a /api/user/data response back into the plaintext shape
+     * mergeCloudData() expects. Legacy plaintext responses pass through.
+     * @param {Object} syncData - Server response
+     * @param {string} legacyAthleteCode - For records written before v3.0
+     * @returns {Object} - { activities, weightHistory, workoutTemplates, recipes, customPrograms, goals, profile, stats, prs, trainingProgram, usdaChoices, decryptionFailed }
+     */
+    async function processFromSync(syncData, legacyAthleteCode) {
+        if (!isEncryptedSync(syncData)) return syncData;
+
+        const result = { activities: {}, weightHistory: [], workoutTemplates: [], recipes: [], customPrograms: [], decryptionFailed: 0 };
+        if (syncData.public) {
+            result.stats = {
+                streak: syncData.public.streak || 0,
+                longestStreak: syncData.public.longestStreak || 0,
+                points: syncData.public.points || 0,
+                weeklyPoints: syncData.public.weeklyPoints || 0
+            };
+        }
+
+        // Legacy records from one sync share a salt - the key cache
+        // derives it once for the whole batch
+        for (const record of syncData.records) {
+            let data;
+            try {
+                data = await decrypt(record.payload, legacyAthleteCode);
+            } catch (error) {
+                result.decryptionFailed++;
+                continue;
+            }
+
+            if (record.type === 'activity') {
+                (result.activities[record.date] = result.activities[record.date] || []).push(data);
+            } else if (record.type === 'weight') {
+                result.weightHistory.push(data);
+            } else if (record.type === 'template') {
+                result.workoutTemplates.push(data);
+            } else if (record.type === 'recipe') {
+                result.recipes.push(data);
+            } else if (record.type === 'program') {
+                result.customPrograms.push(data);
+            } else if (SINGLETON_RECORDS.includes(record.type)) {
+                result[record.type] = record.type === 'stats' ? { ...result.stats, ...data } : data;
+            }
+        }
+
+        if (result.decryptionFailed) {
+            console.error(`🔐 ${result.decryptionFailed}/${syncData.records.length} sync records could not be decrypted`);
         }
+        return result;
     }
 
     function isSupported() {
@@ -144,21 +815,30 @@
     window.macraDecrypt = decrypt;
 
     window.MacraCryptoAPI = {
+        // Resolves once a previously unlocked key is restored (or not) -
+        // macra-db.js has to be loaded first or there is nothing to restore from
+        ready: isSupported() ? restoreSession() : Promise.resolve(false),
         encrypt, decrypt, deriveKey, isSupported, validateAthleteCode,
-        version: '2.1.0',
+        reencrypt, envelopeVersion, prepareForSync, processFromSync, isEncryptedSync,
+        ensureDataKey, createKeyring, unlock, unlockWithRecoveryKey, changePassphrase, rotateKey,
+        onKeyRotated, lock, restoreSession, isUnlocked, getKeyring, setKeyring,
+        version: '3.2.0',
         status: function() {
+            const keyring = getKeyring();
             return {
                 supported: isSupported(),
                 version: this.version,
-                athleteCodeValid: validateAthleteCode(
-                    JSON.parse(localStorage.getItem('macra_auth') || '{}').athleteCode
-                )
+                // Provisional keyrings (Athlete Code wrap) still need a passphrase
+                keyringSetUp: !!keyring && !keyring.provisional,
+                provisional: !!(keyring && keyring.provisional),
+                unlocked: isUnlocked(),
+                keyId: keyring ? keyring.keyId : null
             };
         }
     };
 
     if (isSupported()) {
-        console.log('🔐 MACRA Crypto v2.1 initialized - Web Crypto API available');
+        console.log('🔐 MACRA Crypto v3.2 initialized - Web Crypto API available');
     } else {
         console.warn('⚠️ MACRA Crypto: Web Crypto API not available');
     }
@@ -0,0 +1,142 @@
+/**
+ * MACRA LOCAL DB v1.0
+ * ══════════════════════════════════════════════════════════════
+ *
+ * Minimal promise wrapper around IndexedDB for data that has to
+ * survive reloads and can't live in the single localStorage blob.
+ *
+ * STORES:
+ * ────────
+ * outbox      - Queued v2 workout API calls (see macra-outbox.js)
+ * keys        - This device's unlocked data key (non-extractable CryptoKey)
+ * mock        - Fixture tables for the in-browser mock backend (macra-mock-server.js)
+ * session     - The active v2 workout, saved on every change so it survives
+ *               a killed tab (macra-v2.js)
+ * products    - Barcode lookups, cached by GTIN (macra-barcode.js)
+ * productDump - Products imported from an Open Food Facts-style dump
+ *
+ * Adding a store: add it to STORES and bump DB_VERSION. Existing
+ * stores are never dropped on upgrade.
+ *
+ * @version 1.0.0
+ * @author MSG Headquarters / Aurelius Koda
+ */
+
+(function(window) {
+    'use strict';
+
+    const DB_NAME = 'macra-local';
+    const DB_VERSION = 5;
+
+    const STORES = {
+        outbox: { keyPath: 'id', autoIncrement: true },
+        keys: { keyPath: 'id' },
+        mock: { keyPath: 'collection' },
+        session: { keyPath: 'id' },
+        products: { keyPath: 'code' },
+        productDump: { keyPath: 'code' }
+    };
+
+    let dbPromise = null;
+
+    function isSupported() {
+        return typeof window.indexedDB !== 'undefined';
+    }
+
+    // Wrap an IDBRequest in a promise
+    function promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    function open() {
+        if (dbPromise) return dbPromise;
+        if (!isSupported()) return Promise.reject(new Error('IndexedDB not available'));
+
+        dbPromise = new Promise((resolve, reject) => {
+            const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                Object.entries(STORES).forEach(([name, options]) => {
+                    if (!db.objectStoreNames.contains(name)) {
+                        db.createObjectStore(name, options);
+                        console.log('[MACRA DB] Created store:', name);
+                    }
+                });
+            };
+
+            request.onsuccess = () => {
+                const db = request.result;
+                // Another tab upgraded the schema - drop our handle so it can proceed
+                db.onversionchange = () => {
+                    db.close();
+                    dbPromise = null;
+                };
+                resolve(db);
+            };
+
+            request.onerror = () => {
+                dbPromise = null;
+                reject(request.error);
+            };
+        });
+
+        return dbPromise;
+    }
+
+    // Run a single request against a store and resolve once the transaction commits
+    async function run(storeName, mode, fn) {
+        const db = await open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const store = tx.objectStore(storeName);
+            let result;
+            promisify(fn(store)).then(value => { result = value; }, reject);
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+
+    function get(storeName, key) {
+        return run(storeName, 'readonly', store => store.get(key));
+    }
+
+    function getAll(storeName) {
+        return run(storeName, 'readonly', store => store.getAll());
+    }
+
+    // Insert or replace - resolves to the record key
+    function put(storeName, value) {
+        return run(storeName, 'readwrite', store => store.put(value));
+    }
+
+    // Insert or replace many records in one transaction - resolves to the store's size
+    function putAll(storeName, values) {
+        return run(storeName, 'readwrite', store => {
+            values.forEach(value => store.put(value));
+            return store.count();
+        });
+    }
+
+    function count(storeName) {
+        return run(storeName, 'readonly', store => store.count());
+    }
+
+    function remove(storeName, key) {
+        return run(storeName, 'readwrite', store => store.delete(key));
+    }
+
+    function clear(storeName) {
+        return run(storeName, 'readwrite', store => store.clear());
+    }
+
+    window.MacraDB = {
+        open, get, getAll, put, putAll, count, remove, clear, isSupported,
+        version: '1.0.0'
+    };
+
+})(window);
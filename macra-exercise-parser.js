@@ -0,0 +1,411 @@
+/**
+ * MACRA EXERCISE PARSER v1.1
+ * ══════════════════════════════════════════════════════════════
+ *
+ * Offline parser for typed lifts, used when the AI parse endpoint
+ * can't be reached (or returns no numbers). Replaces the three
+ * regexes of parseExerciseBasic.
+ *
+ * PIPELINE:
+ * ─────────
+ * tokenize()  → numbers, words and symbols ("135x10" → 135 · x · 10)
+ * classify()  → numbers take the word after them ("100kg", "60s",
+ *               "2 rir", "3 sets"); keywords become markers
+ * parseClause → one comma-separated clause → { name, sets, reps,
+ *               weight, unit, rpe, rir, duration, bodyweight, perSide }
+ * parse()     → clauses without a name continue the previous exercise
+ *               ("bench 135x10, 155x8"), sets are expanded
+ *
+ * AMBIGUITIES (tools/test-exercise-parser.js has the full table):
+ * ──────────────────────────────────────────────────────────────
+ * a x b    → weight × reps when a > 10 or has a unit, else sets × reps
+ *            (sets × reps too when a weight is given elsewhere)
+ * a x b x c → weight × sets × reps
+ * 70s      → dumbbells (per side) for db/dumbbell/kb lifts or when the
+ *            clause already has reps, else a 70 second hold
+ * @ 8      → RPE when the clause has a weight elsewhere, else weight
+ *
+ * Set types ("warmup", "drop set") are stripped by extractSetType()
+ * in macra-v2.js before the text gets here.
+ *
+ * Needs macra-units.js loaded first (units go through MacraUnits).
+ * Run `node tools/test-exercise-parser.js` after changing the grammar.
+ *
+ * @version 1.1.0
+ * @author MSG Headquarters / Aurelius Koda
+ */
+
+(function(window) {
+    'use strict';
+
+    const SETS_REPS_MAX_SETS = 10;
+
+    const SECOND_WORDS = /^(?:s|secs?|seconds?)$/i;
+    const MINUTE_WORDS = /^(?:mins?|minutes?)$/i;
+    const REP_WORDS = /^(?:reps?|r)$/i;
+    const SET_WORDS = /^sets?$/i;
+    const BODYWEIGHT_WORDS = /^(?:bw|bodyweight|body-weight)$/i;
+    const PER_SIDE_WORDS = /^(?:ea|each)$/i;
+    const SIDE_WORDS = /^(?:side|hand|arm|leg)$/i;
+    // Dropped from the name: "3 sets of 10 at 135", "plank for 60s"
+    const FILLER_WORDS = /^(?:of|for|with|and|a|an|by)$/i;
+    // Lifts where "50s" means a pair of 50s
+    const DUMBBELL_NAME = /\b(?:db|dbs|dumbbells?|kb|kbs|kettlebells?)\b/i;
+
+    // ═══════════════════════════════════════════════════════════════
+    // TOKENIZER
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Split text into { type: 'num' | 'word' | 'sym', value, text }
+     * "1:30" is read as 90 seconds here so the colon never splits it
+     */
+    function tokenize(input) {
+        const tokens = [];
+        const rules = [
+            [/^\s+/, null],
+            [/^(\d+):([0-5]\d)(?!\d)/, m => ({ type: 'duration', value: parseInt(m[1]) * 60 + parseInt(m[2]), text: m[0] })],
+            [/^\d+(?:\.\d+)?|^\.\d+/, m => ({ type: 'num', value: parseFloat(m[0]), text: m[0] })],
+            // "kgx10" is kg · x · 10; only a glued x splits, so "box 20 x 10" keeps its x
+            [/^[a-z][a-z'-]*?(?=x\d)|^[a-z][a-z'-]*/i, m => ({ type: 'word', value: m[0].toLowerCase(), text: m[0] })],
+            [/^[@+,;×*#/]/, m => ({ type: 'sym', value: m[0] === '×' || m[0] === '*' ? 'x' : m[0], text: m[0] })],
+            [/^./, null]
+        ];
+
+        let rest = String(input || '');
+        while (rest) {
+            for (const [pattern, make] of rules) {
+                const match = rest.match(pattern);
+                if (!match) continue;
+                if (make) tokens.push(make(match));
+                rest = rest.slice(match[0].length);
+                break;
+            }
+        }
+        return tokens;
+    }
+
+    /**
+     * Fold the word after a number into it and turn keywords into
+     * markers. Output kinds:
+     *   num, weight (has unit), seconds ("60s" - hold or dumbbells),
+     *   duration, x, at, plus, bw, rpe, rir, reps, sets, side, sep, word
+     */
+    function classify(tokens) {
+        const out = [];
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+            const next = tokens[i + 1];
+            const nextWord = next?.type === 'word' ? next.value : null;
+
+            if (token.type === 'duration') {
+                out.push({ kind: 'duration', value: token.value });
+            } else if (token.type === 'num') {
+                const unit = nextWord ? MacraUnits.normalizeUnit(nextWord) : (next?.value === '#' ? 'lbs' : null);
+                if (unit) {
+                    out.push({ kind: 'weight', value: token.value, unit });
+                    i++;
+                } else if (nextWord && nextWord === 's') {
+                    out.push({ kind: 'seconds', value: token.value });
+                    i++;
+                } else if (nextWord && SECOND_WORDS.test(nextWord)) {
+                    out.push({ kind: 'duration', value: token.value });
+                    i++;
+                } else if (nextWord && MINUTE_WORDS.test(nextWord)) {
+                    out.push({ kind: 'duration', value: Math.round(token.value * 60) });
+                    i++;
+                } else if (nextWord && REP_WORDS.test(nextWord)) {
+                    out.push({ kind: 'num', value: token.value, role: 'reps' });
+                    i++;
+                } else if (nextWord && SET_WORDS.test(nextWord)) {
+                    out.push({ kind: 'num', value: token.value, role: 'sets' });
+                    i++;
+                } else if ((nextWord === 'rpe' || nextWord === 'rir') && tokens[i + 2]?.type !== 'num') {
+                    // "2 rir" - but in "5 rpe 8" the 5 belongs to what's before
+                    out.push({ kind: nextWord, value: token.value });
+                    i++;
+                } else {
+                    out.push({ kind: 'num', value: token.value });
+                }
+            } else if (token.type === 'sym') {
+                const kinds = { x: 'x', '@': 'at', '+': 'plus', ',': 'sep', ';': 'sep' };
+                if (token.value === '/' && nextWord && SIDE_WORDS.test(nextWord)) {
+                    out.push({ kind: 'side' });
+                    i++;
+                } else if (kinds[token.value]) {
+                    out.push({ kind: kinds[token.value] });
+                }
+            } else if (token.value === 'x') {
+                out.push({ kind: 'x' });
+            } else if (token.value === 'at') {
+                out.push({ kind: 'at' });
+            } else if (token.value === 'then') {
+                out.push({ kind: 'sep' });
+            } else if (BODYWEIGHT_WORDS.test(token.value)) {
+                out.push({ kind: 'bw' });
+            } else if (token.value === 'body' && nextWord === 'weight') {
+                out.push({ kind: 'bw' });
+                i++;
+            } else if (token.value === 'rpe' || token.value === 'rir') {
+                out.push({ kind: token.value });
+            } else if (PER_SIDE_WORDS.test(token.value)) {
+                out.push({ kind: 'side' });
+            } else if ((token.value === 'per' || token.value === 'a') && nextWord && SIDE_WORDS.test(nextWord)) {
+                out.push({ kind: 'side' });
+                i++;
+            } else if (REP_WORDS.test(token.value) || SET_WORDS.test(token.value) || FILLER_WORDS.test(token.value)) {
+                continue;
+            } else {
+                out.push({ kind: 'word', value: token.text });
+            }
+        }
+        return out;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // GRAMMAR
+    // ═══════════════════════════════════════════════════════════════
+
+    const isAmount = (t) => t && (t.kind === 'num' || t.kind === 'weight' || t.kind === 'seconds' || t.kind === 'duration');
+
+    /**
+     * One clause ("bench 135x10", "3x8 @ 185 squat") → fields. Numbers
+     * that need context (bare numbers, "a x b", "@ 8", "60s") are
+     * resolved once everything else in the clause is known.
+     */
+    function parseClause(tokens) {
+        const clause = { words: [], sets: null, reps: null, weight: null, unit: null, rpe: null, rir: null, duration: null, bodyweight: false, perSide: false };
+        const pending = { pairs: [], bare: [], seconds: [], secondsPairs: [], atNumbers: [] };
+
+        for (let i = 0; i < tokens.length; i++) {
+            const t = tokens[i];
+
+            // a x b [x c]
+            if (isAmount(t) && tokens[i + 1]?.kind === 'x' && isAmount(tokens[i + 2])) {
+                const chain = [t, tokens[i + 2]];
+                i += 2;
+                if (tokens[i + 1]?.kind === 'x' && isAmount(tokens[i + 2])) {
+                    chain.push(tokens[i + 2]);
+                    i += 2;
+                }
+                if (chain.length === 3) {
+                    setWeight(clause, chain[0]);
+                    clause.sets = chain[1].value;
+                    setRepsOrDuration(clause, chain[2]);
+                } else if (chain[1].kind === 'duration' || chain[1].kind === 'seconds') {
+                    clause.sets = chain[0].value;
+                    clause.duration = chain[1].value;
+                } else if (chain[0].kind === 'weight') {
+                    setWeight(clause, chain[0]);
+                    clause.reps = chain[1].value;
+                } else if (chain[0].kind === 'seconds') {
+                    // "25s x 12" (dumbbells) or "60s x 3" (holds) - needs the name
+                    pending.secondsPairs.push([chain[0].value, chain[1].value]);
+                } else if (chain[0].kind === 'duration') {
+                    clause.duration = chain[0].value;
+                    clause.sets = chain[1].value;
+                } else {
+                    pending.pairs.push([chain[0].value, chain[1].value]);
+                }
+                continue;
+            }
+
+            switch (t.kind) {
+                case 'at': {
+                    const target = tokens[i + 1];
+                    if (target?.kind === 'rpe' && target.value == null && tokens[i + 2]?.kind === 'num') {
+                        clause.rpe = tokens[i + 2].value;
+                        i += 2;
+                    } else if (target?.kind === 'weight') {
+                        setWeight(clause, target);
+                        i++;
+                    } else if (target?.kind === 'num') {
+                        pending.atNumbers.push(target.value);
+                        i++;
+                    }
+                    break;
+                }
+                case 'bw':
+                    clause.bodyweight = true;
+                    if (tokens[i + 1]?.kind === 'plus' && (tokens[i + 2]?.kind === 'num' || tokens[i + 2]?.kind === 'weight')) {
+                        setWeight(clause, tokens[i + 2]);
+                        i += 2;
+                    }
+                    break;
+                case 'rpe':
+                case 'rir':
+                    if (t.value != null) {
+                        clause[t.kind] = t.value;
+                    } else if (tokens[i + 1]?.kind === 'num') {
+                        clause[t.kind] = tokens[i + 1].value;
+                        i++;
+                    }
+                    break;
+                case 'weight':
+                    setWeight(clause, t);
+                    break;
+                case 'seconds':
+                    pending.seconds.push(t.value);
+                    break;
+                case 'duration':
+                    clause.duration = t.value;
+                    break;
+                case 'num':
+                    if (t.role === 'reps') clause.reps = t.value;
+                    else if (t.role === 'sets') clause.sets = t.value;
+                    else pending.bare.push(t.value);
+                    break;
+                case 'side':
+                    clause.perSide = true;
+                    break;
+                case 'word':
+                    clause.words.push(t.value);
+                    break;
+            }
+        }
+
+        resolvePending(clause, pending);
+        return clause;
+    }
+
+    function setWeight(clause, token) {
+        clause.weight = token.value;
+        if (token.unit) clause.unit = token.unit;
+    }
+
+    function setRepsOrDuration(clause, token) {
+        if (token.kind === 'duration' || token.kind === 'seconds') clause.duration = token.value;
+        else clause.reps = token.value;
+    }
+
+    function resolvePending(clause, pending) {
+        const name = clause.words.join(' ');
+
+        for (const [value, count] of pending.secondsPairs) {
+            if (DUMBBELL_NAME.test(name)) {
+                clause.weight = value;
+                clause.perSide = true;
+                clause.reps = count;
+            } else {
+                clause.duration = value;
+                clause.sets = count;
+            }
+        }
+
+        // "60s": dumbbells for db lifts or next to reps, else a timed hold
+        for (const value of pending.seconds) {
+            if (clause.weight == null && (DUMBBELL_NAME.test(name) || pending.pairs.length || clause.reps != null)) {
+                clause.weight = value;
+                clause.perSide = true;
+            } else if (clause.duration == null) {
+                clause.duration = value;
+            }
+        }
+
+        // "@ 8": RPE next to another weight, else the weight
+        const otherWeight = clause.weight != null || clause.bodyweight || pending.pairs.some(([a]) => a > SETS_REPS_MAX_SETS);
+        for (const value of pending.atNumbers) {
+            if (otherWeight && value <= 10 && clause.rpe == null) clause.rpe = value;
+            else if (clause.weight == null) clause.weight = value;
+        }
+
+        for (const [a, b] of pending.pairs) {
+            if (clause.weight != null || clause.bodyweight || a <= SETS_REPS_MAX_SETS) {
+                if (clause.sets == null) clause.sets = a;
+                else if (clause.weight == null) clause.weight = a;
+                clause.reps = b;
+            } else {
+                clause.weight = a;
+                clause.reps = b;
+            }
+        }
+
+        // Bare numbers fill what's still missing: "bench 135 3x10",
+        // "pushups 20", "bench 225 for 5", "3 sets of 10 at 135"
+        const bare = [...pending.bare];
+        if (clause.reps == null && clause.duration == null && bare.length) {
+            if (clause.weight == null && bare.length >= 2) clause.weight = bare.shift();
+            clause.reps = bare.shift();
+        }
+        if (clause.weight == null && bare.length) clause.weight = bare.shift();
+
+        if (clause.rir != null && clause.rpe == null) clause.rpe = Math.max(0, 10 - clause.rir);
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // PARSE
+    // ═══════════════════════════════════════════════════════════════
+
+    function splitClauses(tokens) {
+        const clauses = [[]];
+        tokens.forEach(t => t.kind === 'sep' ? clauses.push([]) : clauses[clauses.length - 1].push(t));
+        return clauses.filter(c => c.length);
+    }
+
+    /**
+     * Parse typed lifts
+     * @param {string} input - e.g. "bench 135x10, 155x8" or "pullups bw+25 3x5 rpe 8"
+     * @returns {Array} - [{ name, sets: [{ weight, reps, unit, rpe, rir, duration, bodyweight, perSide }] }]
+     *                    one set object per set; unit is null when none was typed.
+     *                    Empty when there's no exercise name or nothing to log.
+     */
+    function parse(input) {
+        const exercises = [];
+        let current = null;
+
+        for (const tokens of splitClauses(classify(tokenize(input)))) {
+            const clause = parseClause(tokens);
+            const hasNumbers = clause.reps != null || clause.duration != null || clause.weight != null;
+
+            if (clause.words.length) {
+                current = { name: clause.words.join(' '), sets: [], unit: null, perSide: false };
+                exercises.push(current);
+            }
+            if (!current || !hasNumbers) continue;
+
+            // Later clauses keep the unit and dumbbell-ness of earlier ones
+            current.unit = clause.unit || current.unit;
+            current.perSide = clause.perSide || current.perSide;
+            const count = Math.max(1, Math.min(50, parseInt(clause.sets) || 1));
+            for (let i = 0; i < count; i++) {
+                current.sets.push({
+                    weight: clause.weight || 0,
+                    reps: clause.reps || 0,
+                    unit: current.unit,
+                    rpe: clause.rpe,
+                    rir: clause.rir,
+                    duration: clause.duration,
+                    bodyweight: clause.bodyweight,
+                    perSide: current.perSide
+                });
+            }
+        }
+
+        return exercises
+            .filter(ex => ex.sets.length)
+            .map(ex => ({ name: ex.name, sets: ex.sets }));
+    }
+
+    /**
+     * Consecutive identical sets collapsed into { ...set, count } so a
+     * caller can log "3x5" as one call
+     */
+    function groupSets(sets) {
+        const groups = [];
+        for (const set of sets || []) {
+            const last = groups[groups.length - 1];
+            const same = last && Object.keys(set).every(key => set[key] === last[key]);
+            if (same) last.count++;
+            else groups.push({ ...set, count: 1 });
+        }
+        return groups;
+    }
+
+    window.MacraExerciseParser = {
+        parse, groupSets, tokenize,
+        version: '1.1.0'
+    };
+
+    console.log('🔤 MACRA Exercise Parser v1.1 loaded');
+
+})(window);
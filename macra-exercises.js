@@ -0,0 +1,378 @@
+/**
+ * MACRA EXERCISE CATALOG v1.0
+ * ══════════════════════════════════════════════════════════════
+ *
+ * Offline catalog of common lifts: a canonical id and name, equipment,
+ * primary/secondary muscles and the aliases people actually type.
+ * "Bench", "bench press", "BB bench" and "flat barbell bench press"
+ * all resolve to barbell-bench-press.
+ *
+ * KEYS:
+ * ─────
+ * appData.prs and appData.exerciseMemory are keyed by key(name): the
+ * catalog id when the name resolves, else the normalized name (the
+ * old normalizeExerciseName() key). Lookups go through recordKey(),
+ * which moves a record from its pre-catalog key on first use; the merge
+ * tool in Settings folds in whatever other spellings are left.
+ *
+ * MATCHING:
+ * ─────────
+ * Names and aliases are compared after lowercasing, expanding
+ * abbreviations (bb, db, kb, ohp, rdl...), dropping filler words
+ * ("flat", "standard") and plurals, and removing spaces - so
+ * "Pull-Ups", "pullups" and "pull up" are the same string.
+ *
+ * @version 1.0.0
+ * @author MSG Headquarters / Aurelius Koda
+ */
+
+(function(window) {
+    'use strict';
+
+    // Fine-grained muscles → the six groups the Fitness view charts
+    const MUSCLE_GROUPS = {
+        chest: 'chest',
+        lats: 'back', 'upper back': 'back', traps: 'back', 'lower back': 'back',
+        'front delts': 'shoulders', 'side delts': 'shoulders', 'rear delts': 'shoulders',
+        biceps: 'arms', triceps: 'arms', forearms: 'arms',
+        quads: 'legs', hamstrings: 'legs', glutes: 'legs', calves: 'legs', adductors: 'legs', 'hip flexors': 'legs',
+        abs: 'core', obliques: 'core'
+    };
+
+    const ABBREVIATIONS = {
+        bb: 'barbell', db: 'dumbbell', dbs: 'dumbbell', kb: 'kettlebell', kbs: 'kettlebell',
+        ohp: 'overhead press', rdl: 'romanian deadlift', rdls: 'romanian deadlift',
+        sldl: 'stiff leg deadlift', ghr: 'glute ham raise', bss: 'bulgarian split squat',
+        cgbp: 'close grip bench press', hspu: 'handstand push up', ez: 'ez bar', lat: 'lat',
+        'pec': 'pec', bw: '', bodyweight: ''
+    };
+
+    const FILLER_WORDS = new Set(['flat', 'standard', 'regular', 'normal', 'the', 'exercise', 'lift', 'lifts']);
+
+    // Plurals that don't end in a plain "s"
+    const PLURALS = { flies: 'fly', flyes: 'fly', flys: 'fly', calves: 'calf', presses: 'press', crunches: 'crunch', raises: 'raise' };
+
+    // [id, name, equipment, primary, secondary, aliases]
+    const CATALOG_ROWS = [
+        // Chest
+        ['barbell-bench-press', 'Barbell Bench Press', 'barbell', ['chest'], ['triceps', 'front delts'], ['bench', 'bench press', 'barbell bench', 'flat barbell bench press', 'bp']],
+        ['incline-barbell-bench-press', 'Incline Barbell Bench Press', 'barbell', ['chest'], ['front delts', 'triceps'], ['incline bench', 'incline bench press', 'incline barbell bench', 'incline press']],
+        ['decline-barbell-bench-press', 'Decline Barbell Bench Press', 'barbell', ['chest'], ['triceps'], ['decline bench', 'decline bench press']],
+        ['close-grip-bench-press', 'Close-Grip Bench Press', 'barbell', ['triceps'], ['chest', 'front delts'], ['close grip bench', 'cg bench', 'narrow grip bench press']],
+        ['dumbbell-bench-press', 'Dumbbell Bench Press', 'dumbbell', ['chest'], ['triceps', 'front delts'], ['dumbbell bench', 'dumbbell press', 'dumbbell chest press']],
+        ['incline-dumbbell-press', 'Incline Dumbbell Press', 'dumbbell', ['chest'], ['front delts', 'triceps'], ['incline dumbbell', 'incline dumbbell bench press', 'incline dumbbell bench']],
+        ['dumbbell-fly', 'Dumbbell Fly', 'dumbbell', ['chest'], ['front delts'], ['dumbbell flyes', 'chest fly', 'flyes', 'fly']],
+        ['cable-fly', 'Cable Fly', 'cable', ['chest'], ['front delts'], ['cable crossover', 'cable flyes', 'cable crossovers']],
+        ['machine-chest-press', 'Machine Chest Press', 'machine', ['chest'], ['triceps', 'front delts'], ['chest press', 'chest press machine']],
+        ['pec-deck', 'Pec Deck', 'machine', ['chest'], [], ['pec deck fly', 'machine fly', 'pec fly']],
+        ['push-up', 'Push-Up', 'bodyweight', ['chest'], ['triceps', 'front delts', 'abs'], ['pushup', 'press up']],
+        ['dip', 'Dip', 'bodyweight', ['chest', 'triceps'], ['front delts'], ['dips', 'chest dip', 'parallel bar dip', 'weighted dip']],
+
+        // Back
+        ['deadlift', 'Deadlift', 'barbell', ['hamstrings', 'glutes', 'lower back'], ['traps', 'forearms', 'quads'], ['conventional deadlift', 'barbell deadlift', 'dl']],
+        ['sumo-deadlift', 'Sumo Deadlift', 'barbell', ['glutes', 'adductors', 'quads'], ['hamstrings', 'lower back'], ['sumo', 'sumo dl']],
+        ['romanian-deadlift', 'Romanian Deadlift', 'barbell', ['hamstrings', 'glutes'], ['lower back'], ['barbell romanian deadlift']],
+        ['dumbbell-romanian-deadlift', 'Dumbbell Romanian Deadlift', 'dumbbell', ['hamstrings', 'glutes'], ['lower back'], []],
+        ['stiff-leg-deadlift', 'Stiff-Leg Deadlift', 'barbell', ['hamstrings'], ['glutes', 'lower back'], ['straight leg deadlift']],
+        ['trap-bar-deadlift', 'Trap Bar Deadlift', 'trap bar', ['quads', 'glutes', 'hamstrings'], ['traps', 'lower back'], ['hex bar deadlift', 'trap bar dl', 'hex bar dl']],
+        ['rack-pull', 'Rack Pull', 'barbell', ['lower back', 'traps'], ['glutes', 'hamstrings'], ['block pull']],
+        ['barbell-row', 'Barbell Row', 'barbell', ['upper back', 'lats'], ['biceps', 'rear delts'], ['bent over row', 'barbell bent over row', 'bent row', 'row', 'bb row']],
+        ['pendlay-row', 'Pendlay Row', 'barbell', ['upper back', 'lats'], ['biceps', 'lower back'], []],
+        ['dumbbell-row', 'Dumbbell Row', 'dumbbell', ['lats', 'upper back'], ['biceps', 'rear delts'], ['single arm dumbbell row', 'one arm dumbbell row', 'one arm row', 'single arm row']],
+        ['t-bar-row', 'T-Bar Row', 'machine', ['upper back', 'lats'], ['biceps'], ['tbar row', 't bar']],
+        ['seated-cable-row', 'Seated Cable Row', 'cable', ['upper back', 'lats'], ['biceps'], ['cable row', 'seated row', 'low row']],
+        ['chest-supported-row', 'Chest-Supported Row', 'machine', ['upper back'], ['lats', 'rear delts'], ['machine row', 'seal row', 'incline dumbbell row']],
+        ['pull-up', 'Pull-Up', 'bodyweight', ['lats'], ['biceps', 'upper back'], ['pullup', 'weighted pull up', 'wide grip pull up']],
+        ['chin-up', 'Chin-Up', 'bodyweight', ['lats', 'biceps'], ['upper back'], ['chinup', 'weighted chin up']],
+        ['lat-pulldown', 'Lat Pulldown', 'cable', ['lats'], ['biceps', 'upper back'], ['pulldown', 'lat pull down', 'wide grip pulldown', 'lat pull']],
+        ['straight-arm-pulldown', 'Straight-Arm Pulldown', 'cable', ['lats'], ['triceps'], ['straight arm pushdown', 'lat pushdown']],
+        ['face-pull', 'Face Pull', 'cable', ['rear delts'], ['upper back', 'traps'], ['facepull', 'rope face pull']],
+        ['barbell-shrug', 'Barbell Shrug', 'barbell', ['traps'], ['forearms'], ['shrug', 'barbell shrugs']],
+        ['dumbbell-shrug', 'Dumbbell Shrug', 'dumbbell', ['traps'], ['forearms'], []],
+        ['back-extension', 'Back Extension', 'bodyweight', ['lower back'], ['glutes', 'hamstrings'], ['hyperextension', 'hyper', '45 degree back extension']],
+        ['good-morning', 'Good Morning', 'barbell', ['hamstrings', 'lower back'], ['glutes'], []],
+
+        // Shoulders
+        ['overhead-press', 'Overhead Press', 'barbell', ['front delts'], ['triceps', 'side delts'], ['press', 'military press', 'standing press', 'barbell overhead press', 'shoulder press barbell', 'strict press']],
+        ['push-press', 'Push Press', 'barbell', ['front delts'], ['triceps', 'quads'], []],
+        ['seated-dumbbell-press', 'Seated Dumbbell Shoulder Press', 'dumbbell', ['front delts'], ['triceps', 'side delts'], ['dumbbell shoulder press', 'dumbbell overhead press', 'seated dumbbell shoulder press', 'shoulder press']],
+        ['arnold-press', 'Arnold Press', 'dumbbell', ['front delts', 'side delts'], ['triceps'], []],
+        ['machine-shoulder-press', 'Machine Shoulder Press', 'machine', ['front delts'], ['triceps'], ['shoulder press machine']],
+        ['lateral-raise', 'Lateral Raise', 'dumbbell', ['side delts'], ['traps'], ['side raise', 'dumbbell lateral raise', 'lat raise', 'side lateral raise']],
+        ['cable-lateral-raise', 'Cable Lateral Raise', 'cable', ['side delts'], [], []],
+        ['front-raise', 'Front Raise', 'dumbbell', ['front delts'], [], ['dumbbell front raise']],
+        ['rear-delt-fly', 'Rear Delt Fly', 'dumbbell', ['rear delts'], ['upper back'], ['reverse fly', 'rear delt raise', 'bent over raise', 'reverse pec deck']],
+        ['upright-row', 'Upright Row', 'barbell', ['side delts', 'traps'], ['biceps'], []],
+
+        // Arms
+        ['barbell-curl', 'Barbell Curl', 'barbell', ['biceps'], ['forearms'], ['curl', 'bicep curl', 'biceps curl', 'standing barbell curl']],
+        ['ez-bar-curl', 'EZ-Bar Curl', 'ez bar', ['biceps'], ['forearms'], ['ez curl']],
+        ['dumbbell-curl', 'Dumbbell Curl', 'dumbbell', ['biceps'], ['forearms'], ['dumbbell bicep curl', 'alternating dumbbell curl', 'alternating curl']],
+        ['hammer-curl', 'Hammer Curl', 'dumbbell', ['biceps', 'forearms'], [], ['dumbbell hammer curl', 'rope hammer curl']],
+        ['preacher-curl', 'Preacher Curl', 'ez bar', ['biceps'], [], ['ez bar preacher curl', 'machine preacher curl']],
+        ['incline-dumbbell-curl', 'Incline Dumbbell Curl', 'dumbbell', ['biceps'], [], ['incline curl']],
+        ['cable-curl', 'Cable Curl', 'cable', ['biceps'], ['forearms'], []],
+        ['concentration-curl', 'Concentration Curl', 'dumbbell', ['biceps'], [], []],
+        ['triceps-pushdown', 'Triceps Pushdown', 'cable', ['triceps'], [], ['tricep pushdown', 'pushdown', 'rope pushdown', 'cable pushdown', 'tricep rope pushdown', 'triceps extension cable']],
+        ['skull-crusher', 'Skull Crusher', 'ez bar', ['triceps'], [], ['lying triceps extension', 'skullcrusher', 'ez bar skull crusher']],
+        ['overhead-triceps-extension', 'Overhead Triceps Extension', 'dumbbell', ['triceps'], [], ['overhead tricep extension', 'tricep extension', 'triceps extension', 'french press']],
+        ['wrist-curl', 'Wrist Curl', 'dumbbell', ['forearms'], [], ['forearm curl']],
+
+        // Legs
+        ['back-squat', 'Back Squat', 'barbell', ['quads', 'glutes'], ['hamstrings', 'lower back', 'adductors'], ['squat', 'barbell squat', 'high bar squat', 'low bar squat', 'barbell back squat']],
+        ['front-squat', 'Front Squat', 'barbell', ['quads'], ['glutes', 'abs', 'upper back'], ['barbell front squat']],
+        ['goblet-squat', 'Goblet Squat', 'dumbbell', ['quads', 'glutes'], ['abs'], ['kettlebell goblet squat', 'dumbbell goblet squat']],
+        ['hack-squat', 'Hack Squat', 'machine', ['quads'], ['glutes'], ['machine hack squat']],
+        ['leg-press', 'Leg Press', 'machine', ['quads', 'glutes'], ['hamstrings'], ['45 degree leg press', 'sled leg press']],
+        ['bulgarian-split-squat', 'Bulgarian Split Squat', 'dumbbell', ['quads', 'glutes'], ['adductors'], ['split squat', 'rear foot elevated split squat', 'rfess']],
+        ['walking-lunge', 'Walking Lunge', 'dumbbell', ['quads', 'glutes'], ['hamstrings'], ['lunge', 'dumbbell lunge', 'walking lunges', 'reverse lunge']],
+        ['step-up', 'Step-Up', 'dumbbell', ['quads', 'glutes'], [], ['box step up', 'dumbbell step up']],
+        ['leg-extension', 'Leg Extension', 'machine', ['quads'], [], ['quad extension', 'leg extensions']],
+        ['lying-leg-curl', 'Lying Leg Curl', 'machine', ['hamstrings'], ['calves'], ['leg curl', 'hamstring curl', 'prone leg curl']],
+        ['seated-leg-curl', 'Seated Leg Curl', 'machine', ['hamstrings'], [], []],
+        ['nordic-curl', 'Nordic Curl', 'bodyweight', ['hamstrings'], [], ['nordic hamstring curl', 'nordics', 'glute ham raise']],
+        ['hip-thrust', 'Hip Thrust', 'barbell', ['glutes'], ['hamstrings'], ['barbell hip thrust', 'glute bridge', 'hip thrusts']],
+        ['standing-calf-raise', 'Standing Calf Raise', 'machine', ['calves'], [], ['calf raise', 'calf raises', 'standing calf']],
+        ['seated-calf-raise', 'Seated Calf Raise', 'machine', ['calves'], [], ['seated calf']],
+        ['hip-adduction', 'Hip Adduction', 'machine', ['adductors'], [], ['adductor machine', 'adduction']],
+        ['hip-abduction', 'Hip Abduction', 'machine', ['glutes'], [], ['abductor machine', 'abduction']],
+        ['kettlebell-swing', 'Kettlebell Swing', 'kettlebell', ['glutes', 'hamstrings'], ['lower back', 'abs'], ['swing', 'russian swing', 'kettlebell swings']],
+
+        // Core
+        ['plank', 'Plank', 'bodyweight', ['abs'], ['obliques'], ['front plank', 'forearm plank']],
+        ['side-plank', 'Side Plank', 'bodyweight', ['obliques'], ['abs'], []],
+        ['crunch', 'Crunch', 'bodyweight', ['abs'], [], ['crunches', 'ab crunch']],
+        ['cable-crunch', 'Cable Crunch', 'cable', ['abs'], [], ['kneeling cable crunch', 'rope crunch']],
+        ['sit-up', 'Sit-Up', 'bodyweight', ['abs'], ['hip flexors'], ['situp', 'decline sit up']],
+        ['hanging-leg-raise', 'Hanging Leg Raise', 'bodyweight', ['abs'], ['hip flexors'], ['leg raise', 'hanging knee raise', 'toes to bar']],
+        ['ab-wheel-rollout', 'Ab Wheel Rollout', 'ab wheel', ['abs'], ['lats'], ['ab wheel', 'ab rollout', 'rollout']],
+        ['russian-twist', 'Russian Twist', 'bodyweight', ['obliques'], ['abs'], []],
+        ['pallof-press', 'Pallof Press', 'cable', ['obliques', 'abs'], [], []],
+        ['farmers-carry', "Farmer's Carry", 'dumbbell', ['forearms', 'traps'], ['abs'], ['farmer carry', 'farmers walk', 'farmer walk', 'loaded carry']],
+        ['dead-hang', 'Dead Hang', 'bodyweight', ['forearms'], ['lats'], ['bar hang', 'hang']]
+    ];
+
+    const CATALOG = CATALOG_ROWS.map(([id, name, equipment, primary, secondary, aliases]) => ({
+        id, name, equipment, primary, secondary, aliases,
+        category: MUSCLE_GROUPS[primary[0]] || 'other'
+    }));
+
+    // ═══════════════════════════════════════════════════════════════
+    // RESOLUTION
+    // ═══════════════════════════════════════════════════════════════
+
+    // Same key the app used before the catalog (normalizeExerciseName)
+    function normalizeName(name) {
+        return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, ' ').replace(/\s+/g, ' ').trim();
+    }
+
+    function singular(word) {
+        if (PLURALS[word]) return PLURALS[word];
+        if (word.length >= 3 && word.endsWith('s') && !word.endsWith('ss') && !word.endsWith('us')) return word.slice(0, -1);
+        return word;
+    }
+
+    /**
+     * Comparison form: "Flat BB Bench-Presses" → "barbellbenchpress"
+     */
+    function matchForm(name) {
+        return normalizeName(name)
+            .split(' ')
+            .flatMap(word => (word in ABBREVIATIONS ? ABBREVIATIONS[word] : word).split(' '))
+            .filter(word => word && !FILLER_WORDS.has(word))
+            .map(singular)
+            .join('');
+    }
+
+    let index = null;
+    function getIndex() {
+        if (index) return index;
+        index = new Map();
+        CATALOG.forEach(entry => {
+            [entry.name, entry.id, ...entry.aliases].forEach(alias => {
+                const form = matchForm(alias);
+                if (form && !index.has(form)) index.set(form, entry);
+            });
+        });
+        return index;
+    }
+
+    /**
+     * @returns {Object|null} - Catalog entry { id, name, equipment, primary, secondary, aliases, category }
+     */
+    function resolve(name) {
+        if (!name) return null;
+        return getIndex().get(matchForm(name)) || null;
+    }
+
+    /**
+     * Storage key for PRs and exercise memory
+     */
+    function key(name) {
+        return resolve(name)?.id || normalizeName(name);
+    }
+
+    /**
+     * key() for a lookup in appData.prs / appData.exerciseMemory. A
+     * record still under the pre-catalog key ("bench press") is moved to
+     * the catalog key the first time it is used, so history carries on
+     * without running the merge below.
+     */
+    function recordKey(store, name) {
+        const canonical = key(name);
+        const legacy = normalizeName(name);
+        if (store && legacy !== canonical && !store[canonical] && store[legacy]) {
+            store[canonical] = store[legacy];
+            delete store[legacy];
+        }
+        return canonical;
+    }
+
+    function displayName(name) {
+        return resolve(name)?.name || name;
+    }
+
+    /**
+     * Chart groups (chest, back, shoulders, arms, legs, core) the
+     * exercise's primary muscles belong to - empty when unknown
+     */
+    function muscleGroups(name) {
+        const entry = resolve(name);
+        if (!entry) return [];
+        return [...new Set(entry.primary.map(muscle => MUSCLE_GROUPS[muscle]).filter(Boolean))];
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // MERGE TOOL
+    // ═══════════════════════════════════════════════════════════════
+    //
+    // Folds records stored under a pre-catalog key ("bench", "bb bench")
+    // into the record for the canonical key.
+
+    function getAppData() {
+        return typeof appData !== 'undefined' ? appData : null;
+    }
+
+    /**
+     * Keys in appData.prs / appData.exerciseMemory that aren't stored
+     * under key() of their name
+     * @returns {Array} - [{ key, name, prKeys: [...], memoryKeys: [...] }] one per canonical key
+     */
+    function findDuplicates() {
+        const data = getAppData();
+        if (!data) return [];
+        const groups = new Map();
+        const add = (store, storeKey, name) => {
+            const target = key(name || storeKey);
+            if (!groups.has(target)) groups.set(target, { key: target, name: displayName(name || storeKey), prKeys: [], memoryKeys: [] });
+            groups.get(target)[store].push(storeKey);
+        };
+        Object.entries(data.prs || {}).forEach(([prKey, pr]) => add('prKeys', prKey, pr?.displayName));
+        Object.entries(data.exerciseMemory || {}).forEach(([memoryKey, memory]) => add('memoryKeys', memoryKey, memory?.name));
+
+        return [...groups.values()].filter(group =>
+            group.prKeys.some(k => k !== group.key) || group.memoryKeys.some(k => k !== group.key));
+    }
+
+    function mergeMemory(records) {
+        const byRecency = [...records].sort((a, b) => (b.lastPerformed || '').localeCompare(a.lastPerformed || ''));
+        const latest = byRecency[0];
+        const merged = {
+            ...latest,
+            frequency: records.reduce((sum, m) => sum + (m.frequency || 0), 0),
+            history: records.flatMap(m => m.history || []),
+            followedBy: {}
+        };
+        records.forEach(m => Object.entries(m.followedBy || {}).forEach(([next, count]) => {
+            merged.followedBy[next] = (merged.followedBy[next] || 0) + count;
+        }));
+        return merged;
+    }
+
+    /**
+     * Merge every duplicate group into its canonical key
+     * @returns {Object} - { groups, prs, memory } - how many records were folded in
+     */
+    function mergeDuplicates() {
+        const data = getAppData();
+        const groups = findDuplicates();
+        const result = { groups: groups.length, prs: 0, memory: 0 };
+        if (!data || !groups.length) return result;
+
+        groups.forEach(group => {
+            if (group.prKeys.length) {
+                const records = group.prKeys.map(k => (typeof getPRRecord === 'function' ? getPRRecord(k) : data.prs[k]));
+                let merged = records.reduce((a, b) => (typeof mergePRRecords === 'function' ? mergePRRecords(a, b) : a));
+                if (typeof summarizePRHistory === 'function') merged = summarizePRHistory(group.name, merged.history);
+                group.prKeys.forEach(k => delete data.prs[k]);
+                data.prs[group.key] = { ...merged, displayName: group.name };
+                result.prs += group.prKeys.length - 1;
+            }
+            if (group.memoryKeys.length) {
+                const merged = mergeMemory(group.memoryKeys.map(k => data.exerciseMemory[k]));
+                group.memoryKeys.forEach(k => delete data.exerciseMemory[k]);
+                data.exerciseMemory[group.key] = { ...merged, name: group.name };
+                result.memory += group.memoryKeys.length - 1;
+            }
+        });
+
+        // "usually followed by" counts point at keys too
+        Object.values(data.exerciseMemory || {}).forEach(memory => {
+            if (!memory.followedBy) return;
+            const remapped = {};
+            Object.entries(memory.followedBy).forEach(([next, count]) => {
+                const target = data.exerciseMemory[next] ? next : key(next);
+                remapped[target] = (remapped[target] || 0) + count;
+            });
+            memory.followedBy = remapped;
+        });
+
+        if (typeof saveData === 'function') saveData();
+        console.log('🔗 Exercise records merged:', result);
+        return result;
+    }
+
+    function renderMergeSettings() {
+        const container = document.getElementById('exerciseCatalogSettings');
+        if (!container) return;
+
+        const groups = findDuplicates();
+        if (!groups.length) {
+            container.innerHTML = `<div style="font-size: 13px; color: var(--white-50);">✓ Every exercise is stored under one name (${CATALOG.length} exercises in the catalog).</div>`;
+            return;
+        }
+
+        container.innerHTML = `
+            <div style="font-size: 13px; color: var(--white-50); margin-bottom: 12px;">
+                These exercises are stored under more than one name. Merging combines their PR history and suggestions.
+            </div>
+            ${groups.slice(0, 8).map(group => `
+                <div style="font-size: 13px; margin-bottom: 6px;">
+                    <strong>${group.name}</strong>
+                    <span style="color: var(--white-50);">← ${[...new Set([...group.prKeys, ...group.memoryKeys])].filter(k => k !== group.key).join(', ')}</span>
+                </div>
+            `).join('')}
+            ${groups.length > 8 ? `<div style="font-size: 12px; color: var(--white-30); margin-bottom: 6px;">+${groups.length - 8} more</div>` : ''}
+            <button class="btn btn-primary" style="margin-top: 12px;" onclick="MacraExercises.mergeWithConfirm()">🔗 Merge ${groups.length} exercise${groups.length === 1 ? '' : 's'}</button>
+        `;
+    }
+
+    function mergeWithConfirm() {
+        const groups = findDuplicates();
+        if (!groups.length || !confirm(`Merge records for ${groups.length} exercise${groups.length === 1 ? '' : 's'}? This can't be undone.`)) return;
+        const result = mergeDuplicates();
+        showToast(`🔗 Merged ${result.groups} exercise${result.groups === 1 ? '' : 's'}`);
+        renderMergeSettings();
+        if (typeof renderPRs === 'function') renderPRs();
+    }
+
+    window.MacraExercises = {
+        resolve, key, recordKey, displayName, muscleGroups, normalizeName,
+        findDuplicates, mergeDuplicates, renderMergeSettings, mergeWithConfirm,
+        CATALOG, MUSCLE_GROUPS,
+        version: '1.0.0'
+    };
+
+    console.log(`📚 MACRA Exercise Catalog v1.0 loaded (${CATALOG.length} exercises)`);
+
+})(window);
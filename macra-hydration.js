@@ -0,0 +1,110 @@
+/**
+ * MACRA HYDRATION v1.0
+ * ══════════════════════════════════════════════════════════════
+ *
+ * Water as its own activity type instead of a zero-calorie food.
+ *
+ * STORAGE:
+ * ─────────
+ * { type: 'hydration', data: { amount: 16, unit: 'oz' } } - the amount
+ * as logged, in oz, ml, cups or glasses (litres are stored as ml).
+ * Totals are summed in ml and shown in the unit of the daily goal,
+ * appData.goals.water / appData.goals.waterUnit (default 64 oz).
+ *
+ * Water logged as food before this existed is converted by schema
+ * migration 4, which re-parses the entry's raw text with parse().
+ *
+ * @version 1.0.0
+ * @author MSG Headquarters / Aurelius Koda
+ */
+
+(function(window) {
+    'use strict';
+
+    const UNITS = {
+        oz: { label: 'oz', ml: 29.5735, quickAdd: [8, 16, 24] },
+        ml: { label: 'ml', ml: 1, quickAdd: [250, 500, 750] },
+        cup: { label: 'cup', plural: 'cups', ml: 240, quickAdd: [1, 2] },
+        glass: { label: 'glass', plural: 'glasses', ml: 240, quickAdd: [1, 2] }
+    };
+    const DEFAULT_GOAL = { amount: 64, unit: 'oz' };
+    const DEFAULT_UNIT = 'oz';
+
+    const UNIT_WORDS = [
+        [/^(?:fl\.?\s*)?(?:oz|ounces?)$/i, 'oz', 1],
+        [/^(?:ml|milliliters?|millilitres?)$/i, 'ml', 1],
+        [/^(?:l|liters?|litres?)$/i, 'ml', 1000],
+        [/^cups?$/i, 'cup', 1],
+        [/^glass(?:es)?$/i, 'glass', 1]
+    ];
+    const AMOUNT = '(\\d+(?:\\.\\d+)?|an?|one|two|three)';
+    const UNIT = '((?:fl\\.?\\s*)?oz|ounces?|ml|milliliters?|millilitres?|l|liters?|litres?|cups?|glass(?:es)?)';
+    // "16oz water", "2 glasses of water", "a glass of water", "water 500ml"
+    const WATER_PATTERNS = [
+        new RegExp(`^(?:drank\\s+)?${AMOUNT}?\\s*${UNIT}?\\s*(?:of\\s+)?water$`, 'i'),
+        new RegExp(`^water\\s+${AMOUNT}\\s*${UNIT}?$`, 'i')
+    ];
+    const AMOUNT_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3 };
+
+    /**
+     * Read a water entry from free text
+     * @returns {Object|null} - { amount, unit }, null when it isn't just water
+     */
+    function parse(text) {
+        const value = String(text || '').trim().replace(/[.!]+$/, '');
+        for (const pattern of WATER_PATTERNS) {
+            const match = value.match(pattern);
+            if (!match) continue;
+            const [, amountText, unitText] = match;
+            if (!amountText && !unitText) return null;
+            let amount = AMOUNT_WORDS[amountText?.toLowerCase()] ?? (parseFloat(amountText) || 1);
+            // A bare number is ounces, as the quick log always assumed
+            let unit = DEFAULT_UNIT;
+            if (unitText) {
+                const [, canonical, factor] = UNIT_WORDS.find(([re]) => re.test(unitText.trim()));
+                unit = canonical;
+                amount *= factor;
+            }
+            return { amount, unit };
+        }
+        return null;
+    }
+
+    function normalizeUnit(unit) {
+        return UNITS[unit] ? unit : DEFAULT_UNIT;
+    }
+
+    function toMl(entry) {
+        return (parseFloat(entry?.amount) || 0) * UNITS[normalizeUnit(entry?.unit)].ml;
+    }
+
+    function fromMl(ml, unit) {
+        const amount = ml / UNITS[normalizeUnit(unit)].ml;
+        return unit === 'ml' ? Math.round(amount) : Math.round(amount * 10) / 10;
+    }
+
+    function format(amount, unit) {
+        const info = UNITS[normalizeUnit(unit)];
+        return `${amount} ${amount === 1 || !info.plural ? info.label : info.plural}`;
+    }
+
+    // Daily goal from appData.goals
+    function goal(goals) {
+        const unit = UNITS[goals?.waterUnit] ? goals.waterUnit : DEFAULT_GOAL.unit;
+        const amount = parseFloat(goals?.water) || (unit === DEFAULT_GOAL.unit ? DEFAULT_GOAL.amount : fromMl(toMl(DEFAULT_GOAL), unit));
+        return { amount, unit, ml: toMl({ amount, unit }) };
+    }
+
+    function dayTotalMl(activities) {
+        return (activities || []).filter(a => a.type === 'hydration').reduce((sum, a) => sum + toMl(a.data), 0);
+    }
+
+    window.MacraHydration = {
+        parse, toMl, fromMl, format, goal, dayTotalMl, normalizeUnit,
+        UNITS, DEFAULT_GOAL,
+        version: '1.0.0'
+    };
+
+    console.log('💧 MACRA Hydration v1.0 loaded');
+
+})(window);
@@ -63,14 +63,15 @@ window.handleWorkoutSession = async function(exercises) {
                 ex.weight || 0,
                 ex.reps || 0,
                 ex.sets || 1,
-                ex.rpe || null
+                ex.rpe || null,
+                { unit: ex.unit }
             );
             
             // Also update local exercise memory for suggestions
             updateExerciseMemory(ex);
             
             successCount++;
-            console.log(`✓ Added: ${ex.name} ${ex.weight}lbs × ${ex.reps}`);
+            console.log(`✓ Added: ${ex.name} ${ex.weight}${ex.unit || 'lbs'} × ${ex.reps}`);
         } catch (error) {
             console.error('Failed to add exercise:', ex.name, error);
         }
@@ -122,14 +123,15 @@ function handleWorkoutSessionLegacy(exercises) {
  * Update exercise memory for suggestions (works with both systems)
  */
 function updateExerciseMemory(ex) {
-    const exKey = normalizeExerciseName(ex.name);
-    
     if (!appData.exerciseMemory) appData.exerciseMemory = {};
+    const exKey = MacraExercises.recordKey(appData.exerciseMemory, ex.name);
     if (!appData.exerciseMemory[exKey]) {
         appData.exerciseMemory[exKey] = { frequency: 0, history: [] };
     }
     
+    appData.exerciseMemory[exKey].name = MacraExercises.displayName(ex.name);
     appData.exerciseMemory[exKey].lastWeight = ex.weight;
+    appData.exerciseMemory[exKey].lastUnit = ex.unit;
     appData.exerciseMemory[exKey].lastReps = ex.reps;
     appData.exerciseMemory[exKey].lastSets = ex.sets;
     appData.exerciseMemory[exKey].frequency++;
@@ -137,7 +139,7 @@ function updateExerciseMemory(ex) {
     
     // Track exercise sequence for suggestions
     if (currentSession.lastExercise) {
-        const lastKey = normalizeExerciseName(currentSession.lastExercise.name);
+        const lastKey = MacraExercises.recordKey(appData.exerciseMemory, currentSession.lastExercise.name);
         if (!appData.exerciseMemory[lastKey].followedBy) {
             appData.exerciseMemory[lastKey].followedBy = {};
         }
@@ -169,9 +171,9 @@ window.processUnifiedResult = async function(result, rawInput) {
         // Just trigger the workout session handler
         await handleWorkoutSession(result.data.exercises);
         
-        // Still check for PRs
+        // Still check for PRs - session volume waits for finalize
         if (typeof checkForPRs === 'function') {
-            checkForPRs(result.data.exercises);
+            checkForPRs(result.data.exercises, { partial: true });
         }
         
         // Award points
@@ -0,0 +1,734 @@
+/**
+ * MACRA MOCK BACKEND v1.0
+ * ══════════════════════════════════════════════════════════════
+ *
+ * In-browser stand-in for the Railway backend so the app can be
+ * demoed, developed and tested with no network at all.
+ *
+ * HOW IT WORKS:
+ * ──────────────
+ * 1. Open the app with ?api=mock (remembered until ?api=default)
+ * 2. index.html points API_BASE at MOCK_API_BASE
+ * 3. This module wraps window.fetch and answers every request under
+ *    MOCK_API_BASE from fixture tables in IndexedDB (MacraDB 'mock')
+ * 4. Everything else goes to the real network untouched
+ *
+ * ROUTES:
+ * ────────
+ * /api/auth/*            signup, login, refresh, logout, forgot-password
+ * /api/user/sync|data    stores / returns the (encrypted) sync body as-is
+ * /api/v2/workout/*      active, start, exercise, set, finalize, cancel
+ * /api/v2/learning/*     predict-next, parse-exercise
+ * /api/ai/parse|photo    keyword parser over the food fixtures
+ * /api/users/*           following, discover, search, profile, follow,
+ *                        unfollow, privacy
+ *
+ * Demo login: demo@macra.app / macra-demo
+ * Console: MacraMock.reset(), .exportFixtures(), .importFixtures(json),
+ *          .setOffline(true) to exercise the offline outbox
+ *
+ * @version 1.0.0
+ * @author MSG Headquarters / Aurelius Koda
+ */
+
+(function(window) {
+    'use strict';
+
+    const STORE = 'mock';
+    const LATENCY_MS = 120;
+    const realFetch = window.fetch.bind(window);
+
+    let offline = false;
+
+    // ═══════════════════════════════════════════════════════════════
+    // FIXTURES
+    // ═══════════════════════════════════════════════════════════════
+
+    // Plain passwords here; seed() stores them as SHA-256 hex
+    const SEED = {
+        users: [
+            { id: 'user-demo', email: 'demo@macra.app', password: 'macra-demo', name: 'Demo Athlete', athleteCode: 'MACRA-DEMO01', tier: 'free', isPublic: true, bio: 'Testing everything offline', createdAt: '2026-01-05T12:00:00.000Z', stats: { workouts: 42, streak: 5 } },
+            { id: 'user-kai', email: 'kai@macra.app', password: 'macra-demo', name: 'Kai Nakamura', athleteCode: 'MACRA-KAI777', tier: 'pro', isPublic: true, bio: 'Powerlifting, 5/3/1 forever', createdAt: '2025-11-02T12:00:00.000Z', stats: { workouts: 188, streak: 21 } },
+            { id: 'user-rosa', email: 'rosa@macra.app', password: 'macra-demo', name: 'Rosa Delgado', athleteCode: 'MACRA-ROSA22', tier: 'free', isPublic: true, bio: 'Marathon training block', createdAt: '2025-12-14T12:00:00.000Z', stats: { workouts: 97, streak: 12 } },
+            { id: 'user-sam', email: 'sam@macra.app', password: 'macra-demo', name: 'Sam Okafor', athleteCode: 'MACRA-SAM404', tier: 'free', isPublic: false, bio: '', createdAt: '2026-02-20T12:00:00.000Z', stats: { workouts: 30, streak: 0 } },
+            { id: 'user-lee', email: 'lee@macra.app', password: 'macra-demo', name: 'Lee Park', athleteCode: 'MACRA-LEE808', tier: 'elite', isPublic: true, bio: 'PPL, 6 days a week', createdAt: '2025-09-30T12:00:00.000Z', stats: { workouts: 256, streak: 40 } }
+        ],
+        follows: [
+            { followerId: 'user-demo', followingId: 'user-kai', followed_at: '2026-02-01T12:00:00.000Z' }
+        ],
+        // Per-serving macros for the offline /api/ai/parse
+        foods: [
+            { name: 'Egg', aliases: ['eggs'], calories: 72, protein: 6, carbs: 0, fat: 5 },
+            { name: 'Toast', aliases: ['bread', 'slice of toast'], calories: 80, protein: 3, carbs: 14, fat: 1 },
+            { name: 'Banana', aliases: ['bananas'], calories: 105, protein: 1, carbs: 27, fat: 0 },
+            { name: 'Protein Shake', aliases: ['shake', 'protein'], calories: 160, protein: 30, carbs: 5, fat: 2 },
+            { name: 'Chicken Breast', aliases: ['chicken'], calories: 165, protein: 31, carbs: 0, fat: 4 },
+            { name: 'Salad', aliases: ['greens'], calories: 35, protein: 2, carbs: 7, fat: 0 },
+            { name: 'Ranch Dressing', aliases: ['ranch'], calories: 130, protein: 0, carbs: 2, fat: 14 },
+            { name: 'Rice', aliases: ['white rice', 'cup of rice'], calories: 205, protein: 4, carbs: 45, fat: 0 },
+            { name: 'Oatmeal', aliases: ['oats'], calories: 150, protein: 5, carbs: 27, fat: 3 },
+            { name: 'Greek Yogurt', aliases: ['yogurt'], calories: 100, protein: 17, carbs: 6, fat: 0 },
+            { name: 'Apple', aliases: ['apples'], calories: 95, protein: 0, carbs: 25, fat: 0 },
+            { name: 'Coffee', aliases: ['black coffee'], calories: 2, protein: 0, carbs: 0, fat: 0 }
+        ],
+        // exercise → next exercise → count, for predict-next
+        transitions: {
+            'bench press': { 'incline dumbbell press': 6, 'tricep pushdown': 3 },
+            'incline dumbbell press': { 'cable fly': 4, 'tricep pushdown': 2 },
+            'squat': { 'leg press': 5, 'romanian deadlift': 3 },
+            'deadlift': { 'barbell row': 4, 'pull up': 2 },
+            'overhead press': { 'lateral raise': 5 },
+            'pull up': { 'barbell row': 3, 'bicep curl': 2 }
+        },
+        sessions: [],
+        syncBlobs: [],
+        tokens: [],
+        idempotency: []
+    };
+
+    async function hashPassword(password) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode('macra-mock:' + password));
+        return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    async function seed() {
+        for (const [collection, rows] of Object.entries(SEED)) {
+            let data = JSON.parse(JSON.stringify(rows));
+            if (collection === 'users') {
+                for (const user of data) {
+                    user.passwordHash = await hashPassword(user.password);
+                    delete user.password;
+                }
+            }
+            await window.MacraDB.put(STORE, { collection, rows: data });
+        }
+        console.log('🧪 Mock fixtures seeded');
+    }
+
+    async function table(collection) {
+        let record = await window.MacraDB.get(STORE, collection);
+        if (!record) {
+            await seed();
+            record = await window.MacraDB.get(STORE, collection);
+        }
+        return record ? record.rows : [];
+    }
+
+    function saveTable(collection, rows) {
+        return window.MacraDB.put(STORE, { collection, rows });
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // HELPERS
+    // ═══════════════════════════════════════════════════════════════
+
+    function json(status, body) {
+        return new Response(JSON.stringify(body), {
+            status,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+
+    function uuid() {
+        return window.crypto.randomUUID ? window.crypto.randomUUID() : 'mock-' + Date.now() + '-' + Math.random().toString(16).slice(2);
+    }
+
+    function randomCode() {
+        const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+        const bytes = crypto.getRandomValues(new Uint8Array(6));
+        return 'MACRA-' + Array.from(bytes, b => chars[b % chars.length]).join('');
+    }
+
+    function titleCase(text) {
+        return text.toLowerCase().replace(/\b\w/g, c => c.toUpperCase());
+    }
+
+    function publicUser(user, extra = {}) {
+        return {
+            id: user.id,
+            name: user.name,
+            athleteCode: user.athleteCode,
+            avatar: (user.name || 'A').charAt(0).toUpperCase(),
+            bio: user.bio || '',
+            stats: user.stats || { workouts: 0, streak: 0 },
+            ...extra
+        };
+    }
+
+    // Request bodies may be v2 payloads encrypted on this device
+    async function readBody(init, user) {
+        if (!init || !init.body) return {};
+        let body = JSON.parse(init.body);
+        if (body && body._encrypted && typeof MacraCryptoAPI !== 'undefined') {
+            body = await MacraCryptoAPI.decrypt(body, user ? user.athleteCode : null);
+        }
+        return body || {};
+    }
+
+    async function authenticate(headers) {
+        const auth = headers.get('Authorization') || '';
+        const token = auth.replace(/^Bearer\s+/i, '');
+        if (!token) return null;
+        const tokens = await table('tokens');
+        const entry = tokens.find(t => t.token === token && t.kind === 'access');
+        if (!entry) return null;
+        return (await table('users')).find(u => u.id === entry.userId) || null;
+    }
+
+    async function issueTokens(userId) {
+        const tokens = await table('tokens');
+        const access = { token: 'mock-access.' + uuid(), userId, kind: 'access' };
+        const refresh = { token: 'mock-refresh.' + uuid(), userId, kind: 'refresh' };
+        // One live pair per user keeps the table small
+        const kept = tokens.filter(t => t.userId !== userId);
+        await saveTable('tokens', kept.concat(access, refresh));
+        return { token: access.token, refreshToken: refresh.token };
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // ROUTES
+    // ═══════════════════════════════════════════════════════════════
+
+    const routes = [];
+
+    function route(method, pattern, handler, options = {}) {
+        routes.push({ method, pattern, handler, auth: options.auth !== false });
+    }
+
+    // ── Auth ──
+
+    route('POST', /^\/api\/auth\/signup$/, async ({ body }) => {
+        const users = await table('users');
+        const email = (body.email || '').toLowerCase().trim();
+        if (!email || !body.password) return json(400, { error: 'Email and password are required' });
+        if (users.some(u => u.email === email)) return json(409, { error: 'An account with this email already exists' });
+
+        const user = {
+            id: 'user-' + uuid(),
+            email,
+            passwordHash: await hashPassword(body.password),
+            name: body.name || 'Athlete',
+            athleteCode: randomCode(),
+            tier: 'free',
+            isPublic: true,
+            bio: '',
+            createdAt: new Date().toISOString(),
+            stats: { workouts: 0, streak: 0 }
+        };
+        users.push(user);
+        await saveTable('users', users);
+        return json(201, { message: 'Account created', user: { id: user.id, email: user.email, name: user.name } });
+    }, { auth: false });
+
+    route('POST', /^\/api\/auth\/login$/, async ({ body }) => {
+        const users = await table('users');
+        const email = (body.email || '').toLowerCase().trim();
+        const user = users.find(u => u.email === email);
+        if (!user || user.passwordHash !== await hashPassword(body.password || '')) {
+            return json(401, { error: 'Invalid email or password' });
+        }
+        const tokens = await issueTokens(user.id);
+        return json(200, {
+            ...tokens,
+            user: { id: user.id, email: user.email, name: user.name, athleteCode: user.athleteCode, tier: user.tier }
+        });
+    }, { auth: false });
+
+    route('POST', /^\/api\/auth\/refresh$/, async ({ body }) => {
+        const entry = (await table('tokens')).find(t => t.token === body.refreshToken && t.kind === 'refresh');
+        if (!entry) return json(401, { error: 'Invalid refresh token' });
+        return json(200, await issueTokens(entry.userId));
+    }, { auth: false });
+
+    route('POST', /^\/api\/auth\/logout$/, async ({ user }) => {
+        const tokens = await table('tokens');
+        await saveTable('tokens', tokens.filter(t => t.userId !== user.id));
+        return json(200, { success: true });
+    });
+
+    route('POST', /^\/api\/auth\/forgot-password$/, async () => {
+        return json(200, { message: 'If that account exists, a reset link is on its way' });
+    }, { auth: false });
+
+    // ── Account sync ──
+
+    route('POST', /^\/api\/user\/sync$/, async ({ user, init }) => {
+        const blobs = await table('syncBlobs');
+        const kept = blobs.filter(b => b.userId !== user.id);
+        // Stored exactly as sent - the mock can't read encrypted records either
+        kept.push({ userId: user.id, data: JSON.parse(init.body || '{}'), updatedAt: new Date().toISOString() });
+        await saveTable('syncBlobs', kept);
+        return json(200, { success: true });
+    });
+
+    route('GET', /^\/api\/user\/data$/, async ({ user }) => {
+        const blob = (await table('syncBlobs')).find(b => b.userId === user.id);
+        return json(200, blob ? blob.data : {});
+    });
+
+    // ── v2 workouts ──
+
+    async function findActive(userId) {
+        const sessions = await table('sessions');
+        return { sessions, active: sessions.find(s => s.userId === userId && s.status === 'active') || null };
+    }
+
+    function clientSession(session) {
+        if (!session) return null;
+        const { userId, ...rest } = session;
+        return rest;
+    }
+
+    function sessionSummary(session) {
+        const exercises = session.exercises || [];
+        return {
+            total_exercises: exercises.length,
+            total_sets: exercises.reduce((sum, ex) => sum + ex.sets.length, 0),
+            // In lbs, whatever unit each set was logged in
+            total_volume: exercises.reduce((sum, ex) => sum + MacraUnits.volume(ex.sets
+                .filter(set => set.set_type !== 'warmup'), 'lbs'), 0),
+            exercises: exercises.map(ex => ({
+                name: ex.name,
+                category: ex.category,
+                group_id: ex.group_id || null,
+                sets: ex.sets.map(s => ({ weight: s.weight, reps: s.reps, rpe: s.rpe, rest: s.rest, set_type: s.set_type || 'normal', unit: s.unit || 'lbs', bodyweight: !!s.bodyweight, per_side: !!s.per_side, duration: s.duration || null }))
+            })),
+            started_at: session.started_at
+        };
+    }
+
+    route('GET', /^\/api\/v2\/workout\/active$/, async ({ user }) => {
+        const { active } = await findActive(user.id);
+        return json(200, { session: clientSession(active) });
+    });
+
+    route('POST', /^\/api\/v2\/workout\/start$/, async ({ user, body }) => {
+        const { sessions, active } = await findActive(user.id);
+        if (active) return json(409, { error: 'A workout is already active', session_id: active.id });
+
+        const session = {
+            id: uuid(),
+            userId: user.id,
+            workout_name: body.workout_name || null,
+            status: 'active',
+            started_at: new Date().toISOString(),
+            exercises: []
+        };
+        sessions.push(session);
+        await saveTable('sessions', sessions);
+        return json(201, { session: clientSession(session) });
+    });
+
+    route('POST', /^\/api\/v2\/workout\/exercise$/, async ({ user, body }) => {
+        const { sessions, active } = await findActive(user.id);
+        if (!active || active.id !== body.session_id) return json(404, { error: 'Workout session not found' });
+        if (!body.exercise_name) return json(400, { error: 'exercise_name is required' });
+
+        const name = titleCase(body.exercise_name.trim());
+        let exercise = active.exercises.find(ex => ex.name.toLowerCase() === name.toLowerCase());
+        if (!exercise) {
+            exercise = { id: uuid(), name, category: MacraExercises.resolve(name)?.category || 'other', sets: [] };
+            active.exercises.push(exercise);
+        }
+        if (body.group_id) exercise.group_id = body.group_id;
+        const count = Math.max(1, parseInt(body.sets) || 1);
+        for (let i = 0; i < count; i++) {
+            exercise.sets.push({
+                set_num: exercise.sets.length + 1,
+                weight: parseFloat(body.weight) || 0,
+                reps: parseInt(body.reps) || 0,
+                rpe: body.rpe != null ? parseFloat(body.rpe) : null,
+                // Rest is the gap before the first of the new sets
+                rest: i === 0 && body.rest_seconds != null ? parseInt(body.rest_seconds) : null,
+                set_type: body.set_type || 'normal',
+                unit: body.unit || 'lbs',
+                bodyweight: !!body.bodyweight,
+                per_side: !!body.per_side,
+                duration: parseInt(body.duration) || null
+            });
+        }
+        await saveTable('sessions', sessions);
+        return json(200, { session: clientSession(active) });
+    });
+
+    route('PUT', /^\/api\/v2\/workout\/set$/, async ({ user, body }) => {
+        const { sessions, active } = await findActive(user.id);
+        if (!active || active.id !== body.session_id) return json(404, { error: 'Workout session not found' });
+        const exercise = active.exercises.find(ex => ex.id === body.exercise_id);
+        const set = exercise && exercise.sets.find(s => s.set_num === body.set_num);
+        if (!set) return json(404, { error: 'Set not found' });
+
+        set.weight = parseFloat(body.weight) || 0;
+        set.reps = parseInt(body.reps) || 0;
+        set.rpe = body.rpe != null ? parseFloat(body.rpe) : null;
+        if (body.set_type) set.set_type = body.set_type;
+        if (body.unit) set.unit = body.unit;
+        // group_id applies to the whole exercise; null ungroups it
+        if ('group_id' in body) exercise.group_id = body.group_id || null;
+        await saveTable('sessions', sessions);
+        return json(200, { session: clientSession(active) });
+    });
+
+    route('DELETE', /^\/api\/v2\/workout\/exercise$/, async ({ user, body }) => {
+        const { sessions, active } = await findActive(user.id);
+        if (!active || active.id !== body.session_id) return json(404, { error: 'Workout session not found' });
+        const exercise = active.exercises.find(ex => ex.id === body.exercise_id);
+        if (!exercise) return json(404, { error: 'Exercise not found' });
+
+        if (body.set_num == null) {
+            active.exercises = active.exercises.filter(ex => ex.id !== body.exercise_id);
+        } else {
+            exercise.sets = exercise.sets.filter(s => s.set_num !== body.set_num);
+            exercise.sets.forEach((s, i) => { s.set_num = i + 1; });
+            if (!exercise.sets.length) active.exercises = active.exercises.filter(ex => ex.id !== body.exercise_id);
+        }
+        await saveTable('sessions', sessions);
+        return json(200, { session: clientSession(active) });
+    });
+
+    route('POST', /^\/api\/v2\/workout\/finalize$/, async ({ user, body }) => {
+        const { sessions, active } = await findActive(user.id);
+        if (!active || active.id !== body.session_id) return json(404, { error: 'Workout session not found' });
+
+        active.status = 'completed';
+        active.workout_name = body.workout_name || active.workout_name;
+        active.notes = body.notes || null;
+        active.completed_at = new Date().toISOString();
+        active.summary = sessionSummary(active);
+        await saveTable('sessions', sessions);
+
+        // Learn exercise order for predict-next
+        const transitions = await table('transitions');
+        const names = active.exercises.map(ex => ex.name.toLowerCase());
+        for (let i = 0; i < names.length - 1; i++) {
+            transitions[names[i]] = transitions[names[i]] || {};
+            transitions[names[i]][names[i + 1]] = (transitions[names[i]][names[i + 1]] || 0) + 1;
+        }
+        await saveTable('transitions', transitions);
+
+        const users = await table('users');
+        const stored = users.find(u => u.id === user.id);
+        stored.stats = { ...stored.stats, workouts: (stored.stats?.workouts || 0) + 1 };
+        await saveTable('users', users);
+
+        return json(200, { session: clientSession(active) });
+    });
+
+    route('POST', /^\/api\/v2\/workout\/cancel$/, async ({ user, body }) => {
+        const { sessions } = await findActive(user.id);
+        const session = sessions.find(s => s.id === body.session_id && s.userId === user.id);
+        if (session) session.status = 'cancelled';
+        await saveTable('sessions', sessions);
+        return json(200, { success: true });
+    });
+
+    // ── v2 learning ──
+
+    route('POST', /^\/api\/v2\/learning\/predict-next$/, async ({ body }) => {
+        const current = (body.current_exercises || []).map(n => n.toLowerCase());
+        const last = current[current.length - 1];
+        const options = (await table('transitions'))[last] || {};
+        const ranked = Object.entries(options)
+            .filter(([name]) => !current.includes(name))
+            .sort((a, b) => b[1] - a[1]);
+        if (!ranked.length) return json(200, { prediction: null });
+
+        const total = Object.values(options).reduce((a, b) => a + b, 0);
+        const [next, count] = ranked[0];
+        return json(200, {
+            prediction: {
+                exercise: titleCase(next),
+                confidence: Math.round((count / total) * 100) / 100,
+                reason: `You did this after ${titleCase(last)} ${count} time${count === 1 ? '' : 's'}`
+            }
+        });
+    });
+
+    function parseExerciseText(input) {
+        const text = input.trim();
+        const setsReps = text.match(/(\d+)\s*[x×]\s*(\d+)/i);
+        const weight = text.match(/(\d+(?:\.\d+)?)\s*(lbs?|pounds?|kgs?|kilos?)\b/i) || text.match(/@\s*(\d+(?:\.\d+)?)/);
+        const rpe = text.match(/rpe\s*(\d+(?:\.\d+)?)/i);
+        const name = text
+            .replace(/(\d+)\s*[x×]\s*(\d+)/i, '')
+            .replace(/(\d+(?:\.\d+)?)\s*(?:lbs?|pounds?|kgs?|kilos?)\b/i, '')
+            .replace(/@\s*\d+(?:\.\d+)?/, '')
+            .replace(/rpe\s*\d+(?:\.\d+)?/i, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+        if (!name) return null;
+
+        // "3x10" is sets x reps; a bare "185 x 10" is weight x reps
+        let sets = setsReps ? parseInt(setsReps[1]) : 1;
+        let reps = setsReps ? parseInt(setsReps[2]) : 0;
+        let parsedWeight = weight ? parseFloat(weight[1]) : 0;
+        if (setsReps && !weight && sets > 20) {
+            parsedWeight = sets;
+            sets = 1;
+        }
+        return {
+            standard_name: titleCase(name),
+            weight: parsedWeight,
+            unit: weight && weight[2] ? MacraUnits.normalizeUnit(weight[2]) : null,
+            reps,
+            sets,
+            rpe: rpe ? parseFloat(rpe[1]) : null
+        };
+    }
+
+    route('POST', /^\/api\/v2\/learning\/parse-exercise$/, async ({ body }) => {
+        return json(200, { parsed: parseExerciseText(body.input || '') });
+    });
+
+    // ── AI ──
+
+    const CARDIO_WORDS = /\b(run|ran|running|jog|jogged|jogging|walk|walked|walking|bike|biked|cycling|cycle|swim|swam|swimming|row|rowing|elliptical|hike|hiked)\b/i;
+    const CARDIO_ACTIVITIES = { ran: 'Running', run: 'Running', running: 'Running', jog: 'Running', jogged: 'Running', jogging: 'Running', walk: 'Walking', walked: 'Walking', walking: 'Walking', bike: 'Cycling', biked: 'Cycling', cycle: 'Cycling', cycling: 'Cycling', swim: 'Swimming', swam: 'Swimming', swimming: 'Swimming', row: 'Rowing', rowing: 'Rowing', elliptical: 'Elliptical', hike: 'Hiking', hiked: 'Hiking' };
+
+    async function parseFoodText(text) {
+        const foods = await table('foods');
+        const parts = text.toLowerCase()
+            .replace(/\b(for|at)\s+(breakfast|lunch|dinner|snack)\b/g, '')
+            .split(/,|\band\b|\bwith\b|\+/)
+            .map(p => p.trim())
+            .filter(Boolean);
+
+        const items = [];
+        for (const part of parts) {
+            const qty = part.match(/^(\d+(?:\.\d+)?)\s*/);
+            const quantity = qty ? parseFloat(qty[1]) : 1;
+            const rest = part.replace(/^(\d+(?:\.\d+)?)\s*/, '').replace(/^(a|an|some)\s+/, '');
+            const food = foods.find(f => rest.includes(f.name.toLowerCase()) || f.aliases.some(a => rest.includes(a)));
+            if (!food) continue;
+            items.push({
+                name: quantity !== 1 ? `${quantity} ${food.name}${quantity > 1 && !food.name.endsWith('s') ? 's' : ''}` : food.name,
+                calories: Math.round(food.calories * quantity),
+                protein: Math.round(food.protein * quantity),
+                carbs: Math.round(food.carbs * quantity),
+                fat: Math.round(food.fat * quantity)
+            });
+        }
+        if (!items.length) return null;
+
+        const totals = items.reduce((t, i) => ({
+            calories: t.calories + i.calories,
+            protein: t.protein + i.protein,
+            carbs: t.carbs + i.carbs,
+            fat: t.fat + i.fat
+        }), { calories: 0, protein: 0, carbs: 0, fat: 0 });
+        return { type: 'food', data: { items, totals, servings: 1 } };
+    }
+
+    route('POST', /^\/api\/ai\/parse$/, async ({ body }) => {
+        const text = (body.input || '').trim();
+        if (!text) return json(400, { error: 'Input is required' });
+
+        const weighIn = text.match(/\b(?:weigh(?:ed)?(?:\s+in)?|weight|bodyweight)\b\D*(\d+(?:\.\d+)?)\s*(kgs?|kilos?|lbs?|pounds?)?/i);
+        if (weighIn) {
+            return json(200, { result: { type: 'weight', data: { weight: parseFloat(weighIn[1]), unit: MacraUnits.normalizeUnit(weighIn[2]) } } });
+        }
+
+        if (CARDIO_WORDS.test(text)) {
+            const minutes = text.match(/(\d+)\s*(?:min|mins|minutes)\b/i);
+            const miles = text.match(/(\d+(?:\.\d+)?)\s*(?:mi|miles?)\b/i);
+            const activity = CARDIO_ACTIVITIES[text.match(CARDIO_WORDS)[1].toLowerCase()];
+            const duration = minutes ? parseInt(minutes[1]) : (miles ? Math.round(parseFloat(miles[1]) * 10) : 30);
+            return json(200, {
+                result: {
+                    type: 'cardio',
+                    data: { activity, duration, distance: miles ? parseFloat(miles[1]) : null, calories: duration * 10 }
+                }
+            });
+        }
+
+        if (/\d+\s*[x×]\s*\d+/i.test(text)) {
+            const exercises = text.split(/,|\bthen\b|\band\b/i)
+                .map(part => parseExerciseText(part))
+                .filter(Boolean)
+                .map(p => ({ name: p.standard_name, weight: p.weight, unit: p.unit, reps: p.reps, sets: p.sets }));
+            if (exercises.length) return json(200, { result: { type: 'workout', data: { exercises } } });
+        }
+
+        const food = await parseFoodText(text);
+        if (food) return json(200, { result: food });
+
+        return json(422, { error: 'Mock parser could not understand that - try a fixture food or "bench 135lbs 3x10"' });
+    });
+
+    route('POST', /^\/api\/ai\/photo$/, async ({ body }) => {
+        if (!body.image) return json(400, { error: 'Image is required' });
+        // Photo "recognition" always sees the same plate
+        return json(200, { result: await parseFoodText('chicken breast, rice and salad') });
+    });
+
+    // ── Users ──
+
+    async function followedIds(userId) {
+        return (await table('follows')).filter(f => f.followerId === userId);
+    }
+
+    route('GET', /^\/api\/users\/following$/, async ({ user }) => {
+        const users = await table('users');
+        const following = (await followedIds(user.id)).map(f => {
+            const target = users.find(u => u.id === f.followingId);
+            return target ? publicUser(target, { followed_at: f.followed_at }) : null;
+        }).filter(Boolean);
+        return json(200, { following });
+    });
+
+    route('GET', /^\/api\/users\/discover$/, async ({ user, url }) => {
+        const limit = parseInt(url.searchParams.get('limit')) || 10;
+        const followed = (await followedIds(user.id)).map(f => f.followingId);
+        const users = (await table('users'))
+            .filter(u => u.id !== user.id && u.isPublic && !followed.includes(u.id))
+            .slice(0, limit)
+            .map(u => publicUser(u));
+        return json(200, { users });
+    });
+
+    route('GET', /^\/api\/users\/search$/, async ({ url }) => {
+        const q = (url.searchParams.get('q') || '').toLowerCase();
+        const users = (await table('users'))
+            .filter(u => u.isPublic && (u.name.toLowerCase().includes(q) || u.athleteCode.toLowerCase().includes(q)))
+            .map(u => publicUser(u));
+        return json(200, { users });
+    });
+
+    route('GET', /^\/api\/users\/profile\/([^/]+)$/, async ({ match }) => {
+        const code = decodeURIComponent(match[1]).toUpperCase();
+        const target = (await table('users')).find(u => u.athleteCode === code);
+        if (!target) return json(404, { error: 'Athlete not found' });
+        return json(200, {
+            profile: {
+                ...publicUser(target),
+                isPublic: target.isPublic,
+                memberSince: target.createdAt
+            }
+        });
+    });
+
+    route('POST', /^\/api\/users\/follow$/, async ({ user, body }) => {
+        const code = (body.athleteCode || '').toUpperCase();
+        const target = (await table('users')).find(u => u.athleteCode === code);
+        if (!target) return json(404, { error: 'Athlete not found' });
+        if (target.id === user.id) return json(400, { error: "You can't follow yourself" });
+
+        const follows = await table('follows');
+        if (follows.some(f => f.followerId === user.id && f.followingId === target.id)) {
+            return json(409, { error: 'Already following this athlete' });
+        }
+        follows.push({ followerId: user.id, followingId: target.id, followed_at: new Date().toISOString() });
+        await saveTable('follows', follows);
+        return json(200, { user: { id: target.id, name: target.name, athleteCode: target.athleteCode } });
+    });
+
+    route('POST', /^\/api\/users\/unfollow$/, async ({ user, body }) => {
+        const follows = await table('follows');
+        await saveTable('follows', follows.filter(f => !(f.followerId === user.id && f.followingId === body.targetUserId)));
+        return json(200, { success: true });
+    });
+
+    route('POST', /^\/api\/users\/privacy$/, async ({ user, body }) => {
+        const users = await table('users');
+        users.find(u => u.id === user.id).isPublic = !!body.isPublic;
+        await saveTable('users', users);
+        return json(200, { success: true, isPublic: !!body.isPublic });
+    });
+
+    // ═══════════════════════════════════════════════════════════════
+    // DISPATCH
+    // ═══════════════════════════════════════════════════════════════
+
+    async function handle(input, init = {}) {
+        const request = new Request(input, init);
+        const url = new URL(request.url);
+        const method = request.method.toUpperCase();
+        const requestInit = { ...init, body: init.body !== undefined ? init.body : (method !== 'GET' ? await request.text() : undefined) };
+
+        await new Promise(resolve => setTimeout(resolve, LATENCY_MS));
+        if (offline) throw new TypeError('Failed to fetch');
+
+        let match = null;
+        const found = routes.find(r => r.method === method && (match = url.pathname.match(r.pattern)));
+        if (!found) return json(404, { error: `Mock route not implemented: ${method} ${url.pathname}` });
+
+        try {
+            let user = null;
+            if (found.auth) {
+                user = await authenticate(request.headers);
+                if (!user) return json(401, { error: 'Not authenticated' });
+            }
+
+            // Replayed writes get the response from their first attempt
+            const idempotencyKey = method !== 'GET' ? request.headers.get('Idempotency-Key') : null;
+            if (idempotencyKey) {
+                const seen = (await table('idempotency')).find(i => i.key === idempotencyKey);
+                if (seen) return json(seen.status, seen.body);
+            }
+
+            const body = await readBody(requestInit, user);
+            const response = await found.handler({ user, body, url, match, init: requestInit });
+
+            if (idempotencyKey && response.status < 500) {
+                const rows = await table('idempotency');
+                rows.push({ key: idempotencyKey, status: response.status, body: await response.clone().json(), at: Date.now() });
+                await saveTable('idempotency', rows.slice(-500));
+            }
+            return response;
+        } catch (error) {
+            console.error('🧪 Mock backend error:', error);
+            return json(500, { error: error.message });
+        }
+    }
+
+    function isMockUrl(input) {
+        if (typeof MOCK_API_BASE === 'undefined') return false;
+        const url = typeof input === 'string' ? input : (input && input.url) || String(input);
+        return url.startsWith(MOCK_API_BASE);
+    }
+
+    window.fetch = function(input, init) {
+        if (isMockUrl(input)) return handle(input, init);
+        return realFetch(input, init);
+    };
+
+    function isActive() {
+        return typeof API_BASE !== 'undefined' && typeof MOCK_API_BASE !== 'undefined' && API_BASE === MOCK_API_BASE;
+    }
+
+    function showBadge() {
+        if (!isActive() || document.getElementById('mockApiBadge')) return;
+        const badge = document.createElement('div');
+        badge.id = 'mockApiBadge';
+        badge.title = 'Using the in-browser mock backend - open with ?api=default to switch back';
+        badge.style.cssText = 'position: fixed; bottom: 8px; left: 8px; background: var(--prism-amber); color: var(--void); font-size: 10px; font-weight: 700; letter-spacing: 1px; padding: 4px 8px; border-radius: 6px; z-index: 10001; pointer-events: none;';
+        badge.textContent = '🧪 MOCK API';
+        document.body.appendChild(badge);
+    }
+
+    window.MacraMock = {
+        isActive,
+        reset: async () => { await window.MacraDB.clear(STORE); await seed(); },
+        exportFixtures: async () => {
+            const records = await window.MacraDB.getAll(STORE);
+            return JSON.stringify(Object.fromEntries(records.map(r => [r.collection, r.rows])), null, 2);
+        },
+        importFixtures: async (fixtures) => {
+            const data = typeof fixtures === 'string' ? JSON.parse(fixtures) : fixtures;
+            for (const [collection, rows] of Object.entries(data)) await saveTable(collection, rows);
+        },
+        setOffline: (value) => { offline = !!value; },
+        handle,
+        version: '1.0.0'
+    };
+
+    if (isActive()) {
+        console.log('🧪 MACRA mock backend active - demo login demo@macra.app / macra-demo');
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', showBadge);
+        } else {
+            showBadge();
+        }
+    }
+
+})(window);
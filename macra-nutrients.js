@@ -0,0 +1,224 @@
+/**
+ * MACRA MICRONUTRIENTS v1.0
+ * ══════════════════════════════════════════════════════════════
+ *
+ * Everything beyond calories and macros: which USDA nutrients feed
+ * each micronutrient, and the daily target and upper limit for the
+ * user's age and sex.
+ *
+ * USDA MAPPING:
+ * ─────────────
+ * FoodData Central lists nutrients per 100 g, by id (1093) in details
+ * and search results, or by the older number ("307"). fromUSDA() turns
+ * that list into { sodium: 412, fiber: 2.1, ... } in the units below.
+ * Omega-3 adds up ALA, EPA, DPA and DHA.
+ *
+ * TARGETS:
+ * ────────
+ * US Dietary Reference Intakes (RDA, or AI where there's no RDA) by sex
+ * and age band, from appData.profile.sex and birthYear. Without them the
+ * FDA Daily Values are used. Upper limits are the ULs that apply to
+ * food; ULs that only cover supplements (magnesium, niacin, folate,
+ * vitamin E) are left out so a bowl of spinach doesn't warn. Sugar,
+ * saturated fat, trans fat, cholesterol, sodium and caffeine are
+ * limits - the number to stay under.
+ *
+ * @version 1.0.0
+ * @author MSG Headquarters / Aurelius Koda
+ */
+
+(function(window) {
+    'use strict';
+
+    // key: { name, unit, icon, color, ids: USDA nutrient ids/numbers (summed if sum) }
+    const NUTRIENTS = {
+        fiber: { name: 'Fiber', unit: 'g', icon: '🌾', color: '#A3E635', ids: [1079, '291'] },
+        sugar: { name: 'Sugar', unit: 'g', icon: '🍬', color: '#F472B6', ids: [2000, '269', 1063], limit: true },
+        saturatedFat: { name: 'Saturated Fat', unit: 'g', icon: '🧈', color: '#FACC15', ids: [1258, '606'], limit: true },
+        transFat: { name: 'Trans Fat', unit: 'g', icon: '🍟', color: '#FB923C', ids: [1257, '605'], limit: true },
+        cholesterol: { name: 'Cholesterol', unit: 'mg', icon: '🥚', color: '#FDE68A', ids: [1253, '601'], limit: true },
+        omega3: { name: 'Omega-3', unit: 'g', icon: '🐟', color: '#38BDF8', ids: [[1404, '851'], [1278, '629'], [1280, '631'], [1272, '621']], sum: true },
+        sodium: { name: 'Sodium', unit: 'mg', icon: '🧂', color: '#6B7280', ids: [1093, '307'], limit: true },
+        potassium: { name: 'Potassium', unit: 'mg', icon: '🍌', color: '#F59E0B', ids: [1092, '306'] },
+        calcium: { name: 'Calcium', unit: 'mg', icon: '🦴', color: '#F3F4F6', ids: [1087, '301'] },
+        iron: { name: 'Iron', unit: 'mg', icon: '🔩', color: '#EF4444', ids: [1089, '303'] },
+        magnesium: { name: 'Magnesium', unit: 'mg', icon: '⚡', color: '#10B981', ids: [1090, '304'] },
+        zinc: { name: 'Zinc', unit: 'mg', icon: '🛡️', color: '#3B82F6', ids: [1095, '309'] },
+        phosphorus: { name: 'Phosphorus', unit: 'mg', icon: '🧪', color: '#C084FC', ids: [1091, '305'] },
+        selenium: { name: 'Selenium', unit: 'mcg', icon: '🌰', color: '#D6D3D1', ids: [1103, '317'] },
+        copper: { name: 'Copper', unit: 'mg', icon: '🪙', color: '#EA580C', ids: [1098, '312'] },
+        manganese: { name: 'Manganese', unit: 'mg', icon: '⚙️', color: '#94A3B8', ids: [1101, '315'] },
+        vitaminA: { name: 'Vitamin A', unit: 'mcg', icon: '🥕', color: '#FB923C', ids: [1106, '320'] },
+        vitaminC: { name: 'Vitamin C', unit: 'mg', icon: '🍊', color: '#F97316', ids: [1162, '401'] },
+        vitaminD: { name: 'Vitamin D', unit: 'mcg', icon: '☀️', color: '#FBBF24', ids: [1114, '328'] },
+        vitaminE: { name: 'Vitamin E', unit: 'mg', icon: '🌻', color: '#EAB308', ids: [1109, '323'] },
+        vitaminK: { name: 'Vitamin K', unit: 'mcg', icon: '🥬', color: '#22C55E', ids: [1185, '430'] },
+        thiamin: { name: 'Thiamin (B1)', unit: 'mg', icon: '🍞', color: '#FCD34D', ids: [1165, '404'] },
+        riboflavin: { name: 'Riboflavin (B2)', unit: 'mg', icon: '🥛', color: '#FDE047', ids: [1166, '405'] },
+        niacin: { name: 'Niacin (B3)', unit: 'mg', icon: '🍗', color: '#FBBF24', ids: [1167, '406'] },
+        vitaminB6: { name: 'Vitamin B6', unit: 'mg', icon: '🥔', color: '#F9A8D4', ids: [1175, '415'] },
+        folate: { name: 'Folate', unit: 'mcg', icon: '🥦', color: '#4ADE80', ids: [1190, '435', 1177, '417'] },
+        vitaminB12: { name: 'Vitamin B12', unit: 'mcg', icon: '💊', color: '#EC4899', ids: [1178, '418'] },
+        choline: { name: 'Choline', unit: 'mg', icon: '🧠', color: '#A78BFA', ids: [1180, '421'] },
+        caffeine: { name: 'Caffeine', unit: 'mg', icon: '☕', color: '#F59E0B', ids: [1057, '262'], limit: true },
+        creatine: { name: 'Creatine', unit: 'mg', icon: '💪', color: '#8B5CF6', ids: [] }
+    };
+
+    // FDA Daily Values - used until the profile has sex and age
+    const DAILY_VALUES = {
+        fiber: 28, sugar: 50, transFat: 2, cholesterol: 300, omega3: 1.6,
+        sodium: 2300, potassium: 4700, calcium: 1300, iron: 18, magnesium: 420, zinc: 11,
+        phosphorus: 1250, selenium: 55, copper: 0.9, manganese: 2.3,
+        vitaminA: 900, vitaminC: 90, vitaminD: 20, vitaminE: 15, vitaminK: 120,
+        thiamin: 1.2, riboflavin: 1.3, niacin: 16, vitaminB6: 1.7, folate: 400, vitaminB12: 2.4,
+        choline: 550, caffeine: 400, creatine: 5000
+    };
+
+    const AGE_BANDS = [[14, 18], [19, 30], [31, 50], [51, 70], [71, Infinity]];
+
+    // [14-18, 19-30, 31-50, 51-70, 71+] per sex
+    const DRI = {
+        male: {
+            fiber: [38, 38, 38, 30, 30], omega3: [1.6, 1.6, 1.6, 1.6, 1.6],
+            potassium: [3000, 3400, 3400, 3400, 3400], calcium: [1300, 1000, 1000, 1000, 1200],
+            iron: [11, 8, 8, 8, 8], magnesium: [410, 400, 420, 420, 420], zinc: [11, 11, 11, 11, 11],
+            phosphorus: [1250, 700, 700, 700, 700], selenium: [55, 55, 55, 55, 55], copper: [0.89, 0.9, 0.9, 0.9, 0.9],
+            manganese: [2.2, 2.3, 2.3, 2.3, 2.3], vitaminA: [900, 900, 900, 900, 900], vitaminC: [75, 90, 90, 90, 90],
+            vitaminD: [15, 15, 15, 15, 20], vitaminE: [15, 15, 15, 15, 15], vitaminK: [75, 120, 120, 120, 120],
+            thiamin: [1.2, 1.2, 1.2, 1.2, 1.2], riboflavin: [1.3, 1.3, 1.3, 1.3, 1.3], niacin: [16, 16, 16, 16, 16],
+            vitaminB6: [1.3, 1.3, 1.3, 1.7, 1.7], folate: [400, 400, 400, 400, 400], vitaminB12: [2.4, 2.4, 2.4, 2.4, 2.4],
+            choline: [550, 550, 550, 550, 550]
+        },
+        female: {
+            fiber: [26, 25, 25, 21, 21], omega3: [1.1, 1.1, 1.1, 1.1, 1.1],
+            potassium: [2300, 2600, 2600, 2600, 2600], calcium: [1300, 1000, 1000, 1200, 1200],
+            iron: [15, 18, 18, 8, 8], magnesium: [360, 310, 320, 320, 320], zinc: [9, 8, 8, 8, 8],
+            phosphorus: [1250, 700, 700, 700, 700], selenium: [55, 55, 55, 55, 55], copper: [0.89, 0.9, 0.9, 0.9, 0.9],
+            manganese: [1.6, 1.8, 1.8, 1.8, 1.8], vitaminA: [700, 700, 700, 700, 700], vitaminC: [65, 75, 75, 75, 75],
+            vitaminD: [15, 15, 15, 15, 20], vitaminE: [15, 15, 15, 15, 15], vitaminK: [75, 90, 90, 90, 90],
+            thiamin: [1.0, 1.1, 1.1, 1.1, 1.1], riboflavin: [1.0, 1.1, 1.1, 1.1, 1.1], niacin: [14, 14, 14, 14, 14],
+            vitaminB6: [1.2, 1.3, 1.3, 1.5, 1.5], folate: [400, 400, 400, 400, 400], vitaminB12: [2.4, 2.4, 2.4, 2.4, 2.4],
+            choline: [400, 425, 425, 425, 425]
+        }
+    };
+
+    // Tolerable Upper Intake Levels that apply to food, same bands (both sexes)
+    const UPPER_LIMITS = {
+        sodium: [2300, 2300, 2300, 2300, 2300], calcium: [3000, 2500, 2500, 2000, 2000], iron: [45, 45, 45, 45, 45],
+        zinc: [34, 40, 40, 40, 40], phosphorus: [4000, 4000, 4000, 4000, 3000], selenium: [400, 400, 400, 400, 400],
+        copper: [8, 10, 10, 10, 10], manganese: [9, 11, 11, 11, 11], vitaminC: [1800, 2000, 2000, 2000, 2000],
+        vitaminD: [100, 100, 100, 100, 100], vitaminB6: [80, 100, 100, 100, 100], choline: [3000, 3500, 3500, 3500, 3500],
+        caffeine: [100, 400, 400, 400, 400]
+    };
+    const DEFAULT_UPPER_BAND = 2;
+
+    // ═══════════════════════════════════════════════════════════════
+    // USDA
+    // ═══════════════════════════════════════════════════════════════
+
+    function usdaAmount(foodNutrients, ids) {
+        for (const id of ids) {
+            const nutrient = foodNutrients.find(n => typeof id === 'number'
+                ? n.nutrientId === id || n.nutrient?.id === id
+                : n.nutrientNumber === id || n.nutrient?.number === id);
+            if (nutrient) return nutrient.value ?? nutrient.amount ?? 0;
+        }
+        return null;
+    }
+
+    function roundAmount(value) {
+        return value >= 10 ? Math.round(value) : Math.round(value * 100) / 100;
+    }
+
+    /**
+     * Micronutrients in a USDA food
+     * @param {Object} food - Search result or details
+     * @param {number} grams - Amount eaten (default the 100 g USDA lists)
+     * @returns {Object} - { key: amount } for nutrients the food lists
+     */
+    function fromUSDA(food, grams = 100) {
+        const foodNutrients = food?.foodNutrients || [];
+        const micro = {};
+        for (const [key, info] of Object.entries(NUTRIENTS)) {
+            if (!info.ids.length) continue;
+            const amount = info.sum
+                ? info.ids.reduce((total, ids) => total + (usdaAmount(foodNutrients, ids) || 0), 0)
+                : usdaAmount(foodNutrients, info.ids);
+            if (amount) micro[key] = roundAmount(amount * grams / 100);
+        }
+        return micro;
+    }
+
+    function scale(micro, factor) {
+        const scaled = {};
+        for (const [key, value] of Object.entries(micro || {})) {
+            if (typeof value === 'number') scaled[key] = roundAmount(value * factor);
+        }
+        return scaled;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // TARGETS
+    // ═══════════════════════════════════════════════════════════════
+
+    function ageFromProfile(profile) {
+        const year = parseInt(profile?.birthYear);
+        return year ? new Date().getFullYear() - year : null;
+    }
+
+    /**
+     * Daily target and limit for each nutrient
+     * @param {Object} profile - appData.profile ({ sex, birthYear })
+     * @param {Object} goals - appData.goals (calories set the saturated fat limit)
+     * @returns {Object} - { key: { target?, max? } }
+     */
+    function targets(profile = {}, goals = {}) {
+        const age = ageFromProfile(profile);
+        const sexTable = DRI[profile.sex];
+        const band = age != null ? AGE_BANDS.findIndex(([from, to]) => age >= from && age <= to) : -1;
+        const personal = sexTable && band >= 0;
+        const upperBand = band >= 0 ? band : DEFAULT_UPPER_BAND;
+
+        const result = {};
+        for (const [key, info] of Object.entries(NUTRIENTS)) {
+            const value = personal && sexTable[key] ? sexTable[key][band] : DAILY_VALUES[key];
+            const upper = UPPER_LIMITS[key]?.[upperBand];
+            if (info.limit) result[key] = { max: upper || value };
+            else result[key] = { target: value, ...(upper ? { max: upper } : {}) };
+        }
+        // Under 10% of calories
+        result.saturatedFat = { max: Math.round((goals.calories || 2000) * 0.1 / 9) };
+        return result;
+    }
+
+    /**
+     * How an amount compares with its target
+     * @returns {Object} - { percent, of: 'target'|'limit', over }
+     */
+    function status(key, amount, target = {}) {
+        if (target.target) {
+            return { percent: Math.round(amount / target.target * 100), of: 'target', over: !!target.max && amount > target.max };
+        }
+        if (target.max) {
+            return { percent: Math.round(amount / target.max * 100), of: 'limit', over: amount > target.max };
+        }
+        return { percent: 0, of: 'target', over: false };
+    }
+
+    // Profile fields the targets came from, for the settings hint
+    function describeProfile(profile = {}) {
+        const age = ageFromProfile(profile);
+        if (!DRI[profile.sex] || age == null || age < AGE_BANDS[0][0]) return 'FDA Daily Values';
+        const [from, to] = AGE_BANDS.find(([a, b]) => age >= a && age <= b);
+        return `${profile.sex === 'male' ? 'Male' : 'Female'}, ${to === Infinity ? `${from}+` : `${from}-${to}`}`;
+    }
+
+    window.MacraNutrients = {
+        NUTRIENTS, keys: Object.keys(NUTRIENTS),
+        fromUSDA, scale, targets, status, describeProfile,
+        version: '1.0.0'
+    };
+
+    console.log(`💊 MACRA Micronutrients v1.0 loaded (${Object.keys(NUTRIENTS).length} nutrients)`);
+
+})(window);
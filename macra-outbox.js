@@ -0,0 +1,211 @@
+/**
+ * MACRA OFFLINE OUTBOX v1.0
+ * ══════════════════════════════════════════════════════════════
+ *
+ * Durable write queue for v2 workout calls made without a connection.
+ * Entries live in IndexedDB (MacraDB 'outbox' store) so a reload or a
+ * killed tab doesn't drop logged sets.
+ *
+ * REPLAY RULES:
+ * ──────────────
+ * 1. Entries replay strictly in the order they were queued
+ * 2. Each entry keeps the Idempotency-Key of its first attempt, so a
+ *    request that reached the server before the network dropped is
+ *    not applied twice
+ * 3. Network errors / 5xx stop the run - the rest waits for the next one
+ * 4. Other 4xx responses mark the entry 'failed' and replay moves on
+ * 5. Entries that use a local id (dependsOn) created by a failed entry
+ *    (localRef) are marked 'failed' without being sent - a set update
+ *    for an exercise the server rejected can only fail too
+ *
+ * @version 1.0.0
+ * @author MSG Headquarters / Aurelius Koda
+ */
+
+(function(window) {
+    'use strict';
+
+    const STORE = 'outbox';
+    const REPLAYABLE = /^\/api\/v2\/workout\//;
+    // Statuses worth retrying even though they are 4xx
+    const RETRY_STATUSES = [401, 408, 429];
+
+    const listeners = [];
+    let replaying = false;
+
+    function generateKey() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        const bytes = window.crypto.getRandomValues(new Uint8Array(16));
+        bytes[6] = (bytes[6] & 0x0f) | 0x40;
+        bytes[8] = (bytes[8] & 0x3f) | 0x80;
+        const hex = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+        return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+    }
+
+    function isReplayable(endpoint, method = 'GET') {
+        return method.toUpperCase() !== 'GET' && REPLAYABLE.test(endpoint);
+    }
+
+    function notify() {
+        list().then(entries => {
+            listeners.forEach(fn => {
+                try { fn(entries); } catch (e) { console.error('Outbox listener error:', e); }
+            });
+        }).catch(() => {});
+    }
+
+    /**
+     * Subscribe to queue changes
+     * @param {Function} fn - Called with the full entry list after every change
+     */
+    function onChange(fn) {
+        listeners.push(fn);
+    }
+
+    /**
+     * Queue a call for later replay
+     * @param {Object} call - { endpoint, method, body, idempotencyKey, localRef, dependsOn }
+     *                        localRef: local ids the call creates, dependsOn: local ids it uses
+     * @returns {Object} - The stored entry
+     */
+    async function enqueue(call) {
+        const entry = {
+            endpoint: call.endpoint,
+            method: (call.method || 'POST').toUpperCase(),
+            body: call.body || null,
+            idempotencyKey: call.idempotencyKey || generateKey(),
+            localRef: call.localRef || null,
+            dependsOn: call.dependsOn || [],
+            status: 'pending',
+            attempts: 0,
+            lastError: null,
+            createdAt: Date.now()
+        };
+        entry.id = await window.MacraDB.put(STORE, entry);
+        notify();
+        return entry;
+    }
+
+    async function list() {
+        const entries = await window.MacraDB.getAll(STORE);
+        return entries.sort((a, b) => a.id - b.id);
+    }
+
+    async function counts() {
+        const entries = await list();
+        return {
+            pending: entries.filter(e => e.status === 'pending').length,
+            failed: entries.filter(e => e.status === 'failed').length
+        };
+    }
+
+    // Rewrite a stored entry in place (keeps its id and position)
+    async function update(entry) {
+        await window.MacraDB.put(STORE, entry);
+        notify();
+    }
+
+    async function remove(id) {
+        await window.MacraDB.remove(STORE, id);
+        notify();
+    }
+
+    // Put failed entries back in line for the next replay
+    async function retryFailed() {
+        const entries = await list();
+        for (const entry of entries.filter(e => e.status === 'failed')) {
+            entry.status = 'pending';
+            await window.MacraDB.put(STORE, entry);
+        }
+        notify();
+    }
+
+    async function discardFailed() {
+        const entries = await list();
+        for (const entry of entries.filter(e => e.status === 'failed')) {
+            await window.MacraDB.remove(STORE, entry.id);
+        }
+        notify();
+    }
+
+    // Local ids an entry would have created on the server
+    function createdIds(entry) {
+        return Object.values(entry.localRef || {}).filter(Boolean);
+    }
+
+    async function markFailed(entry, error, blocked) {
+        entry.status = 'failed';
+        entry.lastError = error;
+        createdIds(entry).forEach(id => blocked.add(id));
+        await window.MacraDB.put(STORE, entry);
+    }
+
+    /**
+     * Replay pending entries in order
+     * @param {Function} send - async (entry) => Response-like { ok, status }
+     * @returns {Object} - { sent, failed, remaining }
+     */
+    async function replay(send) {
+        const summary = { sent: 0, failed: 0, remaining: 0 };
+        if (replaying) return summary;
+        replaying = true;
+
+        try {
+            const entries = await list();
+            const pending = entries.filter(e => e.status === 'pending');
+            // Local ids whose creating call failed - nothing that uses them can succeed
+            const blocked = new Set(entries.filter(e => e.status === 'failed').flatMap(createdIds));
+
+            for (let i = 0; i < pending.length; i++) {
+                const entry = pending[i];
+                if ((entry.dependsOn || []).some(id => blocked.has(id))) {
+                    await markFailed(entry, 'Depends on a change that failed to sync', blocked);
+                    summary.failed++;
+                    continue;
+                }
+                entry.attempts++;
+
+                let res;
+                try {
+                    res = await send(entry);
+                } catch (error) {
+                    // Still offline (or timed out) - keep the entry and stop here
+                    entry.lastError = error.message;
+                    await window.MacraDB.put(STORE, entry);
+                    summary.remaining = pending.length - i;
+                    break;
+                }
+
+                if (res.ok) {
+                    await window.MacraDB.remove(STORE, entry.id);
+                    summary.sent++;
+                } else if (res.status >= 500 || RETRY_STATUSES.includes(res.status)) {
+                    entry.lastError = `HTTP ${res.status}`;
+                    await window.MacraDB.put(STORE, entry);
+                    summary.remaining = pending.length - i;
+                    break;
+                } else {
+                    await markFailed(entry, `HTTP ${res.status}`, blocked);
+                    summary.failed++;
+                }
+            }
+        } finally {
+            replaying = false;
+            notify();
+        }
+
+        return summary;
+    }
+
+    window.MacraOutbox = {
+        enqueue, list, counts, update, remove, replay, retryFailed, discardFailed,
+        onChange, isReplayable, generateKey,
+        isReplaying: () => replaying,
+        version: '1.0.0'
+    };
+
+    console.log('📮 MACRA Outbox v1.0 loaded');
+
+})(window);
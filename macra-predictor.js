@@ -0,0 +1,298 @@
+/**
+ * MACRA NEXT-EXERCISE PREDICTOR v1.0
+ * ══════════════════════════════════════════════════════════════
+ *
+ * Offline stand-in for /api/v2/learning/predict-next, built from what
+ * the app already keeps locally.
+ *
+ * MODEL:
+ * ──────
+ * A first-order Markov chain over exercise keys (MacraExercises.key):
+ * every logged workout in appData.activities contributes its
+ * "A then B" transitions, weighted by
+ *   - recency      halves every HALF_LIFE_DAYS
+ *   - weekday      same day of the week as today counts WEEKDAY_BOOST×
+ * exerciseMemory[x].followedBy counts (undated, and they go back
+ * further than activity history) are added as a weak prior, and
+ * exercises that shared a workout with the current ones at BACKOFF
+ * weight, for when nothing has followed the last exercise yet.
+ * Candidates that train a muscle group already worked this session
+ * get MUSCLE_BOOST×.
+ *
+ * TARGETS:
+ * ────────
+ * Double progression on the last time the exercise was logged: every
+ * working set at the top weight held its reps (and RPE ≤ 8 when
+ * recorded) → add one increment; reps fell off → repeat the weight;
+ * STALE_DAYS or more since → back off 10%. Bodyweight work adds a rep.
+ *
+ * Predictions have the server's shape ({ exercise, confidence, reason })
+ * plus target and source: 'local'.
+ *
+ * @version 1.0.1
+ * @author MSG Headquarters / Aurelius Koda
+ */
+
+(function(window) {
+    'use strict';
+
+    const LOOKBACK_DAYS = 120;
+    const HALF_LIFE_DAYS = 21;
+    const WEEKDAY_BOOST = 1.5;
+    const MUSCLE_BOOST = 1.5;
+    const MEMORY_PRIOR = 0.25;
+    const BACKOFF = 0.3;
+    const STALE_DAYS = 14;
+    const DELOAD = 0.9;
+    const MAX_OVERLOAD_RPE = 8;
+
+    // Per-session increments: lower body moves more weight
+    const INCREMENTS = {
+        lbs: { legs: 10, other: 5 },
+        kg: { legs: 5, other: 2.5 }
+    };
+
+    const STATS_KEY = 'macra_prediction_stats';
+    const DAY_MS = 86400000;
+    const WEEKDAYS = ['Sundays', 'Mondays', 'Tuesdays', 'Wednesdays', 'Thursdays', 'Fridays', 'Saturdays'];
+
+    function getAppData() {
+        return typeof appData !== 'undefined' ? appData : null;
+    }
+
+    function key(name) {
+        return MacraExercises.key(name);
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // HISTORY
+    // ═══════════════════════════════════════════════════════════════
+
+    function workingSets(ex) {
+        return (ex.sets || [])
+            .filter(s => s.set_type !== 'warmup')
+            .map(s => ({ weight: parseFloat(s.weight) || 0, reps: parseInt(s.reps) || 0, unit: s.unit || 'lbs', rpe: s.rpe ?? null, bodyweight: !!s.bodyweight }))
+            .filter(s => s.reps > 0);
+    }
+
+    /**
+     * Logged workouts from the last LOOKBACK_DAYS, oldest first
+     * @returns {Array} - [{ at, weekday, exercises: [{ key, name, sets }] }]
+     */
+    function getSessions(now = new Date()) {
+        const activities = getAppData()?.activities || {};
+        const cutoff = now.getTime() - LOOKBACK_DAYS * DAY_MS;
+        const sessions = [];
+        for (const list of Object.values(activities)) {
+            for (const activity of list || []) {
+                if (activity.type !== 'workout') continue;
+                const at = MacraSchema.activityTime(activity);
+                if (!at || at < cutoff || at > now.getTime()) continue;
+                const exercises = MacraSchema.workoutExercises(activity)
+                    .filter(ex => ex.name)
+                    .map(ex => ({ key: key(ex.name), name: ex.name, sets: workingSets(ex) }));
+                if (exercises.length) sessions.push({ at, weekday: new Date(at).getDay(), exercises });
+            }
+        }
+        return sessions.sort((a, b) => a.at - b.at);
+    }
+
+    function sessionWeight(session, now) {
+        const ageDays = Math.max(0, (now.getTime() - session.at) / DAY_MS);
+        const recency = Math.pow(0.5, ageDays / HALF_LIFE_DAYS);
+        return recency * (session.weekday === now.getDay() ? WEEKDAY_BOOST : 1);
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // PREDICTION
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Most likely next exercise after the ones already in this workout
+     * @param {Array} currentNames - Exercise names logged so far, in order
+     * @param {Object} options - { now }
+     * @returns {Object|null} - { exercise, key, confidence, reason, target, source }
+     */
+    function predict(currentNames, options = {}) {
+        if (!currentNames?.length) return null;
+        const now = options.now || new Date();
+        const data = getAppData();
+        const current = currentNames.map(key);
+        const lastKey = current[current.length - 1];
+        const lastName = MacraExercises.displayName(currentNames[currentNames.length - 1]);
+
+        const candidates = new Map();
+        const add = (candidateKey, name, score, evidence) => {
+            if (current.includes(candidateKey) || score <= 0) return null;
+            if (!candidates.has(candidateKey)) candidates.set(candidateKey, { key: candidateKey, name, score: 0, transitions: 0, weekday: 0, together: 0, memory: 0 });
+            const candidate = candidates.get(candidateKey);
+            candidate.score += score;
+            if (evidence) candidate[evidence]++;
+            return candidate;
+        };
+
+        getSessions(now).forEach(session => {
+            const weight = sessionWeight(session, now);
+            const keys = session.exercises.map(ex => ex.key);
+            const sharesExercise = keys.some(k => current.includes(k));
+            session.exercises.forEach((ex, i) => {
+                if (i > 0 && keys[i - 1] === lastKey) {
+                    const candidate = add(ex.key, ex.name, weight, 'transitions');
+                    if (candidate && session.weekday === now.getDay()) candidate.weekday++;
+                } else if (sharesExercise) {
+                    add(ex.key, ex.name, weight * BACKOFF, 'together');
+                }
+            });
+        });
+
+        const followedBy = data?.exerciseMemory?.[lastKey]?.followedBy || {};
+        Object.entries(followedBy).forEach(([nextKey, count]) => {
+            add(nextKey, data.exerciseMemory[nextKey]?.name || nextKey, count * MEMORY_PRIOR, 'memory');
+        });
+
+        if (!candidates.size) return null;
+
+        // Stay on the muscles this session has been training
+        const sessionGroups = new Set(currentNames.flatMap(name => MacraExercises.muscleGroups(name)));
+        candidates.forEach(candidate => {
+            candidate.sharedGroups = MacraExercises.muscleGroups(candidate.name).filter(group => sessionGroups.has(group));
+            if (candidate.sharedGroups.length) candidate.score *= MUSCLE_BOOST;
+        });
+
+        const ranked = [...candidates.values()].sort((a, b) => b.score - a.score);
+        const best = ranked[0];
+        const total = ranked.reduce((sum, c) => sum + c.score, 0);
+        const name = MacraExercises.displayName(best.name);
+
+        return {
+            exercise: name,
+            key: best.key,
+            confidence: Math.round((best.score / total) * 100) / 100,
+            reason: explain(best, lastName, now),
+            target: getTarget(name, { now }),
+            source: 'local'
+        };
+    }
+
+    function explain(candidate, lastName, now) {
+        const parts = [];
+        if (candidate.transitions) parts.push(`After ${lastName} ${candidate.transitions} time${candidate.transitions === 1 ? '' : 's'} recently`);
+        else if (candidate.memory) parts.push(`You've done this after ${lastName} before`);
+        else if (candidate.together) parts.push(`Usually in the same workout as ${lastName}`);
+        if (candidate.weekday) parts.push(`often on ${WEEKDAYS[now.getDay()]}`);
+        if (candidate.sharedGroups?.length) parts.push(`keeps working ${candidate.sharedGroups.join(' & ')}`);
+        return parts.join(' · ');
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // PROGRESSIVE OVERLOAD
+    // ═══════════════════════════════════════════════════════════════
+
+    function lastPerformance(exerciseKey, now) {
+        const sessions = getSessions(now);
+        for (let i = sessions.length - 1; i >= 0; i--) {
+            const ex = sessions[i].exercises.find(e => e.key === exerciseKey && e.sets.length);
+            if (ex) return { at: sessions[i].at, sets: ex.sets };
+        }
+        // Older than the lookback (or logged before activities kept sets)
+        const memory = getAppData()?.exerciseMemory?.[exerciseKey];
+        if (memory?.lastReps) {
+            return {
+                at: memory.lastPerformed ? new Date(memory.lastPerformed + 'T12:00:00').getTime() : 0,
+                sets: [{ weight: parseFloat(memory.lastWeight) || 0, reps: parseInt(memory.lastReps), unit: memory.lastUnit || 'lbs', rpe: null, bodyweight: false }]
+            };
+        }
+        return null;
+    }
+
+    function roundTo(value, step) {
+        return MacraUnits.round(Math.round(value / step) * step, 2);
+    }
+
+    /**
+     * Weight and reps to aim for next time
+     * @returns {Object|null} - { weight, reps, unit, bodyweight, rule, note }
+     */
+    function getTarget(name, options = {}) {
+        const now = options.now || new Date();
+        const last = lastPerformance(key(name), now);
+        if (!last) return null;
+
+        const unit = MacraUnits.normalizeUnit(last.sets[0].unit) || 'lbs';
+        const sets = last.sets.map(s => ({ ...s, weight: MacraUnits.round(MacraUnits.convert(s.weight, s.unit, unit), 2) }));
+        const topWeight = Math.max(...sets.map(s => s.weight));
+        const top = sets.filter(s => s.weight === topWeight);
+        const reps = top[0].reps;
+        const bodyweight = top[0].bodyweight;
+        const increment = INCREMENTS[unit][MacraExercises.muscleGroups(name).includes('legs') ? 'legs' : 'other'];
+        const daysSince = last.at ? Math.floor((now.getTime() - last.at) / DAY_MS) : 0;
+
+        const target = (weight, targetReps, rule, note) => ({ weight, reps: targetReps, unit, bodyweight, rule, note });
+
+        if (daysSince >= STALE_DAYS && topWeight > 0) {
+            return target(roundTo(topWeight * DELOAD, increment / 2), reps, 'deload', `${daysSince} days since last time - ease back in`);
+        }
+        if (topWeight === 0) {
+            return target(0, reps + 1, 'reps', `One more rep than last time (${reps})`);
+        }
+        const held = top.every(s => s.reps >= reps) && top.every(s => s.rpe == null || s.rpe <= MAX_OVERLOAD_RPE);
+        if (held) {
+            return target(MacraUnits.round(topWeight + increment, 2), reps, 'overload', `All sets at ${MacraUnits.format(topWeight, unit)} hit ${reps} - add weight`);
+        }
+        return target(topWeight, reps, 'repeat', `Reps dropped off last time - repeat ${MacraUnits.format(topWeight, unit)}`);
+    }
+
+    // Exercise input line the offline parser reads back ("Bench Press 185 lbs x 5")
+    function targetInput(prediction) {
+        const target = prediction?.target;
+        if (!target) return prediction?.exercise || '';
+        const load = target.bodyweight
+            ? (target.weight ? `bw+${target.weight}${target.unit}` : 'bw')
+            : (target.weight ? `${target.weight} ${target.unit}` : '');
+        return [prediction.exercise, load, `x ${target.reps}`].filter(Boolean).join(' ');
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // SERVER COMPARISON
+    // ═══════════════════════════════════════════════════════════════
+
+    function getStats() {
+        try {
+            return { compared: 0, agreed: 0, ...JSON.parse(localStorage.getItem(STATS_KEY) || '{}') };
+        } catch (e) {
+            return { compared: 0, agreed: 0 };
+        }
+    }
+
+    /**
+     * Check the local model against a server prediction and keep a
+     * running agreement count. The panel asks for a prediction on every
+     * refresh, so each workout + exercises-so-far is only counted once.
+     * @param {Array} exercises - Exercise names logged so far
+     * @param {string} workoutId - Anything stable for the workout (its start time)
+     * @returns {Object|null} - { agrees, exercise, confidence, compared, agreed }
+     */
+    function compare(serverPrediction, localPrediction, exercises = [], workoutId = '') {
+        if (!serverPrediction || !localPrediction) return null;
+        const agrees = key(serverPrediction.exercise) === localPrediction.key;
+        const stats = getStats();
+        const context = `${workoutId}:${exercises.map(key).join('|')}`;
+        const result = { agrees, exercise: localPrediction.exercise, confidence: localPrediction.confidence };
+        if (stats.lastContext === context) return { ...result, compared: stats.compared, agreed: stats.agreed };
+
+        stats.compared++;
+        if (agrees) stats.agreed++;
+        stats.lastContext = context;
+        localStorage.setItem(STATS_KEY, JSON.stringify(stats));
+        console.log(`🔮 Prediction: server ${serverPrediction.exercise} · local ${localPrediction.exercise} (${agrees ? 'agree' : 'differ'}, ${stats.agreed}/${stats.compared})`);
+        return { ...result, compared: stats.compared, agreed: stats.agreed };
+    }
+
+    window.MacraPredictor = {
+        predict, getTarget, targetInput, compare, getStats, getSessions,
+        version: '1.0.1'
+    };
+
+    console.log('🔮 MACRA Predictor v1.0 loaded');
+
+})(window);
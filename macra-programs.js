@@ -0,0 +1,634 @@
+/**
+ * MACRA TRAINING PROGRAMS v1.1
+ * ══════════════════════════════════════════════════════════════
+ *
+ * Multi-week programs of templated days (5/3/1, linear 5×5, PPL...).
+ * Each day's sets are targets against a per-lift training max (TM):
+ *
+ *   { "percent": 85, "reps": 5, "amrap": true }  → 85% of TM, 5+ reps
+ *   { "rpe": 8, "reps": 5 }                      → load for 5 @ RPE 8
+ *   { "reps": 10 }                               → last weight used
+ *
+ * Built-in programs ship as JSON in /programs (see BUILTIN_PROGRAMS);
+ * custom ones are imported from the same format and live in
+ * appData.customPrograms. The user's enrollment - a snapshot of the
+ * program, training maxes and position - is appData.trainingProgram.
+ *
+ * PROGRESSION (program.progression.type):
+ * ────────────────────────────────────────
+ * session → after each session, a lift that hit every target set goes
+ *           up by its increment; failureLimit misses in a row deload
+ *           it to deloadPercent of its TM
+ * cycle   → misses are counted over the whole cycle; when the last
+ *           week is done every lift goes up, or deloads if it missed
+ *           failureLimit times. Weeks marked "deload" never count.
+ *
+ * The v2 workout panel offers getNextDay() on its start screen and
+ * finalizeWorkout() feeds the logged sets back through recordSession().
+ *
+ * UNITS:
+ * ───────
+ * "rounding" and lift increments are in the program's "unit" (default
+ * lbs). Training maxes are kept in the unit the user had when they
+ * enrolled (state.unit), and steps are converted to it.
+ *
+ * @version 1.1.1
+ * @author MSG Headquarters / Aurelius Koda
+ */
+
+(function(window) {
+    'use strict';
+
+    const PROGRAM_FORMAT = 'macra-program-v1';
+    const BUILTIN_PROGRAMS = ['531', 'linear-5x5', 'ppl-rpe'];
+    const PROGRESSION_TYPES = ['session', 'cycle'];
+    const MAX_LOG_ENTRIES = 100;
+    // A logged set this far under its target weight still counts (kg ↔ lbs rounding)
+    const WEIGHT_TOLERANCE_LBS = 1;
+    // Ids and lift keys end up in onclick handlers, so keep them to plain slugs
+    const ID_PATTERN = /^[a-z0-9-]+$/;
+    const LIFT_KEY_PATTERN = /^[a-z0-9_-]+$/;
+
+    let builtins = [];
+    let builtinsLoading = null;
+
+    function getAppData() {
+        return typeof appData !== 'undefined' ? appData : null;
+    }
+
+    function save() {
+        if (typeof saveData === 'function') saveData();
+    }
+
+    function roundTo(value, step) {
+        return Math.round(value / (step || 5)) * (step || 5);
+    }
+
+    // Program files are user-supplied; everything they name is escaped before it hits innerHTML
+    function escapeHTML(value) {
+        return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+    }
+
+    // A program step (rounding / increment) in the enrolled unit, to the nearest 0.5
+    function stepIn(program, value, unit) {
+        return Math.max(0.5, Math.round(MacraUnits.convert(value, program.unit, unit) * 2) / 2);
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // DEFINITIONS
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Check a program definition and fill in defaults
+     * @param {Object} definition - Parsed program JSON
+     * @returns {Object} - Normalized copy
+     * @throws {Error} - Describing the first problem found
+     */
+    function validateProgram(definition) {
+        if (!definition || typeof definition !== 'object') throw new Error('Program must be a JSON object');
+        const program = JSON.parse(JSON.stringify(definition));
+        if (program.format !== PROGRAM_FORMAT) throw new Error(`Unknown program format (expected "${PROGRAM_FORMAT}")`);
+        if (!program.id || typeof program.id !== 'string') throw new Error('Program needs an id');
+        if (!ID_PATTERN.test(program.id)) throw new Error('Program id may only contain a-z, 0-9 and -');
+        if (!program.name) throw new Error('Program needs a name');
+
+        if (program.unit && !MacraUnits.normalizeUnit(program.unit)) throw new Error('unit must be "lbs" or "kg"');
+
+        const progression = { type: 'session', failureLimit: 3, deloadPercent: 90, ...program.progression };
+        if (!PROGRESSION_TYPES.includes(progression.type)) {
+            throw new Error(`progression.type must be one of: ${PROGRESSION_TYPES.join(', ')}`);
+        }
+
+        const lifts = program.lifts || {};
+        for (const [key, lift] of Object.entries(lifts)) {
+            if (!LIFT_KEY_PATTERN.test(key)) throw new Error(`Lift key "${key}" may only contain a-z, 0-9, _ and -`);
+            if (!lift || !lift.name) throw new Error(`Lift "${key}" needs a name`);
+        }
+
+        if (!Array.isArray(program.weeks) || !program.weeks.length) throw new Error('Program needs at least one week');
+        program.weeks.forEach((week, w) => {
+            if (!Array.isArray(week.days) || !week.days.length) throw new Error(`Week ${w + 1} has no days`);
+            week.days.forEach((day, d) => {
+                const where = `Week ${w + 1} day ${d + 1}`;
+                if (!Array.isArray(day.exercises) || !day.exercises.length) throw new Error(`${where} has no exercises`);
+                day.exercises.forEach(ex => {
+                    if (ex.lift && !lifts[ex.lift]) throw new Error(`${where}: unknown lift "${ex.lift}"`);
+                    if (!ex.lift && !ex.name) throw new Error(`${where}: every exercise needs a lift or a name`);
+                    if (!Array.isArray(ex.sets) || !ex.sets.length) throw new Error(`${where}: ${ex.name || ex.lift} has no sets`);
+                    ex.sets.forEach(set => {
+                        if (!(parseInt(set.reps) > 0)) throw new Error(`${where}: every set needs reps`);
+                        if (set.percent != null && !(set.percent > 0 && set.percent <= 150)) throw new Error(`${where}: percent must be 1-150`);
+                        if (set.rpe != null && !(set.rpe >= 5 && set.rpe <= 10)) throw new Error(`${where}: rpe must be 5-10`);
+                        if ((set.percent != null || set.rpe != null) && !ex.lift) throw new Error(`${where}: ${ex.name} uses a % or RPE target without a lift`);
+                    });
+                });
+            });
+        });
+
+        return {
+            ...program,
+            description: program.description || '',
+            trainingMax: { percentOfMax: 90, ...program.trainingMax },
+            rounding: program.rounding || 5,
+            unit: MacraUnits.normalizeUnit(program.unit) || 'lbs',
+            progression,
+            lifts
+        };
+    }
+
+    /**
+     * Fetch the built-in programs once (they are precached by sw.js)
+     * @returns {Promise<Array>}
+     */
+    function loadBuiltinPrograms() {
+        if (builtinsLoading) return builtinsLoading;
+
+        builtinsLoading = Promise.all(BUILTIN_PROGRAMS.map(async id => {
+            try {
+                const res = await fetch(`/programs/${id}.json`);
+                if (!res.ok) throw new Error(`HTTP ${res.status}`);
+                return { ...validateProgram(await res.json()), builtin: true };
+            } catch (error) {
+                console.error(`Failed to load program ${id}:`, error);
+                return null;
+            }
+        })).then(list => {
+            builtins = list.filter(Boolean);
+            return builtins;
+        });
+        return builtinsLoading;
+    }
+
+    function getCustomPrograms() {
+        const data = getAppData();
+        if (!data) return [];
+        if (!data.customPrograms) data.customPrograms = [];
+        return data.customPrograms;
+    }
+
+    function listPrograms() {
+        return [...builtins, ...getCustomPrograms()];
+    }
+
+    function getProgram(programId) {
+        return listPrograms().find(p => p.id === programId) || null;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // ENROLLMENT
+    // ═══════════════════════════════════════════════════════════════
+
+    function getState() {
+        const state = getAppData()?.trainingProgram;
+        if (!state || !state.programId) return null;
+        // Enrollments from before units existed are lbs
+        if (!state.unit) state.unit = 'lbs';
+        return state;
+    }
+
+    function touch(state) {
+        state.updatedAt = new Date().toISOString();
+        save();
+    }
+
+    /**
+     * Starting TMs from the best e1RM on record for each lift
+     * @param {string} unit - Unit of the result (default: preference)
+     * @returns {Object} - { liftKey: weight } (0 when there's no history)
+     */
+    function suggestTrainingMaxes(program, unit = MacraUnits.getPreference()) {
+        const prs = getAppData()?.prs || {};
+        const maxes = {};
+        for (const [key, lift] of Object.entries(program.lifts)) {
+            const prKey = MacraExercises.recordKey(prs, lift.name);
+            const pr = typeof getPRRecord === 'function' ? getPRRecord(prKey) : prs[prKey];
+            // PR records are in lbs
+            const e1rm = MacraUnits.convert(pr?.e1rm?.value || 0, 'lbs', unit);
+            maxes[key] = e1rm ? roundTo(e1rm * program.trainingMax.percentOfMax / 100, stepIn(program, program.rounding, unit)) : 0;
+        }
+        return maxes;
+    }
+
+    /**
+     * Enroll in a program from week 1, day 1
+     * @param {string} programId - Built-in or custom program id
+     * @param {Object} trainingMaxes - { liftKey: weight }
+     * @param {string} unit - Unit of the training maxes (default: preference)
+     */
+    function enroll(programId, trainingMaxes, unit = MacraUnits.getPreference()) {
+        const program = getProgram(programId);
+        if (!program) throw new Error('Program not found');
+
+        const maxes = {};
+        for (const key of Object.keys(program.lifts)) {
+            maxes[key] = parseFloat(trainingMaxes?.[key]) || 0;
+        }
+
+        const data = getAppData();
+        data.trainingProgram = {
+            programId: program.id,
+            program: program,
+            trainingMaxes: maxes,
+            unit: MacraUnits.normalizeUnit(unit) || 'lbs',
+            failures: {},
+            cycle: 1,
+            week: 0,
+            day: 0,
+            log: [],
+            startedAt: new Date().toISOString()
+        };
+        touch(data.trainingProgram);
+        return data.trainingProgram;
+    }
+
+    // Kept as a record (not deleted) so the change syncs to other devices
+    function leave() {
+        const data = getAppData();
+        if (!data) return;
+        data.trainingProgram = { programId: null };
+        touch(data.trainingProgram);
+    }
+
+    function setTrainingMax(liftKey, weight) {
+        const state = getState();
+        if (!state || !(liftKey in state.program.lifts)) return;
+        state.trainingMaxes[liftKey] = Math.max(0, parseFloat(weight) || 0);
+        touch(state);
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // SCHEDULE
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Share of 1RM for reps at an RPE - Epley with reps in reserve
+     * added back (5 @ RPE 8 ≈ a 7-rep max)
+     */
+    function rpePercent(reps, rpe) {
+        return 1 / (1 + (reps + 10 - rpe) / 30);
+    }
+
+    function lastLoggedWeight(name, unit) {
+        const activities = getAppData()?.activities || {};
+        let latest = null;
+        for (const list of Object.values(activities)) {
+            for (const activity of list) {
+                const ex = MacraSchema.workoutExercises(activity).find(e => e.name?.toLowerCase() === name.toLowerCase());
+                const set = ex?.sets?.filter(s => s.set_type !== 'warmup').pop();
+                if (set && (!latest || MacraSchema.activityTime(activity) > latest.at)) {
+                    latest = { weight: MacraUnits.round(MacraUnits.convert(set.weight, set.unit, unit)), at: MacraSchema.activityTime(activity) };
+                }
+            }
+        }
+        return latest ? latest.weight : 0;
+    }
+
+    function targetWeight(state, ex, set) {
+        const program = state.program;
+        const tm = ex.lift ? state.trainingMaxes[ex.lift] || 0 : 0;
+        const rounding = stepIn(program, program.rounding, state.unit);
+        if (set.percent != null) return roundTo(tm * set.percent / 100, rounding);
+        if (set.rpe != null) return roundTo(tm * rpePercent(parseInt(set.reps), set.rpe), rounding);
+        return lastLoggedWeight(exerciseName(program, ex), state.unit);
+    }
+
+    function exerciseName(program, ex) {
+        return ex.lift ? program.lifts[ex.lift].name : ex.name;
+    }
+
+    /**
+     * The next scheduled day with concrete weights, in the template
+     * exercise shape startFromPlan() takes
+     * @returns {Object|null} - { programId, programName, label, cycle, week, day, exercises }
+     */
+    function getNextDay() {
+        const state = getState();
+        if (!state) return null;
+
+        const program = state.program;
+        const week = program.weeks[state.week];
+        const day = week.days[state.day];
+        return {
+            programId: program.id,
+            programName: program.name,
+            label: `${program.name} · ${day.name || `Day ${state.day + 1}`}`,
+            weekName: week.name || `Week ${state.week + 1}`,
+            deload: !!week.deload,
+            cycle: state.cycle,
+            week: state.week,
+            day: state.day,
+            exercises: day.exercises.map(ex => ({
+                name: exerciseName(program, ex),
+                lift: ex.lift || null,
+                category: ex.category || 'other',
+                rest: ex.rest || null,
+                sets: ex.sets.map(set => ({
+                    weight: targetWeight(state, ex, set),
+                    reps: parseInt(set.reps),
+                    unit: state.unit,
+                    set_type: set.amrap ? 'amrap' : 'normal'
+                }))
+            }))
+        };
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // PROGRESSION
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Did the logged working sets meet every target - the reps (AMRAP
+     * targets are a minimum) at the target weight or heavier? Lifts that
+     * weren't logged at all are 'skipped'.
+     * @param {Array} targets - [{ weight, reps, unit }] as in getNextDay()
+     */
+    function evaluateLift(targets, loggedSets) {
+        const working = (loggedSets || []).filter(s => s.set_type !== 'warmup');
+        if (!working.length) return 'skipped';
+        const hit = targets.every((target, i) => {
+            const set = working[i];
+            return set && (set.reps || 0) >= target.reps &&
+                MacraUnits.toLbs(set.weight, set.unit) >= MacraUnits.toLbs(target.weight, target.unit) - WEIGHT_TOLERANCE_LBS;
+        });
+        return hit ? 'hit' : 'missed';
+    }
+
+    function changeTrainingMax(state, liftKey, reason) {
+        const program = state.program;
+        const from = state.trainingMaxes[liftKey] || 0;
+        const to = reason === 'deload'
+            ? roundTo(from * program.progression.deloadPercent / 100, stepIn(program, program.rounding, state.unit))
+            : from + stepIn(program, program.lifts[liftKey].increment || program.rounding, state.unit);
+        state.trainingMaxes[liftKey] = to;
+        return { lift: liftKey, name: program.lifts[liftKey].name, from, to, unit: state.unit, reason };
+    }
+
+    /**
+     * Feed a finished session back into the program: score each lift,
+     * apply the progression rules and move to the next day
+     * @param {Array} exercises - finalizeWorkout() summary exercises
+     * @param {Object} source - Plan source { programId, cycle, week, day }
+     * @returns {Object|null} - { results, changes } or null if the session
+     *                          isn't the current program day
+     */
+    function recordSession(exercises, source) {
+        const state = getState();
+        if (!state || !source || source.programId !== state.programId ||
+            source.cycle !== state.cycle || source.week !== state.week || source.day !== state.day) {
+            return null;
+        }
+
+        const program = state.program;
+        const week = program.weeks[state.week];
+        const day = week.days[state.day];
+        const { type, failureLimit } = program.progression;
+
+        const results = {};
+        day.exercises.filter(ex => ex.lift).forEach(ex => {
+            const logged = (exercises || []).find(e => e.name?.toLowerCase() === exerciseName(program, ex).toLowerCase());
+            const targets = ex.sets.map(set => ({ weight: targetWeight(state, ex, set), reps: parseInt(set.reps), unit: state.unit }));
+            const result = evaluateLift(targets, logged?.sets);
+            // Two exercises on one lift: any miss is a miss
+            const previous = results[ex.lift];
+            if (!previous || previous === 'skipped' || result === 'missed') results[ex.lift] = result;
+        });
+
+        const changes = [];
+        for (const [liftKey, result] of Object.entries(results)) {
+            if (result === 'skipped' || week.deload) continue;
+            if (type === 'session') {
+                if (result === 'hit') {
+                    state.failures[liftKey] = 0;
+                    changes.push(changeTrainingMax(state, liftKey, 'progress'));
+                } else if ((state.failures[liftKey] = (state.failures[liftKey] || 0) + 1) >= failureLimit) {
+                    state.failures[liftKey] = 0;
+                    changes.push(changeTrainingMax(state, liftKey, 'deload'));
+                }
+            } else if (result === 'missed') {
+                state.failures[liftKey] = (state.failures[liftKey] || 0) + 1;
+            }
+        }
+
+        // Advance; finishing the last week closes the cycle
+        const entry = { date: new Date().toISOString(), cycle: state.cycle, week: state.week, day: state.day, results, changes };
+        state.day++;
+        if (state.day >= week.days.length) {
+            state.day = 0;
+            state.week++;
+        }
+        if (state.week >= program.weeks.length) {
+            state.week = 0;
+            if (type === 'cycle') {
+                for (const liftKey of Object.keys(program.lifts)) {
+                    changes.push(changeTrainingMax(state, liftKey, (state.failures[liftKey] || 0) >= failureLimit ? 'deload' : 'progress'));
+                }
+                state.failures = {};
+            }
+            state.cycle++;
+        }
+
+        state.log = [...(state.log || []), entry].slice(-MAX_LOG_ENTRIES);
+        touch(state);
+        console.log('🗓️ Program session recorded:', entry);
+        return { results, changes };
+    }
+
+    function describeChanges(changes) {
+        return (changes || []).map(c => `${c.reason === 'deload' ? '📉' : '📈'} ${c.name} TM ${c.from}→${c.to}${c.unit ? ` ${c.unit}` : ''}`).join(' · ');
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // IMPORT / EXPORT
+    // ═══════════════════════════════════════════════════════════════
+
+    function exportProgram(programId) {
+        const program = getProgram(programId) || (getState()?.programId === programId ? getState().program : null);
+        if (!program) {
+            showToast('❌ Program not found');
+            return;
+        }
+
+        const { builtin, updatedAt, ...definition } = program;
+        const blob = new Blob([JSON.stringify(definition, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `macra-program-${program.id}.json`;
+        a.click();
+        showToast('✓ Program exported!');
+    }
+
+    /**
+     * Add or replace a custom program. Ids that clash with a built-in
+     * are renamed so a built-in can't be shadowed.
+     * @param {Object} definition - Program JSON
+     */
+    function importProgram(definition) {
+        const program = validateProgram(definition);
+        if (BUILTIN_PROGRAMS.includes(program.id)) program.id = `custom-${program.id}`;
+        program.updatedAt = new Date().toISOString();
+
+        const custom = getCustomPrograms();
+        const index = custom.findIndex(p => p.id === program.id);
+        if (index === -1) custom.push(program);
+        else custom[index] = program;
+        save();
+        return program;
+    }
+
+    function handleImportFile(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = function(e) {
+            try {
+                const program = importProgram(JSON.parse(e.target.result));
+                showToast(`📥 Imported "${program.name}"`);
+                renderProgramSettings();
+            } catch (error) {
+                showToast('❌ ' + (error instanceof SyntaxError ? 'Not a JSON file' : error.message));
+            }
+        };
+        reader.readAsText(file);
+        event.target.value = '';
+    }
+
+    function deleteCustomProgram(programId) {
+        const custom = getCustomPrograms();
+        const program = custom.find(p => p.id === programId);
+        if (!program || !confirm(`Delete program "${program.name}"?`)) return;
+
+        custom.splice(custom.indexOf(program), 1);
+        save();
+        renderProgramSettings();
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // SETTINGS UI
+    // ═══════════════════════════════════════════════════════════════
+
+    let selectedProgramId = null;
+
+    function renderEnrolled(container, state) {
+        const next = getNextDay();
+        const recent = (state.log || []).flatMap(entry => entry.changes).slice(-5).reverse();
+
+        container.innerHTML = `
+            <div style="font-weight: 600; margin-bottom: 4px;">${escapeHTML(state.program.name)}</div>
+            <div style="font-size: 13px; color: var(--white-50); margin-bottom: 16px;">
+                Cycle ${state.cycle} · ${escapeHTML(next.weekName)}${next.deload ? ' (deload)' : ''} · next: ${escapeHTML(state.program.weeks[state.week].days[state.day].name || `Day ${state.day + 1}`)}
+            </div>
+            <div style="font-size: 12px; color: var(--white-50); text-transform: uppercase; letter-spacing: 0.5px; margin-bottom: 8px;">Training maxes <span style="text-transform: none;">(${state.unit})</span></div>
+            ${Object.entries(state.program.lifts).map(([key, lift]) => `
+                <div class="form-group" style="display: flex; align-items: center; gap: 12px;">
+                    <label class="form-label" style="flex: 1; margin: 0;">${escapeHTML(lift.name)}</label>
+                    <input type="number" class="form-input" style="width: 110px;" step="${stepIn(state.program, state.program.rounding, state.unit)}" value="${state.trainingMaxes[key] || 0}"
+                        onchange="MacraPrograms.setTrainingMax('${escapeHTML(key)}', this.value)">
+                </div>
+            `).join('')}
+            ${recent.length ? `
+                <div style="font-size: 12px; color: var(--white-50); margin: 16px 0 8px;">Recent changes</div>
+                ${recent.map(c => `<div style="font-size: 13px; margin-bottom: 4px;">${escapeHTML(describeChanges([c]))}</div>`).join('')}
+            ` : ''}
+            <div style="display: flex; gap: 12px; flex-wrap: wrap; margin-top: 16px;">
+                <button class="btn btn-ghost" onclick="MacraPrograms.exportProgram('${escapeHTML(state.programId)}')">📤 Export Program</button>
+                <button class="btn btn-ghost" style="border-color: var(--prism-rose); color: var(--prism-rose);" onclick="MacraPrograms.leaveWithConfirm()">Leave Program</button>
+            </div>
+        `;
+    }
+
+    function renderPicker(container) {
+        const programs = listPrograms();
+        const selected = programs.find(p => p.id === selectedProgramId) || programs[0];
+        const maxes = selected ? suggestTrainingMaxes(selected) : {};
+        const unit = MacraUnits.getPreference();
+
+        container.innerHTML = `
+            <div class="form-group">
+                <label class="form-label">Program</label>
+                <select class="form-input" onchange="MacraPrograms.selectProgram(this.value)">
+                    ${programs.map(p => `<option value="${escapeHTML(p.id)}" ${p === selected ? 'selected' : ''}>${escapeHTML(p.name)}${p.builtin ? '' : ' (custom)'}</option>`).join('')}
+                </select>
+            </div>
+            ${selected ? `
+                <div style="font-size: 13px; color: var(--white-50); margin-bottom: 16px;">${escapeHTML(selected.description)}</div>
+                <div style="font-size: 12px; color: var(--white-50); text-transform: uppercase; letter-spacing: 0.5px; margin-bottom: 8px;">
+                    Training maxes <span style="text-transform: none;">(${escapeHTML(selected.trainingMax.percentOfMax)}% of your estimated 1RM)</span>
+                </div>
+                ${Object.entries(selected.lifts).map(([key, lift]) => `
+                    <div class="form-group" style="display: flex; align-items: center; gap: 12px;">
+                        <label class="form-label" style="flex: 1; margin: 0;">${escapeHTML(lift.name)}</label>
+                        <input type="number" class="form-input" style="width: 110px;" step="${stepIn(selected, selected.rounding, unit)}" data-program-tm="${escapeHTML(key)}" value="${maxes[key] || ''}" placeholder="${unit}">
+                    </div>
+                `).join('')}
+                <div style="display: flex; gap: 12px; flex-wrap: wrap; margin-top: 16px;">
+                    <button class="btn btn-primary" onclick="MacraPrograms.enrollFromForm('${escapeHTML(selected.id)}')">Start Program</button>
+                    <button class="btn btn-ghost" onclick="MacraPrograms.exportProgram('${escapeHTML(selected.id)}')">📤 Export</button>
+                    ${selected.builtin ? '' : `<button class="btn btn-ghost" onclick="MacraPrograms.deleteCustomProgram('${escapeHTML(selected.id)}')">🗑️ Delete</button>`}
+                </div>
+            ` : ''}
+            <div style="margin-top: 16px; padding-top: 16px; border-top: 1px solid var(--white-10);">
+                <button class="btn btn-ghost" onclick="document.getElementById('programImportInput').click()">📥 Import Program</button>
+                <input type="file" id="programImportInput" accept=".json" style="display:none;" onchange="MacraPrograms.handleImportFile(event)">
+            </div>
+        `;
+    }
+
+    function renderProgramSettings() {
+        const container = document.getElementById('programSettings');
+        if (!container) return;
+
+        const state = getState();
+        if (state) {
+            renderEnrolled(container, state);
+            return;
+        }
+        container.innerHTML = '<div style="color: var(--white-50); font-size: 13px;">Loading programs...</div>';
+        loadBuiltinPrograms().then(() => {
+            if (!getState()) renderPicker(container);
+        });
+    }
+
+    function selectProgram(programId) {
+        selectedProgramId = programId;
+        renderProgramSettings();
+    }
+
+    function enrollFromForm(programId) {
+        const maxes = {};
+        document.querySelectorAll('[data-program-tm]').forEach(input => {
+            maxes[input.dataset.programTm] = input.value;
+        });
+        if (Object.values(maxes).some(v => !(parseFloat(v) > 0))) {
+            showToast('⚠️ Enter a training max for every lift');
+            return;
+        }
+
+        const state = enroll(programId, maxes);
+        showToast(`🗓️ Started ${state.program.name}`);
+        renderProgramSettings();
+        if (typeof renderWorkoutPanel === 'function') renderWorkoutPanel();
+    }
+
+    function leaveWithConfirm() {
+        const state = getState();
+        if (!state || !confirm(`Leave ${state.program.name}? Your position and training maxes will be lost.`)) return;
+        leave();
+        renderProgramSettings();
+        if (typeof renderWorkoutPanel === 'function') renderWorkoutPanel();
+    }
+
+    window.MacraPrograms = {
+        validateProgram, loadBuiltinPrograms, listPrograms, getProgram,
+        getState, suggestTrainingMaxes, enroll, leave, setTrainingMax,
+        getNextDay, recordSession, describeChanges, rpePercent,
+        exportProgram, importProgram, handleImportFile, deleteCustomProgram,
+        renderProgramSettings, selectProgram, enrollFromForm, leaveWithConfirm, escapeHTML,
+        FORMAT: PROGRAM_FORMAT,
+        version: '1.1.1'
+    };
+
+    console.log('🗓️ MACRA Programs v1.1 loaded');
+
+})(window);
@@ -0,0 +1,240 @@
+/**
+ * MACRA PWA v1.0
+ * ══════════════════════════════════════════════════════════════
+ *
+ * Service worker registration, the in-app update prompt, and the
+ * launch-action router for manifest shortcuts and the share target.
+ *
+ * UPDATE FLOW:
+ * ─────────────
+ * 1. A deploy changes sw-manifest.js → browser installs the new worker
+ * 2. The new worker waits (sw.js never calls skipWaiting on install)
+ * 3. We show a "new version available" banner
+ * 4. Reload → postMessage({ type: 'SKIP_WAITING' }) → controllerchange → reload
+ *
+ * LAUNCH ACTIONS (run by init() once logged in):
+ * ──────────────────────────────────────────────
+ * ?action=food     → focus the unified input for a meal
+ * ?action=workout  → start (or resume) a v2 workout and show the panel
+ * ?action=share    → sw.js redirect from /share-target; photo goes to
+ *                    handlePhotoCapture, text goes to parseUnifiedInputV2
+ *
+ * @version 1.0.0
+ * @author MSG Headquarters / Aurelius Koda
+ */
+
+(function(window) {
+    'use strict';
+
+    const SW_URL = '/sw.js';
+    const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+    let registration = null;
+    let reloading = false;
+
+    function isSupported() {
+        return 'serviceWorker' in navigator && window.isSecureContext;
+    }
+
+    function showUpdateBanner() {
+        if (document.getElementById('swUpdateBanner')) return;
+
+        const banner = document.createElement('div');
+        banner.id = 'swUpdateBanner';
+        banner.style.cssText = 'position: fixed; top: 16px; left: 50%; transform: translateX(-50%); display: flex; align-items: center; gap: 12px; background: var(--carbon); border: 1px solid var(--prism-cyan); color: var(--white); padding: 10px 16px; border-radius: 10px; font-size: 14px; z-index: 10002; box-shadow: 0 8px 24px rgba(0,0,0,0.4); animation: fadeInUp 0.3s ease;';
+        banner.innerHTML = `
+            <span>✨ New version available</span>
+            <button class="btn btn-primary btn-sm" onclick="MacraPWA.applyUpdate()" style="font-size: 12px; padding: 6px 12px;">Reload</button>
+            <button onclick="this.parentElement.remove()" title="Later" style="background: none; border: none; color: var(--white-50); font-size: 18px; cursor: pointer;">×</button>
+        `;
+        document.body.appendChild(banner);
+    }
+
+    // Tell the waiting worker to take over; controllerchange does the reload
+    function applyUpdate() {
+        const waiting = registration && registration.waiting;
+        if (!waiting) {
+            window.location.reload();
+            return;
+        }
+        waiting.postMessage({ type: 'SKIP_WAITING' });
+    }
+
+    function trackInstalling(worker) {
+        worker.addEventListener('statechange', () => {
+            // Only an update if a previous worker is already in control
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                showUpdateBanner();
+            }
+        });
+    }
+
+    async function register() {
+        if (!isSupported()) {
+            console.log('⚠️ Service workers not available - offline mode disabled');
+            return null;
+        }
+
+        try {
+            registration = await navigator.serviceWorker.register(SW_URL);
+            console.log('📲 Service worker registered, scope:', registration.scope);
+
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                showUpdateBanner();
+            }
+
+            registration.addEventListener('updatefound', () => {
+                if (registration.installing) trackInstalling(registration.installing);
+            });
+
+            navigator.serviceWorker.addEventListener('controllerchange', () => {
+                if (reloading) return;
+                reloading = true;
+                window.location.reload();
+            });
+
+            // Long-lived PWA sessions still pick up deploys
+            setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_INTERVAL);
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'visible') registration.update().catch(() => {});
+            });
+
+            return registration;
+        } catch (error) {
+            console.error('Service worker registration failed:', error);
+            return null;
+        }
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // LAUNCH ACTIONS
+    // ═══════════════════════════════════════════════════════════════
+
+    const SHARE_CACHE = 'macra-share-target';
+    const SHARE_PHOTO_URL = '/share-target/photo';
+    const FOOD_PLACEHOLDER = "What did you eat? Try: '2 eggs and toast' or 'chicken salad with ranch'";
+
+    /**
+     * Read the launch action from the URL and strip it, so a reload or a
+     * second init() (after login) doesn't run it again
+     * @returns {Object|null} - { action, text, photo }
+     */
+    function takeLaunchAction() {
+        const params = new URLSearchParams(window.location.search);
+        const action = params.get('action');
+        if (!action) return null;
+
+        window.history.replaceState(null, '', window.location.pathname + window.location.hash);
+        return {
+            action,
+            text: params.get('text') || '',
+            photo: params.get('photo') === '1'
+        };
+    }
+
+    function focusUnifiedInput(placeholder) {
+        if (typeof switchView === 'function') switchView('dashboard');
+        const input = document.getElementById('unifiedInput');
+        if (!input) return null;
+
+        if (placeholder) {
+            const original = input.placeholder;
+            input.placeholder = placeholder;
+            input.addEventListener('blur', () => { input.placeholder = original; }, { once: true });
+        }
+        setTimeout(() => {
+            input.focus();
+            input.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }, 100);
+        return input;
+    }
+
+    async function openWorkout() {
+        if (typeof switchView === 'function') switchView('dashboard');
+
+        // Let the v2 module load any active session first so we resume it
+        // instead of starting a second one
+        if (window.v2WorkoutReady) await window.v2WorkoutReady;
+
+        const active = typeof UnifiedState !== 'undefined' && UnifiedState.activeWorkout;
+        if (!active && typeof window.v2StartWorkout === 'function') {
+            await window.v2StartWorkout();
+        }
+
+        const panel = document.getElementById('v2WorkoutPanel');
+        if (panel) panel.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    async function takeSharedPhoto() {
+        if (!('caches' in window)) return null;
+        const cache = await caches.open(SHARE_CACHE);
+        const response = await cache.match(SHARE_PHOTO_URL);
+        if (!response) return null;
+
+        await cache.delete(SHARE_PHOTO_URL);
+        const blob = await response.blob();
+        const name = decodeURIComponent(response.headers.get('X-File-Name') || 'shared-photo');
+        return new File([blob], name, { type: blob.type || 'image/jpeg' });
+    }
+
+    async function handleShare(launch) {
+        if (launch.photo) {
+            const file = await takeSharedPhoto();
+            if (file && typeof handlePhotoCapture === 'function') {
+                if (typeof switchView === 'function') switchView('dashboard');
+                // handlePhotoCapture reads event.target.files and resets value
+                await handlePhotoCapture({ target: { files: [file], value: '' } });
+                return;
+            }
+        }
+
+        if (launch.text) {
+            const input = focusUnifiedInput();
+            if (input && typeof parseUnifiedInputV2 === 'function') {
+                input.value = launch.text;
+                await parseUnifiedInputV2();
+            }
+            return;
+        }
+
+        showToast('⚠️ Nothing to log from that share');
+    }
+
+    /**
+     * Run a launch action from takeLaunchAction()
+     * @param {Object} launch - { action, text, photo }
+     */
+    async function runLaunchAction(launch) {
+        if (!launch) return;
+        console.log('🔗 Launch action:', launch.action);
+
+        try {
+            switch (launch.action) {
+                case 'food':
+                    focusUnifiedInput(FOOD_PLACEHOLDER);
+                    break;
+                case 'workout':
+                    await openWorkout();
+                    break;
+                case 'share':
+                    await handleShare(launch);
+                    break;
+                default:
+                    console.warn('Unknown launch action:', launch.action);
+            }
+        } catch (error) {
+            console.error('Launch action failed:', error);
+            showToast('❌ Could not open ' + launch.action);
+        }
+    }
+
+    window.MacraPWA = {
+        register, applyUpdate, showUpdateBanner, isSupported,
+        takeLaunchAction, runLaunchAction,
+        getRegistration: () => registration,
+        version: '1.0.0'
+    };
+
+    window.addEventListener('load', register);
+
+})(window);
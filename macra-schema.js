@@ -0,0 +1,240 @@
+/**
+ * MACRA ACTIVITY SCHEMA v1.0
+ * ══════════════════════════════════════════════════════════════
+ *
+ * One shape for everything in appData.activities[date], and the
+ * migrations that bring stored data (localStorage 'macra-v1.4', cloud
+ * records, backup files) up to it.
+ *
+ * ACTIVITY (schema 4):
+ * ────────────────────
+ *   {
+ *     id:        'uuid',                 stable across devices
+ *     type:      'food' | 'workout' | 'cardio' | 'weight' | 'hydration',
+ *     time:      '7:42 PM',              display time
+ *     timestamp: '2026-10-19T19:42:00Z', ISO string
+ *     data:      { ... },                per type, below
+ *     raw?, historic?, name?, notes?, sessionId?, source?
+ *   }
+ *
+ *   workout  data: { exercises: [{ name, category?, group_id?, sets: [
+ *                      { weight, reps, unit, set_type, rpe?, rest?, ... }] }],
+ *                    summary? }
+ *   food     data: { items: [{ name, calories, protein, carbs, fat, ... }],
+ *                    totals, servings }
+ *   cardio   data: { activity, duration, distance? }
+ *   weight   data: { weight, unit?, bodyFat?, note? }
+ *   hydration data: { amount, unit: 'oz' | 'ml' | 'cup' | 'glass' }
+ *
+ * MIGRATIONS:
+ * ───────────
+ * appData.schemaVersion records the last migration applied (missing =
+ * 0). Each migration upgrades one activity and is safe to run twice,
+ * so migrateActivity() can apply all of them to cloud or imported
+ * records of unknown age. Add a migration by appending to MIGRATIONS
+ * with the next version number - never edit a shipped one.
+ *
+ * Activities that had no id (or a Date.now() id) get a UUID derived
+ * from what they already carry, so the same entry gets the same id on
+ * every device and cloud merges still dedupe.
+ *
+ * @version 1.0.0
+ * @author MSG Headquarters / Aurelius Koda
+ */
+
+(function(window) {
+    'use strict';
+
+    const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+    // ═══════════════════════════════════════════════════════════════
+    // IDS
+    // ═══════════════════════════════════════════════════════════════
+
+    function uuid() {
+        if (window.crypto?.randomUUID) return window.crypto.randomUUID();
+        const bytes = new Uint8Array(16);
+        window.crypto.getRandomValues(bytes);
+        return formatUUID(bytes, 4);
+    }
+
+    function formatUUID(bytes, version) {
+        bytes[6] = (bytes[6] & 0x0f) | (version << 4);
+        bytes[8] = (bytes[8] & 0x3f) | 0x80;
+        const hex = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+        return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+    }
+
+    /**
+     * Deterministic UUID (version 8) from a string - four FNV-1a passes
+     * with different offsets. Not cryptographic; only has to be stable.
+     */
+    function stableId(seed) {
+        const bytes = new Uint8Array(16);
+        for (let part = 0; part < 4; part++) {
+            let hash = (0x811c9dc5 ^ Math.imul(part + 1, 0x9e3779b1)) >>> 0;
+            for (let i = 0; i < seed.length; i++) {
+                hash ^= seed.charCodeAt(i);
+                hash = Math.imul(hash, 0x01000193) >>> 0;
+            }
+            bytes[part * 4] = hash >>> 24;
+            bytes[part * 4 + 1] = (hash >>> 16) & 0xff;
+            bytes[part * 4 + 2] = (hash >>> 8) & 0xff;
+            bytes[part * 4 + 3] = hash & 0xff;
+        }
+        return formatUUID(bytes, 8);
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // SHAPES
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Legacy { weight, reps, sets: n } becomes n entries in a sets list;
+     * exercises that already have one get units and set types filled in
+     */
+    function normalizeExercise(ex) {
+        if (Array.isArray(ex.sets)) {
+            return {
+                ...ex,
+                sets: ex.sets.map(set => ({ ...set, unit: set.unit || ex.unit || 'lbs', set_type: set.set_type || 'normal' }))
+            };
+        }
+        const { weight, reps, sets, set_type, ...rest } = ex;
+        const set = { weight: parseFloat(weight) || 0, reps: parseInt(reps) || 0, unit: ex.unit || 'lbs', set_type: set_type || 'normal' };
+        return { ...rest, sets: Array.from({ length: parseInt(sets) || 1 }, () => ({ ...set })) };
+    }
+
+    function workoutExercises(activity) {
+        return activity?.data?.exercises || [];
+    }
+
+    // Milliseconds for sorting and recency, whatever the stored form
+    function activityTime(activity) {
+        return new Date(activity?.timestamp || 0).getTime() || 0;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // MIGRATIONS
+    // ═══════════════════════════════════════════════════════════════
+
+    const MIGRATIONS = [
+        {
+            version: 1,
+            description: 'Stable UUIDs for every activity',
+            activity(activity, date) {
+                if (typeof activity.id === 'string' && UUID_PATTERN.test(activity.id)) return;
+                const seed = activity.id != null
+                    ? `id:${activity.id}`
+                    : activity.sessionId
+                        ? `session:${activity.sessionId}`
+                        : `${date}|${activity.type}|${activity.timestamp || ''}|${activity.time || ''}|${activity.raw || ''}`;
+                activity.id = stableId(seed);
+            }
+        },
+        {
+            version: 2,
+            description: 'Workouts keep exercises in data.exercises with a sets list',
+            activity(activity) {
+                if (activity.type === 'workout') {
+                    // v2 sessions logged exerciseDetails and summary beside data
+                    const data = activity.data || {};
+                    activity.data = {
+                        ...data,
+                        exercises: (data.exercises || activity.exerciseDetails || []).map(normalizeExercise),
+                        ...(activity.summary && !data.summary ? { summary: activity.summary } : {})
+                    };
+                    delete activity.exerciseDetails;
+                    delete activity.summary;
+                } else if (activity.type === 'food') {
+                    activity.data = { items: [], totals: { calories: 0, protein: 0, carbs: 0, fat: 0 }, servings: 1, ...(activity.data || {}) };
+                } else if (!activity.data) {
+                    activity.data = {};
+                }
+            }
+        },
+        {
+            version: 3,
+            description: 'ISO timestamps',
+            activity(activity, date) {
+                if (typeof activity.timestamp === 'number') {
+                    activity.timestamp = new Date(activity.timestamp).toISOString();
+                } else if (!activity.timestamp || isNaN(new Date(activity.timestamp).getTime())) {
+                    activity.timestamp = new Date(`${date}T12:00:00`).toISOString();
+                }
+            }
+        },
+        {
+            version: 4,
+            description: 'Water logged as food becomes hydration',
+            activity(activity) {
+                const items = activity.data?.items;
+                if (activity.type !== 'food' || items?.length !== 1) return;
+                if (!/^water$/i.test(items[0].name?.trim() || '') || parseFloat(items[0].calories) > 0) return;
+                // Only the raw text kept the amount; entries it can't be read from stay food
+                const water = window.MacraHydration?.parse(activity.raw);
+                if (!water) return;
+                activity.type = 'hydration';
+                activity.data = water;
+            }
+        }
+    ];
+
+    const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+    function needsMigration(data) {
+        return (data?.schemaVersion || 0) < SCHEMA_VERSION;
+    }
+
+    /**
+     * Upgrade appData in place
+     * @returns {Object} - { from, to, applied: [description] }
+     */
+    function migrate(data) {
+        const from = data.schemaVersion || 0;
+        const applied = [];
+        MIGRATIONS.filter(m => m.version > from).forEach(migration => {
+            for (const [date, activities] of Object.entries(data.activities || {})) {
+                (activities || []).forEach(activity => migration.activity(activity, date));
+            }
+            data.schemaVersion = migration.version;
+            applied.push(migration.description);
+            console.log(`🗂️ Schema migration ${migration.version}: ${migration.description}`);
+        });
+        return { from, to: data.schemaVersion || from, applied };
+    }
+
+    /**
+     * One activity of unknown age (cloud record, backup file) to the
+     * current shape. Returns the same object.
+     */
+    function migrateActivity(activity, date) {
+        MIGRATIONS.forEach(migration => migration.activity(activity, date));
+        return activity;
+    }
+
+    /**
+     * New activity in the current shape
+     * @param {Object} fields - { type, data, ... } - anything else is kept as-is
+     * @param {Date} at - When it happened (default now)
+     */
+    function createActivity(fields, at = new Date()) {
+        const activity = {
+            id: uuid(),
+            time: at.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true }),
+            timestamp: at.toISOString(),
+            ...fields
+        };
+        return migrateActivity(activity, null);
+    }
+
+    window.MacraSchema = {
+        uuid, stableId, normalizeExercise, workoutExercises, activityTime,
+        needsMigration, migrate, migrateActivity, createActivity,
+        MIGRATIONS, SCHEMA_VERSION,
+        version: '1.0.0'
+    };
+
+    console.log(`🗂️ MACRA Activity Schema v1.0 loaded (schema ${SCHEMA_VERSION})`);
+
+})(window);
@@ -0,0 +1,131 @@
+/**
+ * MACRA UNITS v1.0
+ * ══════════════════════════════════════════════════════════════
+ *
+ * kg / lbs handling for lifts and weigh-ins.
+ *
+ * STORAGE:
+ * ─────────
+ * Every set and weigh-in keeps the number the user logged plus the
+ * unit it is in ({ weight: 100, unit: 'kg' }). Anything logged before
+ * units existed has no unit and is lbs. Nothing is rewritten when the
+ * preference changes - values are converted when they are shown.
+ *
+ * COMPARISONS:
+ * ─────────────
+ * PR records stay in lbs (their canonical unit) and volume is summed
+ * after converting each set, so history logged in mixed units still
+ * compares correctly.
+ *
+ * The display preference is appData.profile.weightUnit ('lbs' | 'kg').
+ *
+ * @version 1.0.0
+ * @author MSG Headquarters / Aurelius Koda
+ */
+
+(function(window) {
+    'use strict';
+
+    const KG_PER_LB = 0.45359237;
+    const UNITS = ['lbs', 'kg'];
+    const DEFAULT_UNIT = 'lbs';
+
+    const UNIT_ALIASES = {
+        lbs: /^(?:lbs?|lbs\.|pounds?|#)$/i,
+        kg: /^(?:kgs?|kilos?|kilograms?)$/i
+    };
+
+    // "100kg", "225 lb", "82.5 kilos" - the number and its unit word
+    const WEIGHT_PATTERN = /(\d+(?:\.\d+)?)\s*(lbs?|pounds?|kgs?|kilos?|kilograms?)\b/i;
+
+    /**
+     * Map free-form unit text to 'kg' / 'lbs'
+     * @returns {string|null} - null when the text isn't a weight unit
+     */
+    function normalizeUnit(text) {
+        if (!text) return null;
+        const value = String(text).trim();
+        return UNITS.find(unit => UNIT_ALIASES[unit].test(value)) || null;
+    }
+
+    function getPreference() {
+        const unit = typeof appData !== 'undefined' ? appData.profile?.weightUnit : null;
+        return UNITS.includes(unit) ? unit : DEFAULT_UNIT;
+    }
+
+    function setPreference(unit) {
+        if (!UNITS.includes(unit) || typeof appData === 'undefined') return;
+        appData.profile.weightUnit = unit;
+        if (typeof saveData === 'function') saveData();
+    }
+
+    function round(value, decimals = 1) {
+        const factor = Math.pow(10, decimals);
+        return Math.round(value * factor) / factor;
+    }
+
+    /**
+     * @param {number} value - Weight
+     * @param {string} from - Unit it's in (missing = lbs, for historic data)
+     * @param {string} to - Unit wanted
+     */
+    function convert(value, from, to) {
+        const amount = parseFloat(value) || 0;
+        const source = normalizeUnit(from) || DEFAULT_UNIT;
+        const target = normalizeUnit(to) || DEFAULT_UNIT;
+        if (source === target) return amount;
+        return source === 'kg' ? amount / KG_PER_LB : amount * KG_PER_LB;
+    }
+
+    function toLbs(value, unit) {
+        return convert(value, unit, 'lbs');
+    }
+
+    function toPreferred(value, unit, decimals = 1) {
+        return round(convert(value, unit, getPreference()), decimals);
+    }
+
+    // Preferred-unit number back to a given unit (e.g. an edited field)
+    function fromPreferred(value, unit) {
+        return round(convert(value, getPreference(), unit), 2);
+    }
+
+    /**
+     * "225 lbs" / "102.1 kg" in the user's preferred unit
+     * @param {number} value - Weight
+     * @param {string} unit - Unit it's stored in
+     * @param {number} decimals - Rounding (0 for volume totals)
+     */
+    function format(value, unit, decimals = 1) {
+        return `${toPreferred(value, unit, decimals).toLocaleString()} ${getPreference()}`;
+    }
+
+    /**
+     * Sum of weight × reps over sets that may be in different units
+     * @param {Array} sets - [{ weight, reps, unit }]
+     * @param {string} unit - Unit of the result (default: preference)
+     */
+    function volume(sets, unit = getPreference()) {
+        return round((sets || []).reduce((sum, set) => sum + convert(set.weight, set.unit, unit) * (parseInt(set.reps) || 0), 0), 0);
+    }
+
+    /**
+     * Find a weight with an explicit unit in free text
+     * @returns {Object|null} - { weight, unit, match }
+     */
+    function parseWeight(text) {
+        const match = String(text || '').match(WEIGHT_PATTERN);
+        if (!match) return null;
+        return { weight: parseFloat(match[1]), unit: normalizeUnit(match[2]), match: match[0] };
+    }
+
+    window.MacraUnits = {
+        normalizeUnit, getPreference, setPreference, convert, toLbs,
+        toPreferred, fromPreferred, format, volume, parseWeight, round,
+        UNITS, KG_PER_LB, WEIGHT_PATTERN,
+        version: '1.0.0'
+    };
+
+    console.log('⚖️ MACRA Units v1.0 loaded');
+
+})(window);
@@ -22,7 +22,68 @@
  * - FIX #2: finalizeWorkout has timeout + error recovery to prevent ghost sessions
  * - FIX #3: renderWorkoutPanel renders inline-editable weight/reps fields
  * 
- * @version 2.1.2
+ * v2.1.3:
+ * - Offline workout writes go to a durable IndexedDB outbox (macra-outbox.js)
+ *   and replay in order, with idempotency keys, when connectivity returns
+ * 
+ * v2.1.4:
+ * - Payloads encrypt with the account data key (MacraCryptoAPI v3.0), not
+ *   the Athlete Code; passthrough while the key is locked
+ * 
+ * v2.1.5:
+ * - Workout templates (appData.workoutTemplates), "Start from template"
+ *   with planned sets as ghost rows, and "repeat last <name>"
+ * 
+ * v2.1.6:
+ * - Rest timer after every set (per-exercise learned defaults, +/-15s),
+ *   background notification via sw.js, actual rest stored on each set
+ * 
+ * v2.1.7:
+ * - Set types (warm-up, drop, failure, AMRAP) and exercise groups
+ *   (supersets / circuits) in the addExercise and updateSet payloads;
+ *   warm-ups don't count toward volume or PRs
+ * 
+ * v2.1.8:
+ * - Training programs (macra-programs.js): the next scheduled day is
+ *   offered on the start screen and finalized sessions feed progression
+ * 
+ * v2.1.9:
+ * - Plate calculator (bar, collars, plate + microplate inventory in lbs
+ *   or kg) and a warm-up generator that logs ramped warm-up sets
+ * 
+ * v2.1.10:
+ * - kg/lbs: every set stores its unit (default: profile preference, or
+ *   the unit typed - "bench 100kg 5x5"); the panel shows the preferred
+ *   unit and session volume is summed in lbs across mixed units
+ * 
+ * v2.1.11:
+ * - Offline parsing goes through macra-exercise-parser.js (several sets
+ *   per line, bodyweight + load, RPE/RIR, timed holds, per-side
+ *   dumbbells); sets can carry bodyweight, per_side and duration
+ * 
+ * v2.1.12:
+ * - Exercises logged offline take their category from the exercise
+ *   catalog (macra-exercises.js) instead of 'other'
+ * 
+ * v2.1.13:
+ * - Next-exercise prediction falls back to macra-predictor.js when the
+ *   server has no answer; both are compared when they do. The card
+ *   shows a target weight × reps and "Yes, Log It" prefills it
+ * 
+ * v2.1.14:
+ * - Finished workouts get an activity id so the timeline can edit them
+ * 
+ * v2.1.15:
+ * - Finished workouts are built with MacraSchema.createActivity: UUID,
+ *   ISO timestamp, exercises and summary under data (macra-schema.js)
+ * 
+ * v2.1.16:
+ * - The active workout is saved to IndexedDB on every change. On launch
+ *   it is reconciled with /api/v2/workout/active; stale (4h+), offline
+ *   or server-lost sessions are offered as resume / finalize / discard
+ *   instead of being auto-cancelled
+ * 
+ * @version 2.1.16
  * @author MSG Headquarters / Aurelius Koda
  */
 
@@ -32,42 +93,51 @@
 
 const MacraCrypto = {
     /**
-     * ENCRYPTION HOOK - Currently passthrough, v2.1 will encrypt here
+     * ENCRYPTION HOOK - encrypts with the account data key. Without a
+     * passphrase the key is unlocked with the Athlete Code (see
+     * MacraCryptoAPI.ensureDataKey); a locked passphrase key throws
+     * rather than sending plaintext. Passthrough (v2.0 mode) only
+     * without Web Crypto or an Athlete Code, as before v3.0.
      * @param {Object} data - Data to encrypt
-     * @param {string} athleteCode - User's athlete code (e.g., MACRA-XXXX)
-     * @returns {Object|string} - Encrypted payload (v2.1) or original data (v2.0)
+     * @returns {Object} - Encrypted envelope (v3.0) or original data
      */
-    encrypt(data, athleteCode = null) {
-        // v2.0: Passthrough - data goes to API unencrypted
-        // v2.1: Will derive key from athleteCode and encrypt
-        if (typeof window.macraEncrypt === 'function' && athleteCode) {
-            return window.macraEncrypt(data, athleteCode);
+    async encrypt(data) {
+        if (typeof window.macraEncrypt !== 'function' || typeof MacraCryptoAPI === 'undefined' || !MacraCryptoAPI.isSupported()) {
+            return data;
         }
-        return data;
+        await MacraCryptoAPI.ready;
+        if (await MacraCryptoAPI.ensureDataKey(this.getAthleteCode())) {
+            return window.macraEncrypt(data);
+        }
+        if (!MacraCryptoAPI.getKeyring()) return data;
+        showToast('🔐 Unlock encryption in Settings to log workouts');
+        throw new Error('Encryption is locked - unlock with your passphrase');
     },
 
     /**
-     * DECRYPTION HOOK - Currently passthrough
-     * @param {Object|string} payload - Encrypted payload
-     * @param {string} athleteCode - User's athlete code
+     * DECRYPTION HOOK
+     * @param {Object} payload - Encrypted envelope or plain data
+     * @param {string} athleteCode - Only used for legacy v2.1 envelopes
      * @returns {Object} - Decrypted data
      */
     decrypt(payload, athleteCode = null) {
-        if (typeof window.macraDecrypt === 'function' && athleteCode) {
+        if (typeof window.macraDecrypt === 'function' && payload && payload._encrypted) {
             return window.macraDecrypt(payload, athleteCode);
         }
         return payload;
     },
 
     /**
-     * Check if encryption is available
+     * Check if encryption is available (data key unlocked on this device)
      */
     isEnabled() {
-        return typeof window.macraEncrypt === 'function';
+        return typeof window.macraEncrypt === 'function' &&
+            typeof MacraCryptoAPI !== 'undefined' && MacraCryptoAPI.isUnlocked();
     },
 
     /**
-     * Get user's athlete code from auth state
+     * Get user's athlete code from auth state - a social identifier now,
+     * only needed to read payloads written before the v3.0 data key
      */
    getAthleteCode() {
         try {
@@ -103,10 +173,25 @@ const UnifiedState = {
     // Last known exercise for add-set auto-populate
     lastExercise: null,
     
+    // Planned exercises for the active session (template / repeat last)
+    plan: null,
+    
+    // Rest countdown { exerciseName, duration, endsAt } and its interval
+    rest: null,
+    restInterval: null,
+    
+    // When the last set was logged, for the actual rest on the next one
+    lastSetAt: null,
+    
+    // Session found on launch that needs resume / finalize / discard
+    // { workout, reason, resumable }, and the one the user chose to resume
+    recoveredWorkout: null,
+    resumedSessionId: null,
+    
     // Connection status
     isOnline: navigator.onLine,
     
-    // Pending sync queue (for offline support)
+    // Mirror of the durable offline outbox (MacraOutbox) for rendering
     syncQueue: []
 };
 
@@ -123,23 +208,35 @@ async function unifiedApiCall(endpoint, options = {}) {
         return { ok: false, error: 'Not authenticated' };
     }
     
+    const { idempotencyKey, localRef, dependsOn, fromOutbox, ...fetchOptions } = options;
+    const method = (fetchOptions.method || 'GET').toUpperCase();
+    
     const headers = {
         'Content-Type': 'application/json',
         'Authorization': `Bearer ${token}`
     };
     
+    // Writes carry one key across every attempt so replays can't double-apply
+    const key = idempotencyKey || (method !== 'GET' && typeof MacraOutbox !== 'undefined' ? MacraOutbox.generateKey() : null);
+    if (key) headers['Idempotency-Key'] = key;
+    
     try {
         const response = await fetch(`${API_BASE}${endpoint}`, {
-            ...options,
-            headers: { ...headers, ...options.headers }
+            ...fetchOptions,
+            headers: { ...headers, ...fetchOptions.headers }
         });
         return response;
     } catch (error) {
         console.error('API Error:', error);
-        // Queue for offline sync if needed
-        if (!navigator.onLine && options.method !== 'GET') {
-            UnifiedState.syncQueue.push({ endpoint, options, timestamp: Date.now() });
-            showToast('📴 Saved offline - will sync when connected');
+        // Queue workout writes in the durable outbox for replay
+        if (!fromOutbox && typeof MacraOutbox !== 'undefined' && MacraOutbox.isReplayable(endpoint, method)) {
+            try {
+                await MacraOutbox.enqueue({ endpoint, method, body: fetchOptions.body, idempotencyKey: key, localRef, dependsOn });
+                error.queued = true;
+                showToast('📴 Saved offline - will sync when connected');
+            } catch (queueError) {
+                console.error('Outbox enqueue failed:', queueError);
+            }
         }
         throw error;
     }
@@ -166,49 +263,343 @@ async function unifiedApiCallWithTimeout(endpoint, options = {}, timeoutMs = 150
         clearTimeout(timeoutId);
         if (error.name === 'AbortError') {
             console.error(`API call to ${endpoint} timed out after ${timeoutMs}ms`);
-            throw new Error(`Request timed out after ${timeoutMs / 1000}s`);
+            const timeoutError = new Error(`Request timed out after ${timeoutMs / 1000}s`);
+            timeoutError.queued = !!error.queued;
+            throw timeoutError;
         }
         throw error;
     }
 }
 
+// ═══════════════════════════════════════════════════════════════
+// OFFLINE OUTBOX
+// ═══════════════════════════════════════════════════════════════
+//
+// Workout writes that fail offline are queued by unifiedApiCall and
+// applied to UnifiedState.activeWorkout optimistically. Sessions and
+// exercises created offline get "local-" ids; once the server creates
+// the real ones during replay, later queued calls are rewritten to use them.
+
+const LOCAL_ID_PREFIX = 'local-';
+const OUTBOX_ID_MAP_KEY = 'macra_outbox_id_map';
+
+function createLocalId() {
+    const key = typeof MacraOutbox !== 'undefined' ? MacraOutbox.generateKey() : String(Date.now());
+    return LOCAL_ID_PREFIX + key;
+}
+
+function isLocalId(id) {
+    return typeof id === 'string' && id.startsWith(LOCAL_ID_PREFIX);
+}
+
+// The local ids a queued call uses, so replay can skip it if their creation failed
+function localDependencies(...ids) {
+    return ids.filter(isLocalId);
+}
+
+function loadOutboxIdMap() {
+    try {
+        return JSON.parse(localStorage.getItem(OUTBOX_ID_MAP_KEY) || '{}');
+    } catch (e) {
+        return {};
+    }
+}
+
+function resolveOutboxId(id) {
+    return loadOutboxIdMap()[id] || id;
+}
+
+/**
+ * Remember which server ids replaced our local ones
+ * @param {Object} localRef - { session, exercise } local ids from the queued call
+ * @param {Object} session - Decrypted session returned by the server
+ * @param {Object} sent - Plaintext payload that was replayed
+ */
+function recordServerIds(localRef, session, sent) {
+    const map = loadOutboxIdMap();
+
+    if (localRef.session && session.id) {
+        map[localRef.session] = session.id;
+    }
+    if (localRef.exercise && sent?.exercise_name) {
+        const name = sent.exercise_name.toLowerCase();
+        const match = (session.exercises || []).filter(ex => ex.name?.toLowerCase() === name).pop();
+        if (match) map[localRef.exercise] = match.id;
+    }
+
+    localStorage.setItem(OUTBOX_ID_MAP_KEY, JSON.stringify(map));
+}
+
+/**
+ * Replay a single outbox entry - used as the MacraOutbox.replay sender
+ */
+async function sendOutboxEntry(entry) {
+    const athleteCode = MacraCrypto.getAthleteCode();
+    let body = entry.body;
+    let plain = null;
+
+    if (body) {
+        try {
+            const stored = JSON.parse(body);
+            plain = await MacraCrypto.decrypt(stored, athleteCode);
+            if (plain.session_id) plain.session_id = resolveOutboxId(plain.session_id);
+            if (plain.exercise_id) plain.exercise_id = resolveOutboxId(plain.exercise_id);
+            body = JSON.stringify(stored._encrypted ? await MacraCrypto.encrypt(plain) : plain);
+        } catch (e) {
+            console.warn('Outbox entry could not be rewritten, sending as queued:', e);
+        }
+    }
+
+    const res = await unifiedApiCall(entry.endpoint, {
+        method: entry.method,
+        body,
+        idempotencyKey: entry.idempotencyKey,
+        fromOutbox: true
+    });
+
+    // unifiedApiCall returns a bare object when logged out - keep the entry queued
+    if (res.status === undefined) throw new Error(res.error || 'Not authenticated');
+
+    if (res.ok && entry.localRef) {
+        const data = await res.clone().json().catch(() => null);
+        if (data?.session) {
+            const session = await MacraCrypto.decrypt(data.session, athleteCode);
+            recordServerIds(entry.localRef, session, plain);
+        }
+    } else if (!res.ok && entry.localRef?.session) {
+        // Server already had a session open - log the offline sets into that one
+        const err = await res.clone().json().catch(() => null);
+        if (err?.session_id) {
+            recordServerIds(entry.localRef, { id: err.session_id }, plain);
+            return { ok: true, status: res.status };
+        }
+    }
+
+    return res;
+}
+
+/**
+ * Replay everything in the outbox, then swap local state for the server's
+ */
+async function processSyncQueue() {
+    if (typeof MacraOutbox === 'undefined' || !navigator.onLine) return null;
+
+    try {
+        const summary = await MacraOutbox.replay(sendOutboxEntry);
+
+        if (summary.sent > 0) {
+            showToast(`☁️ Synced ${summary.sent} offline change${summary.sent > 1 ? 's' : ''}`);
+        }
+        if (summary.failed > 0) {
+            showToast(`⚠️ ${summary.failed} offline change${summary.failed > 1 ? 's' : ''} could not sync`);
+        }
+
+        const remaining = await MacraOutbox.list();
+        if (!remaining.some(e => e.status === 'pending')) {
+            const workout = UnifiedState.activeWorkout;
+            const hasLocalIds = workout && (isLocalId(workout.id) || (workout.exercises || []).some(ex => isLocalId(ex.id)));
+            if (hasLocalIds && summary.sent > 0) {
+                await getActiveWorkout();
+                restoreWorkoutPlan();
+                renderWorkoutPanel();
+            }
+            if (remaining.length === 0) localStorage.removeItem(OUTBOX_ID_MAP_KEY);
+        }
+
+        return summary;
+    } catch (e) {
+        console.error('Sync queue error:', e);
+        return null;
+    }
+}
+
+async function retryFailedSync() {
+    await MacraOutbox.retryFailed();
+    await processSyncQueue();
+}
+
+async function discardFailedSync() {
+    if (!confirm('Discard offline changes that failed to sync?')) return;
+    await MacraOutbox.discardFailed();
+    showToast('🗑️ Failed changes discarded');
+}
+
+// Optimistic local updates for calls that were queued offline
+function applyLocalExercise(exerciseData, localExerciseId) {
+    const workout = UnifiedState.activeWorkout;
+    if (!workout.exercises) workout.exercises = [];
+
+    const name = exerciseData.exercise_name.toLowerCase();
+    let exercise = workout.exercises.find(ex => ex.name?.toLowerCase() === name);
+    if (!exercise) {
+        exercise = { id: localExerciseId, name: exerciseData.exercise_name, category: MacraExercises.resolve(exerciseData.exercise_name)?.category || 'other', sets: [] };
+        workout.exercises.push(exercise);
+    }
+    if (!exercise.sets) exercise.sets = [];
+    if (exerciseData.group_id) exercise.group_id = exerciseData.group_id;
+
+    for (let i = 0; i < exerciseData.sets; i++) {
+        exercise.sets.push({
+            set_num: exercise.sets.length + 1,
+            weight: exerciseData.weight,
+            reps: exerciseData.reps,
+            rpe: exerciseData.rpe,
+            set_type: exerciseData.set_type,
+            unit: exerciseData.unit,
+            bodyweight: exerciseData.bodyweight,
+            per_side: exerciseData.per_side,
+            duration: exerciseData.duration,
+            _pending: true
+        });
+    }
+}
+
+function applyLocalSetUpdate(updateData) {
+    const exercise = UnifiedState.activeWorkout?.exercises?.find(e => e.id === updateData.exercise_id);
+    const set = exercise?.sets?.find(s => s.set_num === updateData.set_num);
+    if (!set) return;
+    set.weight = updateData.weight;
+    set.reps = updateData.reps;
+    set.rpe = updateData.rpe;
+    set.set_type = updateData.set_type;
+    set.unit = updateData.unit;
+    if ('group_id' in updateData) exercise.group_id = updateData.group_id;
+    set._pending = true;
+}
+
+function applyLocalDelete(exerciseId, setNum) {
+    const workout = UnifiedState.activeWorkout;
+    if (!workout?.exercises) return;
+
+    if (setNum === null) {
+        workout.exercises = workout.exercises.filter(e => e.id !== exerciseId);
+        return;
+    }
+    const exercise = workout.exercises.find(e => e.id === exerciseId);
+    if (!exercise?.sets) return;
+    exercise.sets = exercise.sets.filter(s => s.set_num !== setNum);
+    exercise.sets.forEach((s, i) => { s.set_num = i + 1; });
+}
+
+// Keep the actual rest on the first new set if the server didn't echo it
+function applyActualRest(exerciseName, previousSetCount, restSeconds) {
+    if (restSeconds == null) return;
+    const exercise = UnifiedState.activeWorkout?.exercises?.find(ex => ex.name?.toLowerCase() === exerciseName.toLowerCase());
+    const set = exercise?.sets?.[previousSetCount];
+    if (set && set.rest == null) set.rest = restSeconds;
+}
+
+/**
+ * Pending/failed outbox counts for the workout panel
+ */
+function renderSyncStatus() {
+    const queue = UnifiedState.syncQueue || [];
+    const pending = queue.filter(e => e.status === 'pending').length;
+    const failed = queue.filter(e => e.status === 'failed').length;
+    if (!pending && !failed) return '';
+
+    return `
+        <div class="v2-sync-status" style="display: flex; align-items: center; gap: 12px; flex-wrap: wrap; padding: 8px 12px; margin-bottom: 12px; background: var(--onyx); border: 1px solid var(--white-10); border-radius: 8px; font-size: 12px;">
+            ${pending ? `<span style="color: var(--prism-amber);">⏳ ${pending} waiting to sync</span>` : ''}
+            ${failed ? `<span style="color: var(--prism-rose);">⚠️ ${failed} failed</span>` : ''}
+            <span style="margin-left: auto; display: flex; gap: 8px;">
+                ${pending && navigator.onLine ? '<button class="btn btn-ghost btn-sm" onclick="processSyncQueue()" style="font-size: 11px; padding: 4px 8px;">Sync now</button>' : ''}
+                ${failed ? '<button class="btn btn-ghost btn-sm" onclick="retryFailedSync()" style="font-size: 11px; padding: 4px 8px;">Retry</button>' : ''}
+                ${failed ? '<button class="btn btn-ghost btn-sm" onclick="discardFailedSync()" style="font-size: 11px; padding: 4px 8px; color: var(--prism-rose);">Discard</button>' : ''}
+            </span>
+        </div>
+    `;
+}
+
+function updateSyncStatusDisplay() {
+    const el = document.getElementById('v2SyncStatus');
+    if (el) el.innerHTML = renderSyncStatus();
+}
+
+if (typeof MacraOutbox !== 'undefined') {
+    MacraOutbox.onChange(entries => {
+        UnifiedState.syncQueue = entries;
+        updateSyncStatusDisplay();
+    });
+    MacraOutbox.list()
+        .then(entries => { UnifiedState.syncQueue = entries; updateSyncStatusDisplay(); })
+        .catch(e => console.warn('Outbox unavailable:', e));
+
+    // Queued bodies are stored encrypted - move them to the new data key
+    if (typeof MacraCryptoAPI !== 'undefined') {
+        MacraCryptoAPI.onKeyRotated(async (reencrypt) => {
+            const athleteCode = MacraCrypto.getAthleteCode();
+            for (const entry of await MacraOutbox.list()) {
+                if (!entry.body) continue;
+                const stored = JSON.parse(entry.body);
+                if (!stored._encrypted) continue;
+                entry.body = JSON.stringify(await reencrypt(stored, athleteCode));
+                await MacraOutbox.update(entry);
+            }
+        });
+    }
+}
+
 // ═══════════════════════════════════════════════════════════════
 // WORKOUT SESSION FUNCTIONS
 // ═══════════════════════════════════════════════════════════════
 
 /**
- * Get any active workout from the backend
+ * Ask the backend for its active workout
+ * @returns {Object} - { reachable, session } - session is null when there is none
  */
-async function getActiveWorkout() {
+async function fetchActiveWorkout() {
     try {
         const res = await unifiedApiCall('/api/v2/workout/active');
         if (res.ok) {
             const data = await res.json();
             // Decrypt if encryption enabled
-            UnifiedState.activeWorkout = await MacraCrypto.decrypt(data.session, MacraCrypto.getAthleteCode());
-            return UnifiedState.activeWorkout;
+            return { reachable: true, session: await MacraCrypto.decrypt(data.session, MacraCrypto.getAthleteCode()) };
         }
     } catch (e) {
         console.error('Get active workout error:', e);
     }
-    return null;
+    return { reachable: false, session: null };
+}
+
+/**
+ * Get any active workout from the backend
+ */
+async function getActiveWorkout() {
+    const { reachable, session } = await fetchActiveWorkout();
+    if (!reachable) return null;
+    UnifiedState.activeWorkout = session;
+    saveActiveWorkout();
+    return session;
 }
 
 /**
  * Start a new workout session
  */
 async function startWorkout(workoutName = null) {
+    // A recovered session is waiting for a decision - logging picks it back up
+    if (UnifiedState.recoveredWorkout) {
+        if (UnifiedState.recoveredWorkout.resumable) return resumeRecoveredWorkout();
+        showToast('⏸️ Finalize or discard your unfinished workout first');
+        return null;
+    }
+
+    // Used as the session id if we end up starting offline
+    const localSessionId = createLocalId();
+
     try {
-        const payload = await MacraCrypto.encrypt({ workout_name: workoutName }, MacraCrypto.getAthleteCode());
-        
+        const payload = await MacraCrypto.encrypt({ workout_name: workoutName });
+
         const res = await unifiedApiCall('/api/v2/workout/start', {
             method: 'POST',
-            body: JSON.stringify(payload)
+            body: JSON.stringify(payload),
+            localRef: { session: localSessionId }
         });
         
         if (res.ok) {
             const data = await res.json();
             UnifiedState.activeWorkout = await MacraCrypto.decrypt(data.session, MacraCrypto.getAthleteCode());
+            saveActiveWorkout();
             showToast('🏋️ Workout started!');
             startWorkoutTimer();
             renderWorkoutPanel();
@@ -222,6 +613,19 @@ async function startWorkout(workoutName = null) {
             throw new Error(err.error);
         }
     } catch (e) {
+        if (e.queued) {
+            UnifiedState.activeWorkout = {
+                id: localSessionId,
+                workout_name: workoutName,
+                started_at: new Date().toISOString(),
+                exercises: []
+            };
+            saveActiveWorkout();
+            showToast('🏋️ Workout started offline');
+            startWorkoutTimer();
+            renderWorkoutPanel();
+            return UnifiedState.activeWorkout;
+        }
         console.error('Start workout error:', e);
         showToast('❌ Failed to start workout');
     }
@@ -231,48 +635,75 @@ async function startWorkout(workoutName = null) {
 /**
  * Add exercise to the current workout
  * This is the UNIFIED entry point - replaces both old systems
+ * @param {Object} options - { setType, groupId, unit, bodyweight, perSide, duration, originalInput }
+ *                           see SET_TYPES; an existing exercise keeps its group unless
+ *                           groupId is given; unit is 'lbs' | 'kg' (default: the profile
+ *                           preference); bodyweight means weight is added load, perSide
+ *                           that it's per dumbbell/hand; duration is seconds for holds
  */
-async function addExercise(exerciseName, weight, reps, sets = 1, rpe = null) {
+async function addExercise(exerciseName, weight, reps, sets = 1, rpe = null, options = {}) {
     // Auto-start workout if not active
     if (!UnifiedState.activeWorkout) {
         await startWorkout();
     }
     
     if (!UnifiedState.activeWorkout) {
-        showToast('❌ Could not start workout session');
+        if (!UnifiedState.recoveredWorkout) showToast('❌ Could not start workout session');
         return null;
     }
     
+    const unit = MacraUnits.normalizeUnit(options.unit) || MacraUnits.getPreference();
+
     // Save for add-set auto-populate
-    UnifiedState.lastExercise = { name: exerciseName, weight, reps, sets, rpe };
+    UnifiedState.lastExercise = { name: exerciseName, weight, reps, sets, rpe, unit };
+    
+    const existingExercise = UnifiedState.activeWorkout.exercises?.find(ex => ex.name?.toLowerCase() === exerciseName.toLowerCase());
+    const previousSetCount = existingExercise?.sets?.length || 0;
+    const restSeconds = takeActualRest();
+    
+    const exerciseData = {
+        session_id: UnifiedState.activeWorkout.id,
+        exercise_name: exerciseName,
+        original_input: options.originalInput || `${exerciseName} ${weight}${unit} ${sets}x${reps}`,
+        weight: parseFloat(weight) || 0,
+        unit,
+        bodyweight: !!options.bodyweight,
+        per_side: !!options.perSide,
+        duration: parseInt(options.duration) || null,
+        reps: parseInt(reps) || 0,
+        sets: parseInt(sets) || 1,
+        rpe: rpe ? parseFloat(rpe) : null,
+        rest_seconds: restSeconds,
+        set_type: SET_TYPES[options.setType] ? options.setType : 'normal',
+        group_id: options.groupId || existingExercise?.group_id || null
+    };
+    
+    // New exercises get a local id in case this call ends up queued offline
+    const isNewExercise = !UnifiedState.activeWorkout.exercises?.some(ex => ex.name?.toLowerCase() === exerciseName.toLowerCase());
+    const localExerciseId = isNewExercise ? createLocalId() : null;
     
     try {
-        const exerciseData = {
-            session_id: UnifiedState.activeWorkout.id,
-            exercise_name: exerciseName,
-            original_input: `${exerciseName} ${weight}lbs ${sets}x${reps}`,
-            weight: parseFloat(weight) || 0,
-            reps: parseInt(reps) || 0,
-            sets: parseInt(sets) || 1,
-            rpe: rpe ? parseFloat(rpe) : null
-        };
-        
-        const payload = await MacraCrypto.encrypt(exerciseData, MacraCrypto.getAthleteCode());
+        const payload = await MacraCrypto.encrypt(exerciseData);
         
         const res = await unifiedApiCall('/api/v2/workout/exercise', {
             method: 'POST',
-            body: JSON.stringify(payload)
+            body: JSON.stringify(payload),
+            localRef: localExerciseId ? { exercise: localExerciseId } : null,
+            dependsOn: localDependencies(exerciseData.session_id)
         });
         
         if (res.ok) {
             const data = await res.json();
             UnifiedState.activeWorkout = await MacraCrypto.decrypt(data.session, MacraCrypto.getAthleteCode());
+            applyActualRest(exerciseName, previousSetCount, restSeconds);
+            saveActiveWorkout();
+            const nextInGroup = startRestForExercise(exerciseName);
             renderWorkoutPanel();
             
             // Get AI prediction for next exercise
             getPrediction();
             
-            showToast(`✓ ${exerciseName} logged`);
+            showToast(nextInGroup ? `✓ ${exerciseName} logged · ➡️ Next: ${nextInGroup}` : `✓ ${exerciseName} logged`);
             return UnifiedState.activeWorkout;
         } else {
             const err = await res.json();
@@ -280,6 +711,14 @@ async function addExercise(exerciseName, weight, reps, sets = 1, rpe = null) {
             showToast('❌ Failed to log exercise');
         }
     } catch (e) {
+        if (e.queued) {
+            applyLocalExercise(exerciseData, localExerciseId);
+            applyActualRest(exerciseName, previousSetCount, restSeconds);
+            saveActiveWorkout();
+            startRestForExercise(exerciseName);
+            renderWorkoutPanel();
+            return UnifiedState.activeWorkout;
+        }
         console.error('Add exercise error:', e);
         showToast('❌ Failed to log exercise');
     }
@@ -290,7 +729,7 @@ async function addExercise(exerciseName, weight, reps, sets = 1, rpe = null) {
  * Quick add set - auto-populates from last exercise or specified exercise
  */
 async function quickAddSet(exerciseId = null, exerciseName = null) {
-    let weight, reps;
+    let weight, reps, unit;
     
     if (exerciseId && UnifiedState.activeWorkout) {
         // Find the exercise and get last set values
@@ -299,12 +738,14 @@ async function quickAddSet(exerciseId = null, exerciseName = null) {
             const lastSet = exercise.sets[exercise.sets.length - 1];
             weight = lastSet.weight;
             reps = lastSet.reps;
+            unit = lastSet.unit;
             exerciseName = exercise.name;
         }
     } else if (UnifiedState.lastExercise) {
         // Use last logged exercise
         weight = UnifiedState.lastExercise.weight;
         reps = UnifiedState.lastExercise.reps;
+        unit = UnifiedState.lastExercise.unit;
         exerciseName = UnifiedState.lastExercise.name;
     }
     
@@ -314,39 +755,54 @@ async function quickAddSet(exerciseId = null, exerciseName = null) {
     }
     
     // Add the set with same values
-    await addExercise(exerciseName, weight, reps, 1);
+    await addExercise(exerciseName, weight, reps, 1, null, { unit });
 }
 
 /**
  * Update an existing set
+ * @param {Object} options - { setType, groupId, unit } - groupId (null to ungroup)
+ *                           applies to the whole exercise; unit defaults to the
+ *                           set's current unit
  */
-async function updateSet(exerciseId, setNum, weight, reps, rpe = null) {
+async function updateSet(exerciseId, setNum, weight, reps, rpe = null, options = {}) {
     if (!UnifiedState.activeWorkout) return null;
     
+    const current = UnifiedState.activeWorkout.exercises?.find(e => e.id === exerciseId)?.sets?.find(s => s.set_num === setNum);
+    const updateData = {
+        session_id: UnifiedState.activeWorkout.id,
+        exercise_id: exerciseId,
+        set_num: setNum,
+        weight: parseFloat(weight) || 0,
+        reps: parseInt(reps) || 0,
+        rpe: rpe ? parseFloat(rpe) : null,
+        set_type: SET_TYPES[options.setType] ? options.setType : (current?.set_type || 'normal'),
+        unit: MacraUnits.normalizeUnit(options.unit) || current?.unit || 'lbs'
+    };
+    if (options.groupId !== undefined) updateData.group_id = options.groupId;
+    
     try {
-        const updateData = {
-            session_id: UnifiedState.activeWorkout.id,
-            exercise_id: exerciseId,
-            set_num: setNum,
-            weight: parseFloat(weight) || 0,
-            reps: parseInt(reps) || 0,
-            rpe: rpe ? parseFloat(rpe) : null
-        };
-        
-        const payload = await MacraCrypto.encrypt(updateData, MacraCrypto.getAthleteCode());
+        const payload = await MacraCrypto.encrypt(updateData);
         
         const res = await unifiedApiCall('/api/v2/workout/set', {
             method: 'PUT',
-            body: JSON.stringify(payload)
+            body: JSON.stringify(payload),
+            dependsOn: localDependencies(updateData.session_id, exerciseId)
         });
         
         if (res.ok) {
             const data = await res.json();
             UnifiedState.activeWorkout = await MacraCrypto.decrypt(data.session, MacraCrypto.getAthleteCode());
+            saveActiveWorkout();
             renderWorkoutPanel();
             return UnifiedState.activeWorkout;
         }
     } catch (e) {
+        if (e.queued) {
+            applyLocalSetUpdate(updateData);
+            saveActiveWorkout();
+            renderWorkoutPanel();
+            return UnifiedState.activeWorkout;
+        }
         console.error('Update set error:', e);
     }
     return null;
@@ -372,12 +828,12 @@ function handleInlineEdit(exerciseId, setNum) {
         const newWeight = parseFloat(weightInput.value) || 0;
         const newReps = parseInt(repsInput.value) || 0;
         
-        // Only update if values actually changed
+        // Only update if values actually changed (the field shows the preferred unit)
         const exercise = UnifiedState.activeWorkout?.exercises?.find(e => e.id === exerciseId);
         const set = exercise?.sets?.find(s => s.set_num === setNum);
         
-        if (set && (set.weight !== newWeight || set.reps !== newReps)) {
-            updateSet(exerciseId, setNum, newWeight, newReps, set.rpe);
+        if (set && (MacraUnits.toPreferred(set.weight, set.unit) !== newWeight || set.reps !== newReps)) {
+            updateSet(exerciseId, setNum, newWeight, newReps, set.rpe, { unit: MacraUnits.getPreference() });
         }
         
         delete _pendingEdits[key];
@@ -397,17 +853,25 @@ async function deleteExercise(exerciseId, setNum = null) {
                 session_id: UnifiedState.activeWorkout.id,
                 exercise_id: exerciseId,
                 set_num: setNum
-            })
+            }),
+            dependsOn: localDependencies(UnifiedState.activeWorkout.id, exerciseId)
         });
         
         if (res.ok) {
             const data = await res.json();
             UnifiedState.activeWorkout = await MacraCrypto.decrypt(data.session, MacraCrypto.getAthleteCode());
+            saveActiveWorkout();
             renderWorkoutPanel();
             showToast('🗑️ Deleted');
             return UnifiedState.activeWorkout;
         }
     } catch (e) {
+        if (e.queued) {
+            applyLocalDelete(exerciseId, setNum);
+            saveActiveWorkout();
+            renderWorkoutPanel();
+            return UnifiedState.activeWorkout;
+        }
         console.error('Delete exercise error:', e);
     }
     return null;
@@ -428,6 +892,7 @@ async function finalizeWorkout(workoutName = null, notes = null) {
     // ── SNAPSHOT workout data BEFORE the API call ──
     // This ensures we have the data even if the API clears it or times out
     const workoutSnapshot = JSON.parse(JSON.stringify(UnifiedState.activeWorkout));
+    const planSource = UnifiedState.plan?.source || null;
     const sessionId = workoutSnapshot.id;
     const finalName = workoutName || workoutSnapshot.workout_name || 'Workout';
     
@@ -435,13 +900,13 @@ async function finalizeWorkout(workoutName = null, notes = null) {
     const localSummary = {
         total_exercises: workoutSnapshot.exercises?.length || 0,
         total_sets: workoutSnapshot.exercises?.reduce((sum, ex) => sum + (ex.sets?.length || 0), 0) || 0,
-        total_volume: workoutSnapshot.exercises?.reduce((sum, ex) => {
-            return sum + (ex.sets || []).reduce((setSum, set) => setSum + ((set.weight || 0) * (set.reps || 0)), 0);
-        }, 0) || 0,
+        // Warm-ups don't count toward volume; totals are stored in lbs
+        total_volume: workoutSnapshot.exercises?.reduce((sum, ex) => sum + workingVolume(ex.sets, 'lbs'), 0) || 0,
         exercises: workoutSnapshot.exercises?.map(ex => ({
             name: ex.name,
             category: ex.category || 'other',
-            sets: ex.sets?.map(s => ({ weight: s.weight, reps: s.reps, rpe: s.rpe })) || []
+            group_id: ex.group_id || null,
+            sets: ex.sets?.map(s => ({ weight: s.weight, reps: s.reps, rpe: s.rpe, rest: s.rest ?? null, set_type: s.set_type || 'normal', unit: s.unit || 'lbs', bodyweight: !!s.bodyweight, per_side: !!s.per_side, duration: s.duration || null })) || []
         })) || [],
         duration: getElapsedTime(),
         started_at: workoutSnapshot.started_at
@@ -449,6 +914,8 @@ async function finalizeWorkout(workoutName = null, notes = null) {
     
     let apiResult = null;
     let apiSuccess = false;
+    let queuedOffline = false;
+    let programResult = null;
     
     try {
         const finalizeData = {
@@ -457,12 +924,13 @@ async function finalizeWorkout(workoutName = null, notes = null) {
             notes: notes
         };
         
-        const payload = await MacraCrypto.encrypt(finalizeData, MacraCrypto.getAthleteCode());
+        const payload = await MacraCrypto.encrypt(finalizeData);
         
         // ── FIX #2: Use timeout to prevent hanging ──
         const res = await unifiedApiCallWithTimeout('/api/v2/workout/finalize', {
             method: 'POST',
-            body: JSON.stringify(payload)
+            body: JSON.stringify(payload),
+            dependsOn: localDependencies(sessionId)
         }, 15000);
         
         if (res.ok) {
@@ -476,6 +944,7 @@ async function finalizeWorkout(workoutName = null, notes = null) {
         }
     } catch (e) {
         console.error('Finalize workout error:', e);
+        queuedOffline = !!e.queued;
         // Don't return — still save locally and clean up state
     }
     
@@ -488,25 +957,36 @@ async function finalizeWorkout(workoutName = null, notes = null) {
         // Use API summary if available, otherwise use local snapshot
         const summary = apiResult?.summary || localSummary;
         
-        const activityEntry = {
+        const activityEntry = MacraSchema.createActivity({
             type: 'workout',
             name: finalName,
-            time: new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
-            timestamp: Date.now(),
             notes: notes || '',
-            summary: {
-                exercises: summary.total_exercises || localSummary.total_exercises,
-                sets: summary.total_sets || localSummary.total_sets,
-                volume: summary.total_volume || localSummary.total_volume,
-                duration: localSummary.duration
+            data: {
+                exercises: localSummary.exercises,
+                summary: {
+                    exercises: summary.total_exercises || localSummary.total_exercises,
+                    sets: summary.total_sets || localSummary.total_sets,
+                    volume: summary.total_volume || localSummary.total_volume,
+                    volumeUnit: 'lbs',
+                    duration: localSummary.duration
+                }
             },
-            exerciseDetails: localSummary.exercises,
             sessionId: sessionId,
             source: 'v2'
-        };
+        });
         
         appData.activities[dateKey].push(activityEntry);
         
+        // Multi-set PRs (e1RM, rep maxes, set + session volume)
+        if (typeof checkForPRs === 'function') {
+            checkForPRs(localSummary.exercises);
+        }
+        
+        // Program day: bump training maxes / deload, move to the next day
+        if (planSource?.type === 'program' && typeof MacraPrograms !== 'undefined') {
+            programResult = MacraPrograms.recordSession(localSummary.exercises, planSource);
+        }
+        
         // Save to localStorage
         if (typeof saveData === 'function') {
             saveData();
@@ -519,21 +999,31 @@ async function finalizeWorkout(workoutName = null, notes = null) {
     
     // ── ALWAYS clean up state (prevents ghost sessions) ──
     stopWorkoutTimer();
+    stopRestTimer();
+    UnifiedState.lastSetAt = null;
     UnifiedState.activeWorkout = null;
     UnifiedState.prediction = null;
     UnifiedState.lastExercise = null;
+    UnifiedState.resumedSessionId = null;
+    saveActiveWorkout();
+    clearWorkoutPlan();
     
     // Update UI
     renderWorkoutPanel();
     
     // Success/partial-success message
     const exerciseCount = localSummary.total_exercises;
-    const totalVolume = localSummary.total_volume;
+    const totalVolume = MacraUnits.format(localSummary.total_volume, 'lbs', 0);
     
     if (apiSuccess) {
-        showToast(`🏁 ${finalName} complete! ${exerciseCount} exercises, ${totalVolume.toLocaleString()} lbs`);
+        showToast(`🏁 ${finalName} complete! ${exerciseCount} exercises, ${totalVolume}`);
+    } else if (queuedOffline) {
+        showToast(`📴 ${finalName} saved offline (${exerciseCount} exercises, ${totalVolume}) — will sync when connected`);
     } else {
-        showToast(`⚠️ ${finalName} saved locally (${exerciseCount} exercises, ${totalVolume.toLocaleString()} lbs) — cloud sync may have failed`);
+        showToast(`⚠️ ${finalName} saved locally (${exerciseCount} exercises, ${totalVolume}) — cloud sync may have failed`);
+    }
+    if (programResult?.changes.length) {
+        setTimeout(() => showToast(MacraPrograms.describeChanges(programResult.changes)), 2800);
     }
     
     // Trigger dashboard refresh
@@ -570,7 +1060,8 @@ async function cancelWorkout() {
     try {
         await unifiedApiCall('/api/v2/workout/cancel', {
             method: 'POST',
-            body: JSON.stringify({ session_id: UnifiedState.activeWorkout.id })
+            body: JSON.stringify({ session_id: UnifiedState.activeWorkout.id }),
+            dependsOn: localDependencies(UnifiedState.activeWorkout.id)
         });
     } catch (e) {
         console.log('Cancel API error (continuing anyway):', e);
@@ -578,116 +1069,1302 @@ async function cancelWorkout() {
     
     // Stop timer
     stopWorkoutTimer();
+    stopRestTimer();
     
     // Clear state
+    UnifiedState.lastSetAt = null;
     UnifiedState.activeWorkout = null;
     UnifiedState.prediction = null;
     UnifiedState.lastExercise = null;
+    UnifiedState.resumedSessionId = null;
+    saveActiveWorkout();
     
+    clearWorkoutPlan();
+
     // Update UI
     renderWorkoutPanel();
     showToast('Workout cancelled');
 }
 
 // ═══════════════════════════════════════════════════════════════
-// TIMER FUNCTIONS
+// SESSION RECOVERY
 // ═══════════════════════════════════════════════════════════════
+//
+// The active workout is written to IndexedDB (MacraDB 'session') after
+// every change, so a tab killed mid-workout - offline or not - loses
+// nothing. On launch the saved copy is reconciled with the server's
+// active session; anything that can't simply carry on (open for more
+// than STALE_WORKOUT_MS, the server unreachable, or gone from the
+// server) is offered back as resume / finalize / discard.
 
-function startWorkoutTimer() {
-    stopWorkoutTimer(); // Clear any existing
-    
-    UnifiedState.timerInterval = setInterval(() => {
-        updateTimerDisplay();
-    }, 1000);
+const SESSION_STORE = 'session';
+const SAVED_SESSION_ID = 'active';
+const STALE_WORKOUT_MS = 4 * 60 * 60 * 1000;
+
+let sessionWrite = Promise.resolve();
+
+/**
+ * Write the active workout (or its absence) to IndexedDB. Writes are
+ * chained so a slow one can't land after a newer one.
+ */
+function saveActiveWorkout() {
+    if (typeof MacraDB === 'undefined') return sessionWrite;
+    const workout = UnifiedState.activeWorkout;
+    const record = workout ? {
+        id: SAVED_SESSION_ID,
+        workout: JSON.parse(JSON.stringify(workout)),
+        resumed: !!UnifiedState.resumedSessionId && resolveOutboxId(UnifiedState.resumedSessionId) === resolveOutboxId(workout.id),
+        savedAt: new Date().toISOString()
+    } : null;
+    sessionWrite = sessionWrite
+        .then(() => record ? MacraDB.put(SESSION_STORE, record) : MacraDB.remove(SESSION_STORE, SAVED_SESSION_ID))
+        .catch(e => console.warn('Could not save the active workout:', e));
+    return sessionWrite;
 }
 
-function stopWorkoutTimer() {
-    if (UnifiedState.timerInterval) {
-        clearInterval(UnifiedState.timerInterval);
-        UnifiedState.timerInterval = null;
+async function loadSavedWorkout() {
+    if (typeof MacraDB === 'undefined') return null;
+    try {
+        return await MacraDB.get(SESSION_STORE, SAVED_SESSION_ID) || null;
+    } catch (e) {
+        console.warn('Could not read the saved workout:', e);
+        return null;
     }
 }
 
-function updateTimerDisplay() {
-    const timerEl = document.getElementById('workoutTimer');
-    if (!timerEl || !UnifiedState.activeWorkout?.started_at) return;
-    
-    const startTime = new Date(UnifiedState.activeWorkout.started_at).getTime();
-    const elapsed = Date.now() - startTime;
-    
-    const hours = Math.floor(elapsed / 3600000);
-    const minutes = Math.floor((elapsed % 3600000) / 60000);
-    const seconds = Math.floor((elapsed % 60000) / 1000);
-    
-    if (hours > 0) {
-        timerEl.textContent = `${hours}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
-    } else {
-        timerEl.textContent = `${minutes}:${seconds.toString().padStart(2, '0')}`;
-    }
+function isStaleWorkout(workout) {
+    return Date.now() - new Date(workout.started_at).getTime() > STALE_WORKOUT_MS;
 }
 
-function getElapsedTime() {
-    if (!UnifiedState.activeWorkout?.started_at) return '0:00';
-    
-    const startTime = new Date(UnifiedState.activeWorkout.started_at).getTime();
-    const elapsed = Date.now() - startTime;
-    
-    const hours = Math.floor(elapsed / 3600000);
-    const minutes = Math.floor((elapsed % 3600000) / 60000);
-    
-    if (hours > 0) {
-        return `${hours}h ${minutes}m`;
-    }
-    return `${minutes} min`;
+async function hasQueuedWrites() {
+    if (typeof MacraOutbox === 'undefined') return false;
+    return (await MacraOutbox.list()).length > 0;
 }
 
-// ═══════════════════════════════════════════════════════════════
-// AI PREDICTION
-// ═══════════════════════════════════════════════════════════════
+/**
+ * Pick the launch session from the saved copy and the server's answer
+ * @param {Object|null} saved - Record from loadSavedWorkout()
+ * @param {Object} server - { reachable, session } from fetchActiveWorkout()
+ */
+async function reconcileActiveWorkout(saved, server) {
+    const local = saved?.workout || null;
+    const sameSession = !!(local && server.session && resolveOutboxId(local.id) === server.session.id);
+    let workout = null;
+    let reason = null;
 
-async function getPrediction() {
-    if (!UnifiedState.activeWorkout?.exercises?.length) {
-        UnifiedState.prediction = null;
-        return null;
+    if (local && server.session && !sameSession && local.exercises?.length) {
+        // A different session on the server (e.g. this one's start never landed) -
+        // offer the local copy first; the server session is picked up on the next launch
+        workout = local;
+        reason = 'missing';
+    } else if (server.session) {
+        // Writes still in the outbox aren't on the server yet - the local copy has them
+        workout = sameSession && await hasQueuedWrites() ? local : server.session;
+        if (local && !sameSession) console.warn('⚠️ Empty saved workout', local.id, 'replaced by the server session', server.session.id);
+        if (isStaleWorkout(workout) && !(sameSession && saved.resumed)) reason = 'stale';
+    } else if (local) {
+        workout = local;
+        reason = server.reachable ? 'missing' : 'offline';
     }
-    
+
+    UnifiedState.activeWorkout = null;
+    UnifiedState.recoveredWorkout = null;
+    if (!workout) {
+        saveActiveWorkout();
+        return;
+    }
+
+    const empty = !workout.exercises?.length;
+    if (!reason || (empty && reason === 'offline')) {
+        UnifiedState.activeWorkout = workout;
+        if (sameSession && saved.resumed) UnifiedState.resumedSessionId = workout.id;
+        saveActiveWorkout();
+    } else if (empty) {
+        // Nothing logged, nothing to lose
+        console.warn(`⚠️ Dropping empty ${reason} workout`, workout.id);
+        if (reason === 'stale') cancelOnServer(workout.id);
+        saveActiveWorkout();
+    } else {
+        UnifiedState.recoveredWorkout = { workout, reason, resumable: reason !== 'missing' };
+        console.log(`⏸️ Recovered ${reason} workout`, workout.id);
+    }
+}
+
+async function cancelOnServer(sessionId) {
     try {
-        const exerciseNames = UnifiedState.activeWorkout.exercises.map(e => e.name);
-        const res = await unifiedApiCall('/api/v2/learning/predict-next', {
+        await unifiedApiCall('/api/v2/workout/cancel', {
             method: 'POST',
-            body: JSON.stringify({ current_exercises: exerciseNames })
+            body: JSON.stringify({ session_id: sessionId }),
+            dependsOn: localDependencies(sessionId)
         });
-        
-        if (res.ok) {
-            const data = await res.json();
-            UnifiedState.prediction = data.prediction;
-            renderWorkoutPanel(); // Re-render to show prediction
-            return data.prediction;
-        }
     } catch (e) {
-        console.error('Get prediction error:', e);
+        console.log('Cancel API error (continuing anyway):', e);
     }
-    return null;
 }
 
-function acceptPrediction() {
-    if (!UnifiedState.prediction) return;
-    
-    const input = document.getElementById('unifiedInput') || document.getElementById('v2ExerciseInput');
-    if (input) {
-        input.value = UnifiedState.prediction.exercise;
-        input.focus();
-    }
-}
+function resumeRecoveredWorkout() {
+    const recovered = UnifiedState.recoveredWorkout;
+    if (!recovered?.resumable) return null;
 
-function dismissPrediction() {
-    UnifiedState.prediction = null;
+    UnifiedState.recoveredWorkout = null;
+    UnifiedState.activeWorkout = recovered.workout;
+    UnifiedState.resumedSessionId = recovered.workout.id;
+    saveActiveWorkout();
+    restoreWorkoutPlan();
+    startWorkoutTimer();
     renderWorkoutPanel();
+    getPrediction();
+    showToast('▶️ Workout resumed');
+    return UnifiedState.activeWorkout;
 }
 
+async function finalizeRecoveredWorkout() {
+    const recovered = UnifiedState.recoveredWorkout;
+    if (!recovered) return null;
+
+    UnifiedState.recoveredWorkout = null;
+    UnifiedState.activeWorkout = recovered.workout;
+    restoreWorkoutPlan();
+    return await finalizeWorkout(recovered.workout.workout_name);
+}
+
+async function discardRecoveredWorkout() {
+    const recovered = UnifiedState.recoveredWorkout;
+    if (!recovered) return;
+
+    const exerciseCount = recovered.workout.exercises?.length || 0;
+    if (exerciseCount > 0 && !confirm(`Discard this workout? Its ${exerciseCount} logged exercise${exerciseCount > 1 ? 's' : ''} will be lost.`)) {
+        return;
+    }
+
+    UnifiedState.recoveredWorkout = null;
+    saveActiveWorkout();
+    clearWorkoutPlan();
+    if (recovered.reason !== 'missing') await cancelOnServer(recovered.workout.id);
+
+    renderWorkoutPanel();
+    showToast('🗑️ Workout discarded');
+}
+
+function renderRecoveredWorkout() {
+    const { workout, reason, resumable } = UnifiedState.recoveredWorkout;
+    const exercises = workout.exercises || [];
+    const sets = exercises.reduce((n, ex) => n + (ex.sets?.length || 0), 0);
+    const started = new Date(workout.started_at);
+    const hoursOpen = Math.round((Date.now() - started.getTime()) / 3600000);
+    const reasons = {
+        stale: `Still open after ${hoursOpen}h - did you finish it?`,
+        offline: 'Saved on this device - the server couldn\'t be reached',
+        missing: 'The server doesn\'t have this session - finalize to keep what you logged'
+    };
+
+    return `
+        <div class="v2-recovered-workout" style="background: var(--onyx); border: 1px solid var(--prism-amber); border-radius: 12px; padding: 20px; text-align: left;">
+            <div style="font-weight: 600; font-size: 16px; margin-bottom: 4px;">⏸️ Unfinished workout${workout.workout_name ? `: ${workout.workout_name}` : ''}</div>
+            <div style="font-size: 12px; color: var(--white-50); margin-bottom: 4px;">
+                Started ${started.toLocaleString([], { weekday: 'short', hour: 'numeric', minute: '2-digit' })} · ${exercises.length} exercise${exercises.length === 1 ? '' : 's'} · ${sets} set${sets === 1 ? '' : 's'}
+            </div>
+            <div style="font-size: 12px; color: var(--white-70); margin-bottom: 16px;">${reasons[reason]}</div>
+            <div style="display: flex; gap: 8px;">
+                ${resumable ? '<button class="btn btn-primary" style="flex: 1;" onclick="resumeRecoveredWorkout()">▶️ Resume</button>' : ''}
+                <button class="btn ${resumable ? 'btn-ghost' : 'btn-primary'}" style="flex: 1;" onclick="finalizeRecoveredWorkout()">🏁 Finalize</button>
+                <button class="btn btn-ghost" style="flex: 1;" onclick="discardRecoveredWorkout()">🗑️ Discard</button>
+            </div>
+        </div>
+    `;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// WORKOUT TEMPLATES & PLANS
+// ═══════════════════════════════════════════════════════════════
+//
+// A template is a saved list of exercises with target sets. Starting
+// from a template (or "repeat last <name>") attaches a plan to the new
+// session; planned sets that haven't been logged yet render as ghost
+// rows. Templates live in appData.workoutTemplates so they sync with
+// the account; the plan for the active session lives in localStorage.
+
+const WORKOUT_PLAN_KEY = 'macra_workout_plan';
+const DEFAULT_REST_SECONDS = 90;
+
+function getWorkoutTemplates() {
+    if (typeof appData === 'undefined') return [];
+    if (!appData.workoutTemplates) appData.workoutTemplates = [];
+    return appData.workoutTemplates;
+}
+
+/**
+ * Turn session exercises (or a workout activity's data.exercises) into
+ * template exercises: { name, category, rest, sets: [{ weight, reps }] }.
+ * Without a planned rest, the median rest actually taken is used.
+ */
+function buildPlanExercises(exercises, restByName = {}) {
+    return (exercises || [])
+        .filter(ex => ex.name && ex.sets?.length)
+        .map(ex => {
+            const rests = ex.sets.map(s => s.rest).filter(r => r > 0).sort((a, b) => a - b);
+            return {
+                name: ex.name,
+                category: ex.category || 'other',
+                group_id: ex.group_id || null,
+                rest: ex.rest || restByName[ex.name.toLowerCase()] || rests[Math.floor(rests.length / 2)] || null,
+                sets: ex.sets.map(s => ({ weight: s.weight || 0, reps: s.reps || 0, set_type: s.set_type || 'normal', unit: s.unit || ex.unit || 'lbs' }))
+            };
+        });
+}
+
+/**
+ * Save (or overwrite, by name) a workout template
+ * @param {string} name - Template name, e.g. "Push Day"
+ * @param {Array} exercises - Session exercises or template exercises
+ * @param {string} sourceSessionId - Session the template was taken from
+ */
+function saveWorkoutTemplate(name, exercises, sourceSessionId = null) {
+    const templateName = (name || '').trim() || 'Workout';
+    const planExercises = buildPlanExercises(exercises);
+    if (!planExercises.length) {
+        showToast('⚠️ Nothing to save - log some sets first');
+        return null;
+    }
+
+    const templates = getWorkoutTemplates();
+    const existing = templates.find(t => t.name.toLowerCase() === templateName.toLowerCase());
+    const template = {
+        id: existing?.id || createLocalId().replace(LOCAL_ID_PREFIX, 'tpl-'),
+        name: templateName,
+        exercises: planExercises,
+        sourceSessionId: sourceSessionId,
+        createdAt: existing?.createdAt || new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+    };
+
+    if (existing) {
+        templates[templates.indexOf(existing)] = template;
+    } else {
+        templates.push(template);
+    }
+    if (typeof saveData === 'function') saveData();
+
+    showToast(`📋 Template "${templateName}" ${existing ? 'updated' : 'saved'}`);
+    return template;
+}
+
+function deleteWorkoutTemplate(templateId) {
+    const templates = getWorkoutTemplates();
+    const template = templates.find(t => t.id === templateId);
+    if (!template || !confirm(`Delete template "${template.name}"?`)) return;
+
+    templates.splice(templates.indexOf(template), 1);
+    if (typeof saveData === 'function') saveData();
+    renderWorkoutPanel();
+    showToast('🗑️ Template deleted');
+}
+
+function setWorkoutPlan(name, exercises, source) {
+    if (!UnifiedState.activeWorkout) return;
+    UnifiedState.plan = {
+        sessionId: UnifiedState.activeWorkout.id,
+        name: name,
+        source: source,
+        exercises: buildPlanExercises(exercises)
+    };
+    localStorage.setItem(WORKOUT_PLAN_KEY, JSON.stringify(UnifiedState.plan));
+}
+
+function clearWorkoutPlan() {
+    UnifiedState.plan = null;
+    localStorage.removeItem(WORKOUT_PLAN_KEY);
+}
+
+/**
+ * Re-attach the stored plan if it belongs to the session we resumed
+ * (an offline-started session may have been swapped for a server id)
+ */
+function restoreWorkoutPlan() {
+    // A recovered session keeps its plan until it is resumed or dropped
+    const workout = UnifiedState.activeWorkout || UnifiedState.recoveredWorkout?.workout;
+    let stored = null;
+    try {
+        stored = JSON.parse(localStorage.getItem(WORKOUT_PLAN_KEY) || 'null');
+    } catch (e) {
+        stored = null;
+    }
+
+    if (workout && stored && resolveOutboxId(stored.sessionId) === workout.id) {
+        stored.sessionId = workout.id;
+        UnifiedState.plan = stored;
+        localStorage.setItem(WORKOUT_PLAN_KEY, JSON.stringify(stored));
+    } else {
+        clearWorkoutPlan();
+    }
+}
+
+async function startFromPlan(name, exercises, source) {
+    if (UnifiedState.activeWorkout) {
+        showToast('⚠️ Finish or cancel the current workout first');
+        return null;
+    }
+
+    const workout = await startWorkout(name);
+    if (!workout) return null;
+
+    setWorkoutPlan(name, exercises, source);
+    renderWorkoutPanel();
+    return workout;
+}
+
+async function startFromTemplate(templateId) {
+    const template = getWorkoutTemplates().find(t => t.id === templateId);
+    if (!template) {
+        showToast('❌ Template not found');
+        return null;
+    }
+    return await startFromPlan(template.name, template.exercises, { type: 'template', id: template.id });
+}
+
+/**
+ * Most recent finalized v2 workout whose name or sessionId matches
+ * @param {string} query - Workout name ("push day") or session id
+ */
+function findLastWorkout(query) {
+    if (typeof appData === 'undefined' || !appData.activities) return null;
+    const needle = (query || '').trim().toLowerCase();
+
+    let latest = null;
+    for (const activities of Object.values(appData.activities)) {
+        for (const activity of activities) {
+            if (activity.source !== 'v2' || !MacraSchema.workoutExercises(activity).length) continue;
+            const matches = !needle ||
+                activity.sessionId === query ||
+                (activity.name || '').toLowerCase() === needle;
+            if (matches && (!latest || MacraSchema.activityTime(activity) > MacraSchema.activityTime(latest))) {
+                latest = activity;
+            }
+        }
+    }
+    return latest;
+}
+
+async function repeatLastWorkout(query) {
+    const last = findLastWorkout(query);
+    if (!last) {
+        showToast(query ? `❓ No past workout named "${query}"` : '❓ No past workouts to repeat');
+        return null;
+    }
+    return await startFromPlan(last.name, MacraSchema.workoutExercises(last), { type: 'repeat', id: last.sessionId });
+}
+
+/**
+ * Text commands typed into the workout or unified input
+ * @returns {boolean} - true if the text was a command and was handled
+ */
+async function handleWorkoutCommand(text) {
+    const repeat = (text || '').trim().match(/^repeat(?:\s+last)?(?:\s+(.+))?$/i);
+    if (!repeat) return false;
+
+    await repeatLastWorkout(repeat[1] || '');
+    return true;
+}
+
+/**
+ * Planned sets not yet logged, per plan exercise. Logged warm-ups only
+ * use up planned warm-ups, so generated warm-ups don't eat working sets.
+ * @returns {Array} - [{ planIndex, exercise, loggedCount, remaining: [{ setIndex, weight, reps }] }]
+ */
+function getPendingPlan() {
+    const plan = UnifiedState.plan;
+    if (!plan || !UnifiedState.activeWorkout) return [];
+
+    return plan.exercises.map((planned, planIndex) => {
+        const logged = UnifiedState.activeWorkout.exercises?.find(ex => ex.name?.toLowerCase() === planned.name.toLowerCase());
+        const loggedCount = logged?.sets?.length || 0;
+        let warmupsLogged = logged?.sets?.filter(isWarmupSet).length || 0;
+        let workingLogged = loggedCount - warmupsLogged;
+        return {
+            planIndex,
+            exercise: planned,
+            loggedCount,
+            remaining: planned.sets
+                .map((s, setIndex) => ({ setIndex, ...s }))
+                .filter(s => isWarmupSet(s) ? warmupsLogged-- <= 0 : workingLogged-- <= 0)
+        };
+    });
+}
+
+async function logPlannedSet(planIndex, setIndex) {
+    const planned = UnifiedState.plan?.exercises[planIndex];
+    if (!planned) return;
+
+    const weightInput = document.querySelector(`[data-plan-weight="${planIndex}-${setIndex}"]`);
+    const repsInput = document.querySelector(`[data-plan-reps="${planIndex}-${setIndex}"]`);
+    const target = planned.sets[setIndex] || {};
+    // The input shows the preferred unit
+    const weight = weightInput ? parseFloat(weightInput.value) || 0 : MacraUnits.toPreferred(target.weight, target.unit);
+    const reps = repsInput ? parseInt(repsInput.value) || 0 : target.reps;
+
+    await addExercise(planned.name, weight, reps, 1, null, { setType: target.set_type, groupId: planned.group_id, unit: MacraUnits.getPreference() });
+}
+
+function renderGhostRows(pending) {
+    return pending.remaining.map(set => `
+        <div class="v2-set-row v2-ghost-row" style="display: flex; align-items: center; gap: 12px; padding: 6px 12px; border: 1px dashed var(--white-10); border-radius: 8px; margin-bottom: 6px; font-size: 14px; opacity: 0.55;">
+            <span class="v2-set-num" style="color: ${SET_TYPES[set.set_type]?.short ? SET_TYPES[set.set_type].color : 'var(--white-50)'}; min-width: 50px;">${SET_TYPES[set.set_type]?.short ? SET_TYPES[set.set_type].label : `Set ${set.setIndex + 1}`}</span>
+            <div style="min-width: 80px; display: flex; align-items: center; gap: 4px;">
+                <input type="number"
+                    data-plan-weight="${pending.planIndex}-${set.setIndex}"
+                    value="${MacraUnits.toPreferred(set.weight, set.unit)}"
+                    style="width: 60px; background: transparent; border: 1px solid var(--white-10); border-radius: 6px; color: var(--white-70); font-size: 14px; padding: 4px 6px; text-align: right; -moz-appearance: textfield;"
+                    onfocus="this.select()"
+                >
+                <span style="color: var(--white-30); font-size: 11px;">${MacraUnits.getPreference()}</span>
+            </div>
+            <div style="min-width: 60px; display: flex; align-items: center; gap: 4px;">
+                <span style="color: var(--white-30);">×</span>
+                <input type="number"
+                    data-plan-reps="${pending.planIndex}-${set.setIndex}"
+                    value="${set.reps}"
+                    style="width: 48px; background: transparent; border: 1px solid var(--white-10); border-radius: 6px; color: var(--white-70); font-size: 14px; padding: 4px 6px; text-align: right; -moz-appearance: textfield;"
+                    onfocus="this.select()"
+                >
+            </div>
+            ${isBarbellExercise(pending.exercise.name) ? `<span class="v2-plates" style="color: var(--white-30); font-size: 11px;">${formatPlates(calculatePlates(set.weight, set.unit))}</span>` : ''}
+            <button class="btn-icon-sm" onclick="logPlannedSet(${pending.planIndex}, ${set.setIndex})" title="Log this set" style="background: none; border: none; cursor: pointer; font-size: 14px; color: var(--prism-emerald); margin-left: auto;">✓</button>
+        </div>
+    `).join('');
+}
+
+async function startProgramDay() {
+    const next = typeof MacraPrograms !== 'undefined' ? MacraPrograms.getNextDay() : null;
+    if (!next) return null;
+    return await startFromPlan(next.label, next.exercises, {
+        type: 'program',
+        programId: next.programId,
+        cycle: next.cycle,
+        week: next.week,
+        day: next.day
+    });
+}
+
+function renderProgramDay() {
+    const next = typeof MacraPrograms !== 'undefined' ? MacraPrograms.getNextDay() : null;
+    if (!next) return '';
+
+    const lines = next.exercises.map(ex => {
+        const weights = ex.sets.filter(s => s.weight > 0).map(s => MacraUnits.toPreferred(s.weight, s.unit));
+        const range = weights.length ? ` · ${Math.min(...weights)}${Math.max(...weights) !== Math.min(...weights) ? `–${Math.max(...weights)}` : ''} ${MacraUnits.getPreference()}` : '';
+        return `<div style="font-size: 13px; color: var(--white-70);">${MacraPrograms.escapeHTML(ex.name)} <span style="color: var(--white-30);">${ex.sets.length} sets${range}</span></div>`;
+    }).join('');
+
+    return `
+        <div style="text-align: left; margin-top: 20px; padding: 12px; background: var(--onyx); border: 1px solid var(--prism-violet); border-radius: 10px;">
+            <div style="font-size: 12px; color: var(--prism-violet); text-transform: uppercase; letter-spacing: 0.5px; margin-bottom: 4px;">
+                🗓️ Next up · Cycle ${next.cycle} · ${MacraPrograms.escapeHTML(next.weekName)}${next.deload ? ' (deload)' : ''}
+            </div>
+            <div style="font-weight: 600; margin-bottom: 8px;">${MacraPrograms.escapeHTML(next.label)}</div>
+            ${lines}
+            <button class="btn btn-primary btn-sm" onclick="startProgramDay()" style="margin-top: 12px; font-size: 12px;">▶️ Start this day</button>
+        </div>
+    `;
+}
+
+function renderTemplatePicker() {
+    const templates = getWorkoutTemplates();
+    const last = findLastWorkout('');
+
+    const templateButtons = templates.map(t => `
+        <div style="display: flex; align-items: center; gap: 8px; padding: 8px 12px; background: var(--onyx); border: 1px solid var(--white-10); border-radius: 8px; margin-bottom: 6px;">
+            <button onclick="startFromTemplate('${t.id}')" style="flex: 1; text-align: left; background: none; border: none; color: var(--white); cursor: pointer; font-size: 14px;">
+                📋 ${escapeHTML(t.name)} <span style="color: var(--white-30); font-size: 12px;">· ${t.exercises.length} exercises</span>
+            </button>
+            <button onclick="deleteWorkoutTemplate('${t.id}')" title="Delete template" style="background: none; border: none; cursor: pointer; opacity: 0.5;">🗑️</button>
+        </div>
+    `).join('');
+
+    return `
+        ${templates.length ? `
+            <div style="text-align: left; margin-top: 20px;">
+                <div style="font-size: 12px; color: var(--white-50); text-transform: uppercase; letter-spacing: 0.5px; margin-bottom: 8px;">Start from template</div>
+                ${templateButtons}
+            </div>
+        ` : ''}
+        ${last ? `
+            <button class="btn btn-ghost btn-sm" onclick="repeatLastWorkout('${last.sessionId || ''}')" style="margin-top: 12px; font-size: 12px;">
+                🔁 Repeat last ${escapeHTML(last.name)}
+            </button>
+        ` : ''}
+    `;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// TIMER FUNCTIONS
+// ═══════════════════════════════════════════════════════════════
+
+function startWorkoutTimer() {
+    stopWorkoutTimer(); // Clear any existing
+    
+    UnifiedState.timerInterval = setInterval(() => {
+        updateTimerDisplay();
+    }, 1000);
+}
+
+function stopWorkoutTimer() {
+    if (UnifiedState.timerInterval) {
+        clearInterval(UnifiedState.timerInterval);
+        UnifiedState.timerInterval = null;
+    }
+}
+
+function updateTimerDisplay() {
+    const timerEl = document.getElementById('workoutTimer');
+    if (!timerEl || !UnifiedState.activeWorkout?.started_at) return;
+    
+    const startTime = new Date(UnifiedState.activeWorkout.started_at).getTime();
+    const elapsed = Date.now() - startTime;
+    
+    const hours = Math.floor(elapsed / 3600000);
+    const minutes = Math.floor((elapsed % 3600000) / 60000);
+    const seconds = Math.floor((elapsed % 60000) / 1000);
+    
+    if (hours > 0) {
+        timerEl.textContent = `${hours}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+    } else {
+        timerEl.textContent = `${minutes}:${seconds.toString().padStart(2, '0')}`;
+    }
+}
+
+function getElapsedTime() {
+    if (!UnifiedState.activeWorkout?.started_at) return '0:00';
+    
+    const startTime = new Date(UnifiedState.activeWorkout.started_at).getTime();
+    const elapsed = Date.now() - startTime;
+    
+    const hours = Math.floor(elapsed / 3600000);
+    const minutes = Math.floor((elapsed % 3600000) / 60000);
+    
+    if (hours > 0) {
+        return `${hours}h ${minutes}m`;
+    }
+    return `${minutes} min`;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SET TYPES & EXERCISE GROUPS
+// ═══════════════════════════════════════════════════════════════
+//
+// Each set carries a set_type; exercises that share a group_id form a
+// superset (2) or circuit (3+) and render as one grouped card.
+
+const SET_TYPES = {
+    normal: { label: 'Working', short: '', color: 'var(--white-50)' },
+    warmup: { label: 'Warm-up', short: 'W', color: 'var(--prism-amber)' },
+    drop: { label: 'Drop set', short: 'D', color: 'var(--prism-violet)' },
+    failure: { label: 'To failure', short: 'F', color: 'var(--prism-rose)' },
+    amrap: { label: 'AMRAP', short: 'A', color: 'var(--prism-emerald)' }
+};
+
+// Typed after the sets/reps: "bench 95x10 warmup", "curl 30x12 drop set"
+const SET_TYPE_KEYWORDS = [
+    [/\b(?:warm[\s-]?ups?|wu)\b/i, 'warmup'],
+    [/\bdrop(?:\s*sets?)?\b/i, 'drop'],
+    [/\bamrap\b/i, 'amrap'],
+    [/\b(?:to\s+)?failure\b/i, 'failure']
+];
+
+function isWarmupSet(set) {
+    return set?.set_type === 'warmup';
+}
+
+function workingVolume(sets, unit = MacraUnits.getPreference()) {
+    return MacraUnits.volume((sets || []).filter(set => !isWarmupSet(set)), unit);
+}
+
+// Timed holds: "45s", "1:30"
+function formatSetDuration(seconds) {
+    return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')}`;
+}
+
+/**
+ * Pull a set type keyword out of typed input
+ * @returns {Object} - { text, setType }
+ */
+function extractSetType(input) {
+    for (const [pattern, setType] of SET_TYPE_KEYWORDS) {
+        if (pattern.test(input)) {
+            return { text: input.replace(pattern, ' ').replace(/\s+/g, ' ').trim(), setType };
+        }
+    }
+    return { text: input, setType: 'normal' };
+}
+
+async function cycleSetType(exerciseId, setNum) {
+    const set = UnifiedState.activeWorkout?.exercises?.find(e => e.id === exerciseId)?.sets?.find(s => s.set_num === setNum);
+    if (!set) return;
+
+    const types = Object.keys(SET_TYPES);
+    const next = types[(types.indexOf(set.set_type || 'normal') + 1) % types.length];
+    await updateSet(exerciseId, setNum, set.weight, set.reps, set.rpe, { setType: next });
+}
+
+// Group membership rides on the exercise's first set update
+async function setExerciseGroup(exerciseId, groupId) {
+    const exercise = UnifiedState.activeWorkout?.exercises?.find(e => e.id === exerciseId);
+    const set = exercise?.sets?.[0];
+    if (!set) return;
+    await updateSet(exerciseId, set.set_num, set.weight, set.reps, set.rpe, { groupId });
+}
+
+/**
+ * Superset an exercise with the one above it (joining its group if it has one)
+ */
+async function linkWithPrevious(exerciseId) {
+    const exercises = UnifiedState.activeWorkout?.exercises || [];
+    const index = exercises.findIndex(e => e.id === exerciseId);
+    if (index < 1) return;
+
+    const previous = exercises[index - 1];
+    const groupId = previous.group_id || createLocalId().replace(LOCAL_ID_PREFIX, 'grp-');
+    if (!previous.group_id) await setExerciseGroup(previous.id, groupId);
+    await setExerciseGroup(exerciseId, groupId);
+    showToast('🔗 Grouped');
+}
+
+async function unlinkExercise(exerciseId) {
+    await setExerciseGroup(exerciseId, null);
+    showToast('✂️ Ungrouped');
+}
+
+/**
+ * Exercises in display order, with each group gathered at its first member
+ * @returns {Array} - [{ groupId, members: [exercise] }]
+ */
+function groupExerciseBlocks(exercises) {
+    const blocks = [];
+    const byGroup = {};
+    (exercises || []).forEach(ex => {
+        if (ex.group_id && byGroup[ex.group_id]) {
+            byGroup[ex.group_id].members.push(ex);
+            return;
+        }
+        const block = { groupId: ex.group_id || null, members: [ex] };
+        if (ex.group_id) byGroup[ex.group_id] = block;
+        blocks.push(block);
+    });
+    return blocks;
+}
+
+function renderExerciseGroup(block, renderCard) {
+    const count = block.members.length;
+    const label = count > 2 ? `CIRCUIT · ${count} exercises` : 'SUPERSET';
+    return `
+        <div class="v2-exercise-group" style="border-left: 3px solid var(--prism-violet); padding-left: 10px; margin-bottom: 12px;">
+            <div style="display: flex; justify-content: space-between; font-size: 11px; font-weight: 600; letter-spacing: 1px; color: var(--prism-violet); margin-bottom: 8px;">
+                <span>🔗 ${label}</span>
+                <span style="color: var(--white-30); font-weight: 400;">rest ${getGroupRest(block.members)}s after each round</span>
+            </div>
+            ${block.members.map(renderCard).join('')}
+        </div>
+    `;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// PLATE CALCULATOR & WARM-UPS
+// ═══════════════════════════════════════════════════════════════
+//
+// The bar and plate inventory can be in lbs or kg; a target weight in
+// either unit is converted and loads are worked out in the plate unit.
+// Inventory counts are plates available per side. Collars default to 0
+// (collar-free).
+
+const PLATE_SETTINGS_KEY = 'macra_plate_settings';
+
+const PLATE_DEFAULTS = {
+    lbs: {
+        barWeight: 45,
+        plates: [{ weight: 45, count: 4 }, { weight: 35, count: 1 }, { weight: 25, count: 2 }, { weight: 10, count: 2 }, { weight: 5, count: 2 }, { weight: 2.5, count: 1 }],
+        microplates: [{ weight: 1.25, count: 1 }, { weight: 1, count: 1 }, { weight: 0.5, count: 1 }, { weight: 0.25, count: 1 }]
+    },
+    kg: {
+        barWeight: 20,
+        plates: [{ weight: 25, count: 4 }, { weight: 20, count: 1 }, { weight: 15, count: 1 }, { weight: 10, count: 1 }, { weight: 5, count: 1 }, { weight: 2.5, count: 1 }, { weight: 1.25, count: 1 }],
+        microplates: [{ weight: 1, count: 1 }, { weight: 0.5, count: 1 }, { weight: 0.25, count: 1 }]
+    }
+};
+
+// Ramp to the first working set: the empty bar, then % of the working weight
+const WARMUP_SCHEME = [
+    { percent: 0, reps: 10 },
+    { percent: 40, reps: 5 },
+    { percent: 60, reps: 3 },
+    { percent: 80, reps: 1 }
+];
+
+const BARBELL_EXCLUDE = /dumbbell|\bdb\b|cable|machine|kettlebell|\bkb\b|band|smith|leg press|pull[\s-]?up|chin[\s-]?up|\bdips?\b|push[\s-]?up/i;
+const BARBELL_INCLUDE = /barbell|\bbb\b|bench press|squat|deadlift|\brdl\b|overhead press|\bohp\b|military press|\brow\b|clean|snatch|jerk|hip thrust|good morning/i;
+
+function isBarbellExercise(name) {
+    return !!name && !BARBELL_EXCLUDE.test(name) && BARBELL_INCLUDE.test(name);
+}
+
+function getPlateSettings() {
+    let stored = {};
+    try {
+        stored = JSON.parse(localStorage.getItem(PLATE_SETTINGS_KEY) || '{}');
+    } catch (e) {
+        stored = {};
+    }
+    const unit = stored.unit === 'kg' ? 'kg' : 'lbs';
+    return { unit, collarWeight: 0, useMicroplates: false, ...PLATE_DEFAULTS[unit], ...stored, unit };
+}
+
+// "45x4, 25x2, 2.5" -> [{ weight: 45, count: 4 }, ...] (count defaults to 1)
+function parsePlateList(text) {
+    return (text || '').split(',')
+        .map(part => part.trim().match(/^(\d+(?:\.\d+)?)\s*(?:[x×*]\s*(\d+))?$/i))
+        .filter(Boolean)
+        .map(m => ({ weight: parseFloat(m[1]), count: parseInt(m[2]) || 1 }))
+        .filter(p => p.weight > 0)
+        .sort((a, b) => b.weight - a.weight);
+}
+
+function formatPlateList(plates) {
+    return plates.map(p => p.count > 1 ? `${p.weight}x${p.count}` : `${p.weight}`).join(', ');
+}
+
+function setPlateUnit(unit) {
+    // Switching units swaps in that unit's standard bar and plates
+    localStorage.setItem(PLATE_SETTINGS_KEY, JSON.stringify({ ...getPlateSettings(), ...PLATE_DEFAULTS[unit], unit }));
+    renderPlateSettings();
+}
+
+function savePlateSettings() {
+    const settings = {
+        unit: getPlateSettings().unit,
+        barWeight: parseFloat(document.getElementById('plateBarWeight')?.value) || 0,
+        collarWeight: parseFloat(document.getElementById('plateCollarWeight')?.value) || 0,
+        plates: parsePlateList(document.getElementById('plateInventory')?.value),
+        microplates: parsePlateList(document.getElementById('plateMicroplates')?.value),
+        useMicroplates: !!document.getElementById('plateUseMicro')?.checked
+    };
+    if (!settings.plates.length) {
+        showToast('⚠️ Add at least one plate, e.g. 45x4');
+        return;
+    }
+    localStorage.setItem(PLATE_SETTINGS_KEY, JSON.stringify(settings));
+    showToast('✓ Plate settings saved');
+    renderPlateSettings();
+    if (UnifiedState.activeWorkout) renderWorkoutPanel();
+}
+
+function renderPlateSettings() {
+    const container = document.getElementById('plateSettings');
+    if (!container) return;
+
+    const settings = getPlateSettings();
+    container.innerHTML = `
+        <div class="form-group">
+            <label class="form-label">Plates are in</label>
+            <select class="form-input" onchange="setPlateUnit(this.value)">
+                <option value="lbs" ${settings.unit === 'lbs' ? 'selected' : ''}>lbs</option>
+                <option value="kg" ${settings.unit === 'kg' ? 'selected' : ''}>kg</option>
+            </select>
+        </div>
+        <div class="form-row">
+            <div class="form-group">
+                <label class="form-label">Bar (${settings.unit})</label>
+                <input type="number" class="form-input" id="plateBarWeight" min="0" step="0.5" value="${settings.barWeight}">
+            </div>
+            <div class="form-group">
+                <label class="form-label">Collars, each (${settings.unit})</label>
+                <input type="number" class="form-input" id="plateCollarWeight" min="0" step="0.25" value="${settings.collarWeight}">
+            </div>
+        </div>
+        <div class="form-group">
+            <label class="form-label">Plates per side (weight x count)</label>
+            <input type="text" class="form-input" id="plateInventory" value="${formatPlateList(settings.plates)}">
+        </div>
+        <div class="form-group">
+            <label class="form-label">Microplates per side</label>
+            <input type="text" class="form-input" id="plateMicroplates" value="${formatPlateList(settings.microplates)}">
+        </div>
+        <label style="display: flex; align-items: center; gap: 8px; margin-bottom: 16px; cursor: pointer;">
+            <input type="checkbox" id="plateUseMicro" ${settings.useMicroplates ? 'checked' : ''}>
+            Use microplates
+        </label>
+        <div style="font-size: 12px; color: var(--white-50); margin-bottom: 16px;">Leave collars at 0 if you lift without them.</div>
+        <button class="btn btn-primary" onclick="savePlateSettings()">Save Plates</button>
+    `;
+}
+
+/**
+ * Plates to load on each side for a total weight, largest first
+ * @param {number} weight - Target weight (bar included)
+ * @param {string} unit - Unit of the target weight ('lbs' | 'kg')
+ * @returns {Object} - { unit, target, loaded, perSide: [{ weight, count }], remainder, belowBar }
+ *                     target/loaded/remainder are in the plate unit
+ */
+function calculatePlates(weight, unit = 'lbs', settings = getPlateSettings()) {
+    const target = MacraUnits.convert(weight, unit, settings.unit);
+    const fixed = settings.barWeight + 2 * settings.collarWeight;
+    const inventory = [...settings.plates, ...(settings.useMicroplates ? settings.microplates : [])]
+        .sort((a, b) => b.weight - a.weight);
+
+    // Hundredths so 1.25 / 0.25 plates add up exactly
+    let remaining = Math.round((target - fixed) / 2 * 100);
+    const perSide = [];
+    if (remaining > 0) {
+        for (const plate of inventory) {
+            const size = Math.round(plate.weight * 100);
+            const count = Math.min(plate.count, Math.floor(remaining / size));
+            if (count > 0) {
+                perSide.push({ weight: plate.weight, count });
+                remaining -= count * size;
+            }
+        }
+    }
+
+    const loaded = fixed + 2 * perSide.reduce((sum, p) => sum + p.weight * p.count, 0);
+    return {
+        unit: settings.unit,
+        target: Math.round(target * 100) / 100,
+        loaded: Math.round(loaded * 100) / 100,
+        perSide,
+        remainder: Math.round((target - loaded) * 100) / 100,
+        belowBar: target < fixed
+    };
+}
+
+function formatPlates(result) {
+    if (result.belowBar) return 'under bar weight';
+    if (!result.perSide.length) return `empty bar${result.remainder >= 0.01 ? ` (${result.remainder} ${result.unit} short)` : ''}`;
+
+    const plates = result.perSide.map(p => p.count > 1 ? `${p.count}×${p.weight}` : `${p.weight}`).join(' + ');
+    const short = result.remainder >= 0.01 ? ` · ${result.remainder} ${result.unit} short` : '';
+    return `${plates} ${result.unit}/side${short}`;
+}
+
+// Plates for the weight you're about to load: the next planned set, or the
+// last exercise you logged
+function renderPlateHint(ex) {
+    if (!isBarbellExercise(ex.name)) return '';
+
+    const pending = getPendingPlan().find(p => p.exercise.name.toLowerCase() === ex.name.toLowerCase());
+    const isLast = UnifiedState.lastExercise?.name?.toLowerCase() === ex.name.toLowerCase();
+    if (pending?.remaining.length || !isLast) return '';
+
+    const { weight, unit } = UnifiedState.lastExercise;
+    if (!(parseFloat(weight) > 0)) return '';
+    return `
+        <div class="v2-plates" style="font-size: 12px; color: var(--white-50); margin: 4px 0 10px;">
+            🏋️ ${MacraUnits.format(weight, unit)}: ${formatPlates(calculatePlates(weight, unit))}
+        </div>
+    `;
+}
+
+/**
+ * Weight the warm-ups ramp to: the first planned working set still to
+ * do, else the heaviest working set logged so far
+ * @returns {Object|null} - { weight, unit }
+ */
+function getWarmupTarget(exerciseName) {
+    const name = exerciseName.toLowerCase();
+    const planned = getPendingPlan().find(p => p.exercise.name.toLowerCase() === name);
+    const nextPlanned = planned?.remaining.find(s => !isWarmupSet(s) && s.weight > 0);
+    if (nextPlanned) return { weight: nextPlanned.weight, unit: nextPlanned.unit || 'lbs' };
+
+    const logged = UnifiedState.activeWorkout?.exercises?.find(ex => ex.name?.toLowerCase() === name);
+    const heaviest = (logged?.sets || [])
+        .filter(s => !isWarmupSet(s) && s.weight > 0)
+        .reduce((best, s) => !best || MacraUnits.toLbs(s.weight, s.unit) > MacraUnits.toLbs(best.weight, best.unit) ? s : best, null);
+    return heaviest ? { weight: heaviest.weight, unit: heaviest.unit || 'lbs' } : null;
+}
+
+/**
+ * Ramped warm-up sets for a working weight, each rounded down to what
+ * the plate inventory can load. Steps that round to the same weight
+ * (or reach the working weight) are dropped.
+ * @returns {Array} - [{ weight, reps, unit }] in the plate unit
+ */
+function buildWarmupSets(workingWeight, unit = 'lbs', settings = getPlateSettings()) {
+    const working = MacraUnits.convert(workingWeight, unit, settings.unit);
+    const sets = [];
+    let previous = 0;
+    for (const step of WARMUP_SCHEME) {
+        const result = calculatePlates(working * step.percent / 100, settings.unit, settings);
+        const weight = step.percent === 0 || result.belowBar
+            ? settings.barWeight + 2 * settings.collarWeight
+            : result.loaded;
+        if (weight <= previous || weight >= working) continue;
+        sets.push({ weight, reps: step.reps, unit: settings.unit });
+        previous = weight;
+    }
+    return sets;
+}
+
+async function generateWarmups(exerciseName) {
+    const target = getWarmupTarget(exerciseName);
+    const sets = target ? buildWarmupSets(target.weight, target.unit) : [];
+    if (!sets.length) {
+        showToast('⚠️ Set a working weight heavier than the bar first');
+        return;
+    }
+
+    for (const set of sets) {
+        await addExercise(exerciseName, set.weight, set.reps, 1, null, { setType: 'warmup', unit: set.unit });
+    }
+    showToast(`🔥 ${sets.length} warm-up sets for ${MacraUnits.format(target.weight, target.unit)}: ${sets.map(s => `${MacraUnits.toPreferred(s.weight, s.unit)}×${s.reps}`).join(', ')}`);
+}
+
+function renderWarmupButton(exerciseName) {
+    if (!isBarbellExercise(exerciseName)) return '';
+    const logged = UnifiedState.activeWorkout?.exercises?.find(ex => ex.name?.toLowerCase() === exerciseName.toLowerCase());
+    if (logged?.sets?.some(isWarmupSet) || !getWarmupTarget(exerciseName)) return '';
+
+    return `
+        <button class="btn btn-ghost btn-sm" data-exercise="${escapeHTML(exerciseName)}" onclick="generateWarmups(this.dataset.exercise)" style="font-size: 12px; padding: 6px 12px;">
+            🔥 Warm-ups
+        </button>
+    `;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// REST TIMER
+// ═══════════════════════════════════════════════════════════════
+//
+// Every logged set starts a rest countdown. The length comes from the
+// session plan, else what you actually rested on that exercise in past
+// sessions, else the default in Settings. sw.js shows the "rest over"
+// notification so it still fires while the app is in the background.
+
+const REST_SETTINGS_KEY = 'macra_rest_settings';
+const REST_ADJUST_SECONDS = 15;
+// Longer gaps are breaks, not rest - they aren't recorded on the set
+const MAX_RECORDED_REST_SECONDS = 15 * 60;
+
+function getRestSettings() {
+    const defaults = { enabled: true, defaultSeconds: DEFAULT_REST_SECONDS, notify: true, vibrate: true };
+    try {
+        return { ...defaults, ...JSON.parse(localStorage.getItem(REST_SETTINGS_KEY) || '{}') };
+    } catch (e) {
+        return defaults;
+    }
+}
+
+function saveRestSettings() {
+    const settings = {
+        enabled: document.getElementById('restTimerEnabled')?.checked !== false,
+        defaultSeconds: Math.max(0, parseInt(document.getElementById('restTimerDefault')?.value) || DEFAULT_REST_SECONDS),
+        notify: !!document.getElementById('restTimerNotify')?.checked,
+        vibrate: !!document.getElementById('restTimerVibrate')?.checked
+    };
+    localStorage.setItem(REST_SETTINGS_KEY, JSON.stringify(settings));
+
+    if (settings.notify && typeof Notification !== 'undefined' && Notification.permission === 'default') {
+        Notification.requestPermission();
+    }
+    showToast('✓ Rest timer settings saved');
+}
+
+function renderRestSettings() {
+    const container = document.getElementById('restTimerSettings');
+    if (!container) return;
+
+    const settings = getRestSettings();
+    const blocked = typeof Notification !== 'undefined' && Notification.permission === 'denied';
+    container.innerHTML = `
+        <label style="display: flex; align-items: center; gap: 8px; margin-bottom: 12px; cursor: pointer;">
+            <input type="checkbox" id="restTimerEnabled" ${settings.enabled ? 'checked' : ''}>
+            Start a rest timer after every set
+        </label>
+        <div class="form-group">
+            <label class="form-label">Default rest (seconds)</label>
+            <input type="number" class="form-input" id="restTimerDefault" min="0" step="15" value="${settings.defaultSeconds}">
+        </div>
+        <label style="display: flex; align-items: center; gap: 8px; margin-bottom: 8px; cursor: pointer;">
+            <input type="checkbox" id="restTimerNotify" ${settings.notify ? 'checked' : ''}>
+            Notify me when rest is over
+        </label>
+        <label style="display: flex; align-items: center; gap: 8px; margin-bottom: 16px; cursor: pointer;">
+            <input type="checkbox" id="restTimerVibrate" ${settings.vibrate ? 'checked' : ''}>
+            Vibrate
+        </label>
+        ${blocked ? '<div style="font-size: 12px; color: var(--prism-amber); margin-bottom: 12px;">⚠️ Notifications are blocked for this site in your browser settings</div>' : ''}
+        <div style="font-size: 12px; color: var(--white-50); margin-bottom: 16px;">Exercises you've logged before use your usual rest instead of the default.</div>
+        <button class="btn btn-primary" onclick="saveRestSettings()">Save Rest Timer</button>
+    `;
+}
+
+/**
+ * Median actual rest for an exercise over its most recent recorded sets
+ * @returns {number|null} - Seconds, rounded to 15s, or null with no history
+ */
+function getLearnedRest(exerciseName) {
+    if (typeof appData === 'undefined' || !appData.activities) return null;
+    const name = exerciseName.toLowerCase();
+
+    const samples = [];
+    for (const activities of Object.values(appData.activities)) {
+        for (const activity of activities) {
+            for (const ex of MacraSchema.workoutExercises(activity)) {
+                if (ex.name?.toLowerCase() !== name) continue;
+                for (const set of ex.sets || []) {
+                    if (set.rest > 0) samples.push({ rest: set.rest, at: MacraSchema.activityTime(activity) });
+                }
+            }
+        }
+    }
+    if (!samples.length) return null;
+
+    const recent = samples.sort((a, b) => b.at - a.at).slice(0, 20).map(s => s.rest).sort((a, b) => a - b);
+    const median = recent[Math.floor(recent.length / 2)];
+    return Math.max(REST_ADJUST_SECONDS, Math.round(median / REST_ADJUST_SECONDS) * REST_ADJUST_SECONDS);
+}
+
+function getRestDuration(exerciseName) {
+    const planned = UnifiedState.plan?.exercises.find(ex => ex.name.toLowerCase() === exerciseName.toLowerCase());
+    return planned?.rest || getLearnedRest(exerciseName) || getRestSettings().defaultSeconds;
+}
+
+/**
+ * Seconds since the previous set in this workout, for the set being logged
+ */
+function takeActualRest() {
+    const last = UnifiedState.lastSetAt;
+    UnifiedState.lastSetAt = Date.now();
+    if (!last) return null;
+
+    const seconds = Math.round((UnifiedState.lastSetAt - last) / 1000);
+    return seconds <= MAX_RECORDED_REST_SECONDS ? seconds : null;
+}
+
+function postRestToServiceWorker(message) {
+    const controller = navigator.serviceWorker?.controller;
+    if (controller) controller.postMessage(message);
+}
+
+/**
+ * Rest after a logged set. Inside a superset/circuit you go straight to
+ * the next exercise; the group rests once, after its last exercise.
+ * @returns {string|null} - Next exercise in the group when there's no rest
+ */
+function startRestForExercise(exerciseName) {
+    const exercises = UnifiedState.activeWorkout?.exercises || [];
+    const exercise = exercises.find(ex => ex.name?.toLowerCase() === exerciseName.toLowerCase());
+    const members = exercise?.group_id ? exercises.filter(ex => ex.group_id === exercise.group_id) : [];
+
+    if (members.length < 2) {
+        startRestTimer(exerciseName);
+        return null;
+    }
+
+    const index = members.indexOf(exercise);
+    if (index < members.length - 1) {
+        stopRestTimer();
+        return members[index + 1].name;
+    }
+    startRestTimer(members.map(ex => ex.name).join(' + '), getGroupRest(members));
+    return null;
+}
+
+function getGroupRest(members) {
+    return Math.max(...members.map(ex => getRestDuration(ex.name)));
+}
+
+function startRestTimer(exerciseName, durationSeconds = null) {
+    const settings = getRestSettings();
+    if (!settings.enabled) return;
+
+    const duration = durationSeconds || getRestDuration(exerciseName);
+    if (!duration) return;
+
+    UnifiedState.rest = {
+        exerciseName,
+        duration,
+        endsAt: Date.now() + duration * 1000
+    };
+    scheduleRestNotification();
+
+    if (!UnifiedState.restInterval) {
+        UnifiedState.restInterval = setInterval(updateRestDisplay, 1000);
+    }
+    updateRestDisplay();
+}
+
+function scheduleRestNotification() {
+    const rest = UnifiedState.rest;
+    const settings = getRestSettings();
+    if (!rest || !settings.notify || typeof Notification === 'undefined') return;
+
+    if (Notification.permission === 'default') {
+        Notification.requestPermission();
+    }
+    postRestToServiceWorker({
+        type: 'REST_TIMER_START',
+        endsAt: rest.endsAt,
+        title: '⏱️ Rest over',
+        body: `Next set of ${rest.exerciseName}`,
+        vibrate: settings.vibrate
+    });
+}
+
+async function showRestNotificationFromPage(rest, settings) {
+    if (!settings.notify || typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+    // With Notification Triggers the browser delivers the one sw.js scheduled
+    if ('showTrigger' in Notification.prototype) return;
+    try {
+        const registration = await navigator.serviceWorker?.getRegistration();
+        if (!registration) return;
+        // Same tag as sw.js - skip if the worker already showed it
+        if ((await registration.getNotifications({ tag: 'macra-rest-timer' })).length) return;
+        await registration.showNotification('⏱️ Rest over', {
+            body: `Next set of ${rest.exerciseName}`,
+            tag: 'macra-rest-timer',
+            icon: '/icons/icon-192.png',
+            badge: '/icons/icon-96.png',
+            vibrate: settings.vibrate ? [200, 100, 200] : undefined
+        });
+    } catch (e) {
+        console.warn('Rest notification failed:', e);
+    }
+}
+
+function adjustRestTimer(deltaSeconds) {
+    const rest = UnifiedState.rest;
+    if (!rest) return;
+
+    rest.endsAt += deltaSeconds * 1000;
+    rest.duration = Math.max(0, rest.duration + deltaSeconds);
+    if (rest.endsAt <= Date.now()) {
+        stopRestTimer();
+        return;
+    }
+    scheduleRestNotification();
+    updateRestDisplay();
+}
+
+function stopRestTimer() {
+    if (UnifiedState.restInterval) {
+        clearInterval(UnifiedState.restInterval);
+        UnifiedState.restInterval = null;
+    }
+    if (UnifiedState.rest) {
+        postRestToServiceWorker({ type: 'REST_TIMER_CANCEL' });
+    }
+    UnifiedState.rest = null;
+    updateRestDisplay();
+}
+
+function completeRestTimer() {
+    const settings = getRestSettings();
+    const rest = UnifiedState.rest;
+    clearInterval(UnifiedState.restInterval);
+    UnifiedState.restInterval = null;
+    UnifiedState.rest = null;
+    updateRestDisplay();
+
+    // In the background the service worker notification takes over. Its
+    // fallback timer can die with the worker, so notify from here too
+    // when this (throttled) timer gets there first.
+    if (document.visibilityState !== 'visible') {
+        if (rest) showRestNotificationFromPage(rest, settings);
+        return;
+    }
+    if (settings.vibrate && navigator.vibrate) navigator.vibrate([200, 100, 200]);
+    showToast('⏱️ Rest over - next set!');
+}
+
+function renderRestTimer() {
+    const rest = UnifiedState.rest;
+    if (!rest) return '';
+
+    const remaining = Math.max(0, Math.ceil((rest.endsAt - Date.now()) / 1000));
+    const progress = rest.duration ? Math.min(100, (remaining / rest.duration) * 100) : 0;
+    const clock = `${Math.floor(remaining / 60)}:${(remaining % 60).toString().padStart(2, '0')}`;
+
+    return `
+        <div class="v2-rest-timer" style="display: flex; align-items: center; gap: 12px; padding: 12px 16px; background: var(--onyx); border: 1px solid var(--prism-cyan); border-radius: 12px; margin-bottom: 16px; position: relative; overflow: hidden;">
+            <div style="position: absolute; left: 0; bottom: 0; height: 3px; width: ${progress}%; background: var(--prism-cyan); transition: width 1s linear;"></div>
+            <div style="flex: 1;">
+                <div style="font-size: 11px; color: var(--white-50); text-transform: uppercase; letter-spacing: 0.5px;">Rest · ${rest.exerciseName}</div>
+                <div style="font-family: var(--font-display); font-size: 24px; color: var(--prism-cyan);">${clock}</div>
+            </div>
+            <button class="btn btn-ghost btn-sm" onclick="adjustRestTimer(-${REST_ADJUST_SECONDS})" style="font-size: 12px; padding: 6px 10px;">−${REST_ADJUST_SECONDS}s</button>
+            <button class="btn btn-ghost btn-sm" onclick="adjustRestTimer(${REST_ADJUST_SECONDS})" style="font-size: 12px; padding: 6px 10px;">+${REST_ADJUST_SECONDS}s</button>
+            <button class="btn btn-ghost btn-sm" onclick="stopRestTimer()" title="Skip rest" style="font-size: 12px; padding: 6px 10px;">Skip</button>
+        </div>
+    `;
+}
+
+function updateRestDisplay() {
+    if (UnifiedState.rest && UnifiedState.rest.endsAt <= Date.now()) {
+        completeRestTimer();
+        return;
+    }
+    const container = document.getElementById('v2RestTimer');
+    if (container) container.innerHTML = renderRestTimer();
+}
+
+// ═══════════════════════════════════════════════════════════════
+// AI PREDICTION
+// ═══════════════════════════════════════════════════════════════
+
+async function getPrediction() {
+    if (!UnifiedState.activeWorkout?.exercises?.length) {
+        UnifiedState.prediction = null;
+        return null;
+    }
+    
+    const exerciseNames = UnifiedState.activeWorkout.exercises.map(e => e.name);
+    const workoutStart = UnifiedState.activeWorkout.started_at;
+    // Local Markov model: the fallback offline, a second opinion online
+    const local = typeof MacraPredictor !== 'undefined' ? MacraPredictor.predict(exerciseNames) : null;
+    let server = null;
+    
+    try {
+        const res = await unifiedApiCall('/api/v2/learning/predict-next', {
+            method: 'POST',
+            body: JSON.stringify({ current_exercises: exerciseNames })
+        });
+        
+        if (res.ok) {
+            const data = await res.json();
+            server = data.prediction;
+        }
+    } catch (e) {
+        console.error('Get prediction error:', e);
+    }
+    
+    UnifiedState.prediction = server
+        ? {
+            ...server,
+            source: 'server',
+            target: server.target || (typeof MacraPredictor !== 'undefined' ? MacraPredictor.getTarget(server.exercise) : null),
+            comparison: typeof MacraPredictor !== 'undefined' ? MacraPredictor.compare(server, local, exerciseNames, workoutStart) : null
+        }
+        : local;
+    renderWorkoutPanel(); // Re-render to show prediction
+    return UnifiedState.prediction;
+}
+
+function acceptPrediction() {
+    if (!UnifiedState.prediction) return;
+    
+    const input = document.getElementById('unifiedInput') || document.getElementById('v2ExerciseInput');
+    if (input) {
+        input.value = typeof MacraPredictor !== 'undefined'
+            ? MacraPredictor.targetInput(UnifiedState.prediction)
+            : UnifiedState.prediction.exercise;
+        input.focus();
+    }
+}
+
+function dismissPrediction() {
+    UnifiedState.prediction = null;
+    renderWorkoutPanel();
+}
+
+// ═══════════════════════════════════════════════════════════════
+// UI RENDERING
 // ═══════════════════════════════════════════════════════════════
-// UI RENDERING
-// ═══════════════════════════════════════════════════════════════
 
 function getCategoryEmoji(category) {
     const emojis = {
@@ -715,14 +2392,27 @@ function renderWorkoutPanel() {
         return;
     }
     
+    // Session recovered on launch - the user decides before anything else
+    if (UnifiedState.recoveredWorkout) {
+        panel.innerHTML = `
+            <div id="v2SyncStatus">${renderSyncStatus()}</div>
+            ${renderRecoveredWorkout()}
+        `;
+        panel.style.display = 'block';
+        return;
+    }
+    
     // No active workout - show start button
     if (!UnifiedState.activeWorkout) {
         panel.innerHTML = `
+            <div id="v2SyncStatus">${renderSyncStatus()}</div>
             <div class="v2-workout-start" style="text-align: center; padding: 24px;">
                 <p style="color: var(--white-50); margin-bottom: 16px;">Ready to train?</p>
                 <button class="btn btn-primary" onclick="startWorkout()">
                     🏋️ Start Workout
                 </button>
+                ${renderProgramDay()}
+                ${renderTemplatePicker()}
             </div>
         `;
         panel.style.display = 'block';
@@ -731,17 +2421,23 @@ function renderWorkoutPanel() {
     
     const workout = UnifiedState.activeWorkout;
     const elapsedTime = getElapsedTime();
+    const pendingPlan = getPendingPlan();
+    const pendingFor = (name) => pendingPlan.find(p => p.exercise.name.toLowerCase() === name?.toLowerCase());
     
     // Build exercises HTML with inline-editable set fields
     let exercisesHTML = '';
     if (workout.exercises && workout.exercises.length > 0) {
-        exercisesHTML = workout.exercises.map(ex => `
+        const previousOf = (ex) => workout.exercises[workout.exercises.indexOf(ex) - 1];
+        const renderCard = (ex) => `
             <div class="v2-exercise-card" data-id="${ex.id}" style="background: var(--onyx); border: 1px solid var(--white-10); border-radius: 12px; padding: 16px; margin-bottom: 12px;">
                 <div class="v2-exercise-header" style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 12px;">
                     <span class="v2-exercise-name" style="font-weight: 600; font-size: 16px;">
                         ${getCategoryEmoji(ex.category)} ${ex.name}
                     </span>
                     <div class="v2-exercise-actions" style="display: flex; gap: 8px;">
+                        ${ex.group_id
+                            ? `<button class="btn-icon" onclick="unlinkExercise('${ex.id}')" title="Remove from group" style="background: none; border: none; cursor: pointer; opacity: 0.6;">✂️</button>`
+                            : (previousOf(ex) ? `<button class="btn-icon" onclick="linkWithPrevious('${ex.id}')" title="Superset with ${previousOf(ex).name}" style="background: none; border: none; cursor: pointer; opacity: 0.6;">🔗</button>` : '')}
                         <button class="btn-icon" onclick="deleteExercise('${ex.id}')" title="Delete" style="background: none; border: none; cursor: pointer; opacity: 0.6;">🗑️</button>
                     </div>
                 </div>
@@ -753,17 +2449,18 @@ function renderWorkoutPanel() {
                         <span style="margin-left: auto; min-width: 20px;"></span>
                     </div>
                     ${(ex.sets || []).map(set => `
-                        <div class="v2-set-row" data-set="${set.set_num}" style="display: flex; align-items: center; gap: 12px; padding: 6px 12px; background: var(--carbon); border-radius: 8px; margin-bottom: 6px; font-size: 14px;">
-                            <span class="v2-set-num" style="color: var(--white-50); min-width: 50px;">Set ${set.set_num}</span>
+                        <div class="v2-set-row" data-set="${set.set_num}" data-set-type="${set.set_type || 'normal'}" style="display: flex; align-items: center; gap: 12px; padding: 6px 12px; background: var(--carbon); border-radius: 8px; margin-bottom: 6px; font-size: 14px;${isWarmupSet(set) ? ' opacity: 0.6;' : ''}">
+                            <span class="v2-set-num" onclick="cycleSetType('${ex.id}', ${set.set_num})" title="${(SET_TYPES[set.set_type] || SET_TYPES.normal).label} - tap to change" style="color: ${(SET_TYPES[set.set_type] || SET_TYPES.normal).color}; min-width: 50px; cursor: pointer;">${SET_TYPES[set.set_type]?.short ? `${SET_TYPES[set.set_type].short} · ${set.set_num}` : `Set ${set.set_num}`}</span>
                             <div style="min-width: 80px; display: flex; align-items: center; gap: 4px;">
+                                ${set.bodyweight ? '<span title="Bodyweight plus this load" style="color: var(--white-30); font-size: 11px;">BW+</span>' : ''}
                                 <input type="number" 
                                     data-edit-weight="${ex.id}-${set.set_num}"
-                                    value="${set.weight}" 
+                                    value="${MacraUnits.toPreferred(set.weight, set.unit)}" 
                                     style="width: 60px; background: var(--onyx); border: 1px solid var(--white-10); border-radius: 6px; color: var(--prism-cyan); font-weight: 600; font-size: 14px; padding: 4px 6px; text-align: right; -moz-appearance: textfield;"
                                     onchange="handleInlineEdit('${ex.id}', ${set.set_num})"
                                     onfocus="this.select()"
                                 >
-                                <span style="color: var(--white-30); font-size: 11px;">lbs</span>
+                                <span style="color: var(--white-30); font-size: 11px;">${MacraUnits.getPreference()}${set.per_side ? ' ea' : ''}</span>
                             </div>
                             <div style="min-width: 60px; display: flex; align-items: center; gap: 4px;">
                                 <span style="color: var(--white-30);">×</span>
@@ -775,26 +2472,61 @@ function renderWorkoutPanel() {
                                     onfocus="this.select()"
                                 >
                             </div>
+                            ${set.duration ? `<span class="v2-set-duration" style="color: var(--prism-cyan); font-size: 12px;">⏱ ${formatSetDuration(set.duration)}</span>` : ''}
                             ${set.rpe ? `<span class="v2-set-rpe" style="color: var(--prism-amber); font-size: 12px;">RPE ${set.rpe}</span>` : ''}
+                            ${set.rest ? `<span class="v2-set-rest" title="Rest before this set" style="color: var(--white-30); font-size: 11px;">⏸ ${Math.floor(set.rest / 60)}:${(set.rest % 60).toString().padStart(2, '0')}</span>` : ''}
+                            ${set._pending ? '<span title="Waiting to sync" style="font-size: 11px; opacity: 0.6;">⏳</span>' : ''}
                             <button class="btn-icon-sm" onclick="deleteExercise('${ex.id}', ${set.set_num})" style="background: none; border: none; cursor: pointer; font-size: 12px; opacity: 0.5; margin-left: auto;">×</button>
                         </div>
                     `).join('')}
+                    ${pendingFor(ex.name) ? renderGhostRows(pendingFor(ex.name)) : ''}
                 </div>
+                ${renderPlateHint(ex)}
                 <button class="btn btn-ghost btn-sm" onclick="quickAddSet('${ex.id}', '${ex.name}')" style="font-size: 12px; padding: 6px 12px;">
-                    + Add Set (${ex.sets?.[ex.sets.length - 1]?.weight || 0} lbs × ${ex.sets?.[ex.sets.length - 1]?.reps || 0})
+                    + Add Set (${MacraUnits.format(ex.sets?.[ex.sets.length - 1]?.weight || 0, ex.sets?.[ex.sets.length - 1]?.unit)} × ${ex.sets?.[ex.sets.length - 1]?.reps || 0})
                 </button>
+                ${renderWarmupButton(ex.name)}
             </div>
-        `).join('');
+        `;
+        exercisesHTML = groupExerciseBlocks(workout.exercises)
+            .map(block => block.members.length > 1 ? renderExerciseGroup(block, renderCard) : renderCard(block.members[0]))
+            .join('');
     }
     
+    // Planned exercises with nothing logged yet - ghost cards
+    exercisesHTML += pendingPlan
+        .filter(p => p.loggedCount === 0 && p.remaining.length)
+        .map(p => `
+            <div class="v2-exercise-card v2-planned-card" style="background: var(--onyx); border: 1px dashed var(--white-10); border-radius: 12px; padding: 16px; margin-bottom: 12px;">
+                <div class="v2-exercise-header" style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 12px;">
+                    <span class="v2-exercise-name" style="font-weight: 600; font-size: 16px; color: var(--white-70);">
+                        ${getCategoryEmoji(p.exercise.category)} ${p.exercise.name}
+                    </span>
+                    <span style="font-size: 11px; color: var(--white-30);">PLANNED${p.exercise.rest ? ` · ${p.exercise.rest}s rest` : ''}</span>
+                </div>
+                <div class="v2-sets-list">${renderGhostRows(p)}</div>
+                ${renderWarmupButton(p.exercise.name)}
+            </div>
+        `).join('');
+    
     // Prediction card
     let predictionHTML = '';
     if (UnifiedState.prediction) {
+        const prediction = UnifiedState.prediction;
+        const target = prediction.target;
+        const targetLoad = target && (target.bodyweight
+            ? `BW${target.weight ? '+' + MacraUnits.format(target.weight, target.unit) : ''}`
+            : (target.weight ? MacraUnits.format(target.weight, target.unit) : 'Bodyweight'));
+        const comparison = prediction.comparison;
         predictionHTML = `
             <div class="v2-prediction-card" style="background: linear-gradient(135deg, rgba(16, 185, 129, 0.1), rgba(6, 182, 212, 0.1)); border: 1px solid rgba(16, 185, 129, 0.3); border-radius: 12px; padding: 16px; margin: 16px 0;">
-                <div style="font-size: 12px; color: var(--prism-emerald); margin-bottom: 4px;">🔮 Predicted Next:</div>
-                <div style="font-size: 18px; font-weight: 600; margin-bottom: 4px;">${UnifiedState.prediction.exercise}</div>
-                <div style="font-size: 12px; color: var(--white-50); margin-bottom: 12px;">${UnifiedState.prediction.reason || ''}</div>
+                <div style="font-size: 12px; color: var(--prism-emerald); margin-bottom: 4px;">🔮 Predicted Next${prediction.source === 'local' ? ' (offline)' : ''}:</div>
+                <div style="font-size: 18px; font-weight: 600; margin-bottom: 4px;">${prediction.exercise}</div>
+                <div style="margin-bottom: 12px;">
+                    <div style="font-size: 12px; color: var(--white-50);">${prediction.reason || ''}</div>
+                    ${target ? `<div style="font-size: 13px; margin-top: 6px;">🎯 ${targetLoad} × ${target.reps} <span style="font-size: 11px; color: var(--white-40);">${target.note}</span></div>` : ''}
+                    ${comparison ? `<div style="font-size: 11px; color: var(--white-40); margin-top: 6px;">📴 Offline model ${comparison.agrees ? 'agrees' : `suggests ${comparison.exercise}`} · agreed ${comparison.agreed}/${comparison.compared}</div>` : ''}
+                </div>
                 <div style="display: flex; gap: 8px;">
                     <button class="btn btn-primary btn-sm" onclick="acceptPrediction()">✓ Yes, Log It</button>
                     <button class="btn btn-ghost btn-sm" onclick="dismissPrediction()">Different Exercise</button>
@@ -806,9 +2538,7 @@ function renderWorkoutPanel() {
     // Calculate stats
     const totalExercises = workout.exercises?.length || 0;
     const totalSets = workout.exercises?.reduce((sum, ex) => sum + (ex.sets?.length || 0), 0) || 0;
-    const totalVolume = workout.exercises?.reduce((sum, ex) => {
-        return sum + (ex.sets || []).reduce((setSum, set) => setSum + (set.weight * set.reps), 0);
-    }, 0) || 0;
+    const totalVolume = workout.exercises?.reduce((sum, ex) => sum + workingVolume(ex.sets), 0) || 0;
     
     panel.innerHTML = `
         <div class="v2-workout-header" style="padding: 16px; background: linear-gradient(135deg, rgba(139, 92, 246, 0.2), rgba(6, 182, 212, 0.2)); border-radius: 12px; margin-bottom: 16px;">
@@ -819,6 +2549,10 @@ function renderWorkoutPanel() {
             <div class="v2-workout-name" style="font-size: 20px; font-weight: 600; margin-top: 8px;">${workout.workout_name || 'Workout'}</div>
         </div>
         
+        <div id="v2RestTimer">${renderRestTimer()}</div>
+        
+        <div id="v2SyncStatus">${renderSyncStatus()}</div>
+        
         <div class="v2-exercises-container">
             ${exercisesHTML || '<div style="text-align: center; padding: 24px; color: var(--white-30);">No exercises yet. Add your first exercise below!</div>'}
         </div>
@@ -838,7 +2572,7 @@ function renderWorkoutPanel() {
                 <span>•</span>
                 <span>${totalSets} sets</span>
                 <span>•</span>
-                <span>${totalVolume.toLocaleString()} lbs</span>
+                <span>${totalVolume.toLocaleString()} ${MacraUnits.getPreference()}</span>
             </div>
             <div style="display: flex; gap: 8px;">
                 <button class="btn btn-ghost" onclick="cancelWorkout()" style="color: var(--prism-rose);">
@@ -868,9 +2602,7 @@ function showFinalizeModal() {
     
     const totalExercises = workout.exercises?.length || 0;
     const totalSets = workout.exercises?.reduce((sum, ex) => sum + (ex.sets?.length || 0), 0) || 0;
-    const totalVolume = workout.exercises?.reduce((sum, ex) => {
-        return sum + (ex.sets || []).reduce((setSum, set) => setSum + (set.weight * set.reps), 0);
-    }, 0) || 0;
+    const totalVolume = workout.exercises?.reduce((sum, ex) => sum + workingVolume(ex.sets), 0) || 0;
     
     const modalHTML = `
         <div class="modal-overlay" id="finalizeModal" onclick="if(event.target===this) this.remove()" style="position: fixed; inset: 0; background: rgba(0,0,0,0.8); display: flex; align-items: center; justify-content: center; z-index: 10000;">
@@ -897,13 +2629,18 @@ function showFinalizeModal() {
                     <div style="font-size: 16px;">
                         <strong>${totalExercises}</strong> exercises • 
                         <strong>${totalSets}</strong> sets • 
-                        <strong>${totalVolume.toLocaleString()}</strong> lbs
+                        <strong>${totalVolume.toLocaleString()}</strong> ${MacraUnits.getPreference()}
                     </div>
                     <div style="font-size: 12px; color: var(--white-50); margin-top: 4px;">
                         Duration: ${getElapsedTime()}
                     </div>
                 </div>
                 
+                <label style="display: flex; align-items: center; gap: 8px; font-size: 14px; color: var(--white-70); cursor: pointer;">
+                    <input type="checkbox" id="finalizeSaveTemplate">
+                    📋 Save as template
+                </label>
+                
                 <div style="display: flex; gap: 12px; margin-top: 24px;">
                     <button class="btn btn-ghost" onclick="document.getElementById('finalizeModal').remove()" style="flex: 1;">
                         Cancel
@@ -923,6 +2660,14 @@ function showFinalizeModal() {
 async function doFinalize() {
     const name = document.getElementById('finalizeWorkoutName')?.value;
     const notes = document.getElementById('finalizeWorkoutNotes')?.value;
+    const saveAsTemplate = document.getElementById('finalizeSaveTemplate')?.checked;
+    
+    // Take the template before finalize clears the session
+    if (saveAsTemplate && UnifiedState.activeWorkout) {
+        const workout = UnifiedState.activeWorkout;
+        const restByName = Object.fromEntries((UnifiedState.plan?.exercises || []).map(ex => [ex.name.toLowerCase(), ex.rest]));
+        saveWorkoutTemplate(name || workout.workout_name, buildPlanExercises(workout.exercises, restByName), workout.id);
+    }
     
     // Disable button to prevent double-click
     const btn = document.querySelector('#finalizeModal .btn-primary');
@@ -947,9 +2692,18 @@ async function parseAndAddExercise() {
     const input = document.getElementById('v2ExerciseInput') || document.getElementById('unifiedInput');
     if (!input || !input.value.trim()) return;
     
-    const rawInput = input.value.trim();
+    const typedInput = input.value.trim();
     
     try {
+        if (await handleWorkoutCommand(typedInput)) {
+            input.value = '';
+            return;
+        }
+        
+        const { text: rawInput, setType } = extractSetType(typedInput);
+        // "100kg" logs in kg whatever the preference; no unit means the preference
+        const typedUnit = MacraUnits.parseWeight(rawInput)?.unit || null;
+        
         // Try AI parsing first
         const res = await unifiedApiCall('/api/v2/learning/parse-exercise', {
             method: 'POST',
@@ -965,11 +2719,11 @@ async function parseAndAddExercise() {
                 let reps = parsed.reps || 0;
                 let sets = parsed.sets || 1;
                 if (!weight && !reps) {
-                    const fallback = parseExerciseBasic(rawInput);
+                    const fallback = MacraExerciseParser.parse(rawInput)[0];
                     if (fallback) {
-                        weight = fallback.weight || 0;
-                        reps = fallback.reps || 0;
-                        sets = fallback.sets || 1;
+                        await addParsedSets(parsed.standard_name, fallback.sets, { setType, originalInput: typedInput });
+                        input.value = '';
+                        return;
                     }
                 }
                 await addExercise(
@@ -977,23 +2731,20 @@ async function parseAndAddExercise() {
                     weight,
                     reps,
                     sets,
-                    parsed.rpe || null
+                    parsed.rpe || null,
+                    { setType, unit: typedUnit || MacraUnits.normalizeUnit(parsed.unit), originalInput: typedInput }
                 );
                 input.value = '';
                 return;
             }
         }
         
-        // Fallback: Basic regex parsing
-        const basicParsed = parseExerciseBasic(rawInput);
-        if (basicParsed) {
-            await addExercise(
-                basicParsed.name,
-                basicParsed.weight,
-                basicParsed.reps,
-                basicParsed.sets,
-                null
-            );
+        // Fallback: offline parser (several sets / exercises per line)
+        const offlineParsed = MacraExerciseParser.parse(rawInput);
+        if (offlineParsed.length) {
+            for (const exercise of offlineParsed) {
+                await addParsedSets(exercise.name, exercise.sets, { setType, originalInput: typedInput });
+            }
             input.value = '';
             return;
         }
@@ -1006,38 +2757,19 @@ async function parseAndAddExercise() {
 }
 
 /**
- * Basic regex fallback parser
+ * Log sets from MacraExerciseParser - runs of identical sets go in one call
+ * @param {Object} options - Passed on to addExercise (setType, originalInput)
  */
-function parseExerciseBasic(input) {
-    // Pattern: "exercise name 135lbs 3x10" or "exercise name 135 x 10"
-    const patterns = [
-        /^(.+?)\s+(\d+)\s*(?:lbs?|pounds?)?\s*[x×]\s*(\d+)$/i,  // "bench 135 x 10"
-        /^(.+?)\s+(\d+)\s*(?:lbs?|pounds?)\s+(\d+)\s*[x×]\s*(\d+)$/i,  // "bench 135lbs 3x10"
-        /^(.+?)\s+(\d+)\s*[x×]\s*(\d+)$/i,  // "bench 135x10"
-    ];
-    
-    for (const pattern of patterns) {
-        const match = input.match(pattern);
-        if (match) {
-            if (match.length === 4) {
-                return {
-                    name: match[1].trim(),
-                    weight: parseInt(match[2]),
-                    reps: parseInt(match[3]),
-                    sets: 1
-                };
-            } else if (match.length === 5) {
-                return {
-                    name: match[1].trim(),
-                    weight: parseInt(match[2]),
-                    sets: parseInt(match[3]),
-                    reps: parseInt(match[4])
-                };
-            }
-        }
+async function addParsedSets(name, sets, options = {}) {
+    for (const set of MacraExerciseParser.groupSets(sets)) {
+        await addExercise(name, set.weight, set.reps, set.count, set.rpe, {
+            ...options,
+            unit: set.unit,
+            bodyweight: set.bodyweight,
+            perSide: set.perSide,
+            duration: set.duration
+        });
     }
-    
-    return null;
 }
 
 // ═══════════════════════════════════════════════════════════════
@@ -1049,6 +2781,9 @@ window.v2StartWorkout = startWorkout;
 window.v2AddExercise = addExercise;
 window.v2FinalizeWorkout = finalizeWorkout;
 window.v2CancelWorkout = cancelWorkout;
+window.v2ResumeRecoveredWorkout = resumeRecoveredWorkout;
+window.v2FinalizeRecoveredWorkout = finalizeRecoveredWorkout;
+window.v2DiscardRecoveredWorkout = discardRecoveredWorkout;
 window.v2QuickAddSet = quickAddSet;
 window.v2DeleteExercise = deleteExercise;
 window.v2ShowFinalizeModal = showFinalizeModal;
@@ -1056,6 +2791,17 @@ window.v2DoFinalize = doFinalize;
 window.v2AcceptPrediction = acceptPrediction;
 window.v2DismissPrediction = dismissPrediction;
 window.v2ParseAndAddExercise = parseAndAddExercise;
+window.v2ProcessSyncQueue = processSyncQueue;
+window.v2StartFromTemplate = startFromTemplate;
+window.v2RepeatLastWorkout = repeatLastWorkout;
+window.v2SaveWorkoutTemplate = saveWorkoutTemplate;
+window.v2HandleWorkoutCommand = handleWorkoutCommand;
+window.v2StopRestTimer = stopRestTimer;
+window.v2CycleSetType = cycleSetType;
+window.v2LinkWithPrevious = linkWithPrevious;
+window.v2StartProgramDay = startProgramDay;
+window.v2GenerateWarmups = generateWarmups;
+window.v2CalculatePlates = calculatePlates;
 
 // Also expose the old updateV2WorkoutUI name
 window.updateV2WorkoutUI = renderWorkoutPanel;
@@ -1074,32 +2820,24 @@ async function initUnifiedWorkout() {
         return;
     }
     
-    // Check for encryption capability
+    // Check for encryption capability (data key remembered from a past unlock)
+    if (typeof MacraCryptoAPI !== 'undefined') await MacraCryptoAPI.ready;
     if (MacraCrypto.isEnabled()) {
         console.log('🔐 Client-side encryption enabled');
     } else {
-        console.log('⚠️ Running without encryption (v2.0 mode)');
+        console.log('🔐 Data key not unlocked yet - unlocked with the Athlete Code on first write, or in Settings');
     }
     
     try {
-        // Load any active workout
-        await getActiveWorkout();
-
-             // Auto-cancel stale sessions (older than 4 hours)
-        if (UnifiedState.activeWorkout?.started_at) {
-            const age = Date.now() - new Date(UnifiedState.activeWorkout.started_at).getTime();
-            const FOUR_HOURS = 4 * 60 * 60 * 1000;
-            if (age > FOUR_HOURS) {
-                console.warn('⚠️ Stale workout detected (' + Math.round(age / 3600000) + 'h old), auto-cancelling...');
-                try {
-                    await unifiedApiCall('/api/v2/workout/cancel', {
-                        method: 'POST',
-                        body: JSON.stringify({ session_id: UnifiedState.activeWorkout.id })
-                    });
-                } catch (e) { console.log('Stale cancel error:', e); }
-                UnifiedState.activeWorkout = null;
-            }
-        }
+        // The copy saved before the app last closed, if it closed mid-workout
+        const saved = await loadSavedWorkout();
+        
+        // Push anything logged offline before asking for the active session
+        await processSyncQueue();
+        
+        // Load any active workout, or hold a recovered one for resume / finalize / discard
+        await reconcileActiveWorkout(saved, await fetchActiveWorkout());
+        restoreWorkoutPlan();
                 
         // Render UI
         renderWorkoutPanel();
@@ -1117,10 +2855,18 @@ async function initUnifiedWorkout() {
 }
 
 // Listen for online/offline status
-window.addEventListener('online', () => {
+window.addEventListener('online', async () => {
     UnifiedState.isOnline = true;
     showToast('📶 Back online');
-    // TODO: Process sync queue
+    await processSyncQueue();
+    
+    // A session recovered while offline can now be checked against the server
+    if (UnifiedState.recoveredWorkout?.reason === 'offline') {
+        await reconcileActiveWorkout(await loadSavedWorkout(), await fetchActiveWorkout());
+        restoreWorkoutPlan();
+        renderWorkoutPanel();
+        if (UnifiedState.activeWorkout) startWorkoutTimer();
+    }
 });
 
 window.addEventListener('offline', () => {
@@ -1128,13 +2874,15 @@ window.addEventListener('offline', () => {
     showToast('📴 Working offline');
 });
 
-// Initialize when DOM ready
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => {
-        setTimeout(initUnifiedWorkout, 1500);
-    });
-} else {
-    setTimeout(initUnifiedWorkout, 1500);
-}
+// Initialize when DOM ready. v2WorkoutReady lets other modules (e.g. the
+// ?action=workout shortcut) wait until any active session is loaded.
+window.v2WorkoutReady = new Promise(resolve => {
+    const start = () => setTimeout(() => initUnifiedWorkout().finally(resolve), 1500);
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', start);
+    } else {
+        start();
+    }
+});
 
 console.log('📦 MACRA v2.1 Unified Workout module loaded');
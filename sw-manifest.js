@@ -0,0 +1,110 @@
+// Generated by tools/build-sw-manifest.js - do not edit by hand
+self.MACRA_PRECACHE = {
+    "version": "d777fcc013b1",
+    "assets": [
+        {
+            "url": "/index.html",
+            "revision": "cac7ae51493b"
+        },
+        {
+            "url": "/manifest.json",
+            "revision": "b98d7d7a158d"
+        },
+        {
+            "url": "/macra-schema.js",
+            "revision": "0f71bff3f31a"
+        },
+        {
+            "url": "/macra-units.js",
+            "revision": "7b0a6707c3f0"
+        },
+        {
+            "url": "/macra-nutrients.js",
+            "revision": "a401c0962b42"
+        },
+        {
+            "url": "/macra-hydration.js",
+            "revision": "c6f12a977a9c"
+        },
+        {
+            "url": "/macra-exercise-parser.js",
+            "revision": "efe8d67e6565"
+        },
+        {
+            "url": "/macra-exercises.js",
+            "revision": "bf6a1c2e4522"
+        },
+        {
+            "url": "/macra-predictor.js",
+            "revision": "750a04f11e20"
+        },
+        {
+            "url": "/macra-db.js",
+            "revision": "3c9ec00e2fb0"
+        },
+        {
+            "url": "/macra-crypto.js",
+            "revision": "da2c9bc3a0a0"
+        },
+        {
+            "url": "/macra-barcode.js",
+            "revision": "756aa5618f3f"
+        },
+        {
+            "url": "/macra-outbox.js",
+            "revision": "1c31c149c06f"
+        },
+        {
+            "url": "/macra-mock-server.js",
+            "revision": "253138fa069d"
+        },
+        {
+            "url": "/macra-programs.js",
+            "revision": "456f67cecf1a"
+        },
+        {
+            "url": "/macra-v2.js",
+            "revision": "adb24d6a94e2"
+        },
+        {
+            "url": "/macra-integration-patch.js",
+            "revision": "aa78f1351d28"
+        },
+        {
+            "url": "/macra-effects.js",
+            "revision": "e4cbc71e2655"
+        },
+        {
+            "url": "/macra-pwa.js",
+            "revision": "85aebff18fa9"
+        },
+        {
+            "url": "/programs/531.json",
+            "revision": "bf4ab4c7d7e5"
+        },
+        {
+            "url": "/programs/linear-5x5.json",
+            "revision": "cec19907d81f"
+        },
+        {
+            "url": "/programs/ppl-rpe.json",
+            "revision": "0a371875034e"
+        },
+        {
+            "url": "/icons/favicon-32x32.png",
+            "revision": "1d59ac447d6e"
+        },
+        {
+            "url": "/icons/apple-touch-icon.png",
+            "revision": "0ebfef480ae7"
+        },
+        {
+            "url": "/icons/icon-192.png",
+            "revision": "e3219df700c5"
+        },
+        {
+            "url": "/icons/icon-512.png",
+            "revision": "12b116ee714f"
+        }
+    ]
+};
@@ -1,25 +1,33 @@
-// MACRA Service Worker v1.4
-const CACHE_NAME = 'macra-v1.4-cache';
-const OFFLINE_URL = '/';
-
-const ASSETS_TO_CACHE = [
-    '/',
-    '/index.html',
-    '/manifest.json',
-    'https://fonts.googleapis.com/css2?family=Orbitron:wght@400;500;600;700;800;900&family=Inter:wght@300;400;500;600&display=swap'
-];
-
-// Install event - cache core assets
+// MACRA Service Worker v2.0
+// Asset list + content hashes come from sw-manifest.js (tools/build-sw-manifest.js)
+importScripts('/sw-manifest.js');
+
+const PRECACHE = self.MACRA_PRECACHE || { version: 'dev', assets: [] };
+const CACHE_PREFIX = 'macra-';
+const CACHE_NAME = CACHE_PREFIX + PRECACHE.version;
+const RUNTIME_CACHE = CACHE_PREFIX + 'runtime';
+// Holds a photo from the Web Share Target until the app picks it up
+const SHARE_CACHE = CACHE_PREFIX + 'share-target';
+const SHARE_PHOTO_URL = '/share-target/photo';
+const OFFLINE_URL = '/index.html';
+
+const FONT_URL = 'https://fonts.googleapis.com/css2?family=Orbitron:wght@400;500;600;700;800;900&family=Inter:wght@300;400;500;600&display=swap';
+
+// Install event - precache the versioned asset list
 self.addEventListener('install', (event) => {
     event.waitUntil(
         caches.open(CACHE_NAME)
             .then((cache) => {
-                console.log('[MACRA SW] Caching core assets');
-                return cache.addAll(ASSETS_TO_CACHE);
+                console.log('[MACRA SW] Precaching', PRECACHE.assets.length, 'assets, version', PRECACHE.version);
+                // Bypass the HTTP cache so we store exactly the hashed revision
+                const requests = PRECACHE.assets.map((asset) => new Request(asset.url, { cache: 'reload' }));
+                return cache.addAll(requests)
+                    .then(() => cache.add(FONT_URL).catch(() => console.warn('[MACRA SW] Font precache skipped')));
             })
             .then(() => {
+                // Don't skipWaiting here - the app shows an update banner and
+                // sends SKIP_WAITING when the user chooses to reload
                 console.log('[MACRA SW] Installation complete');
-                return self.skipWaiting();
             })
     );
 });
@@ -31,7 +39,7 @@ self.addEventListener('activate', (event) => {
             .then((cacheNames) => {
                 return Promise.all(
                     cacheNames
-                        .filter((name) => name !== CACHE_NAME)
+                        .filter((name) => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME && name !== RUNTIME_CACHE && name !== SHARE_CACHE)
                         .map((name) => {
                             console.log('[MACRA SW] Deleting old cache:', name);
                             return caches.delete(name);
@@ -45,50 +53,179 @@ self.addEventListener('activate', (event) => {
     );
 });
 
-// Fetch event - serve from cache, fallback to network
+function isHTMLRequest(request) {
+    return request.mode === 'navigate' ||
+        (request.headers.get('accept') || '').includes('text/html');
+}
+
+// HTML: network-first so a deploy shows up on the next load, cache when offline
+function networkFirst(request) {
+    return fetch(request)
+        .then((networkResponse) => {
+            if (networkResponse && networkResponse.ok) {
+                const responseToCache = networkResponse.clone();
+                caches.open(CACHE_NAME).then((cache) => cache.put(request, responseToCache));
+            }
+            return networkResponse;
+        })
+        .catch(() => {
+            return caches.match(request, { ignoreSearch: true })
+                .then((cachedResponse) => cachedResponse || caches.match(OFFLINE_URL));
+        });
+}
+
+// Everything else: serve from cache, fill the runtime cache from network
+function cacheFirst(request) {
+    return caches.match(request)
+        .then((cachedResponse) => {
+            if (cachedResponse) return cachedResponse;
+
+            return fetch(request)
+                .then((networkResponse) => {
+                    if (networkResponse && networkResponse.status === 200) {
+                        const responseToCache = networkResponse.clone();
+                        caches.open(RUNTIME_CACHE).then((cache) => cache.put(request, responseToCache));
+                    }
+                    return networkResponse;
+                })
+                .catch(() => new Response('Offline', { status: 503 }));
+        });
+}
+
+// Web Share Target: stash the photo, hand the text over in the URL,
+// then redirect into the app which routes ?action=share
+async function handleShareTarget(request) {
+    const formData = await request.formData();
+    const params = new URLSearchParams({ action: 'share' });
+
+    const text = [formData.get('title'), formData.get('text'), formData.get('url')]
+        .filter(Boolean)
+        .join(' ')
+        .trim();
+    if (text) params.set('text', text);
+
+    const photo = formData.get('photo');
+    if (photo && typeof photo !== 'string' && photo.size > 0) {
+        const cache = await caches.open(SHARE_CACHE);
+        await cache.put(SHARE_PHOTO_URL, new Response(photo, {
+            headers: {
+                'Content-Type': photo.type || 'image/jpeg',
+                'X-File-Name': encodeURIComponent(photo.name || 'shared-photo')
+            }
+        }));
+        params.set('photo', '1');
+    }
+
+    return Response.redirect('/?' + params.toString(), 303);
+}
+
+// Fetch event
 self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+
+    if (event.request.method === 'POST' && url.pathname === '/share-target') {
+        event.respondWith(handleShareTarget(event.request));
+        return;
+    }
+
     // Skip non-GET requests
     if (event.request.method !== 'GET') return;
-    
+
     // Skip API requests (let them go through normally)
-    if (event.request.url.includes('api.anthropic.com')) return;
+    if (url.pathname.startsWith('/api/')) return;
+    if (url.hostname.includes('railway.app')) return;
+    if (url.hostname.includes('api.anthropic.com')) return;
+    if (url.hostname.includes('api.nal.usda.gov')) return;
     if (event.request.url.includes('sentinel')) return;
-    
-    event.respondWith(
-        caches.match(event.request)
-            .then((cachedResponse) => {
-                if (cachedResponse) {
-                    // Return cached version
-                    return cachedResponse;
-                }
-                
-                // Not in cache, fetch from network
-                return fetch(event.request)
-                    .then((networkResponse) => {
-                        // Cache successful responses for next time
-                        if (networkResponse && networkResponse.status === 200) {
-                            const responseToCache = networkResponse.clone();
-                            caches.open(CACHE_NAME)
-                                .then((cache) => {
-                                    cache.put(event.request, responseToCache);
-                                });
-                        }
-                        return networkResponse;
-                    })
-                    .catch(() => {
-                        // Network failed, try to return offline page
-                        if (event.request.mode === 'navigate') {
-                            return caches.match(OFFLINE_URL);
-                        }
-                        return new Response('Offline', { status: 503 });
-                    });
-            })
-    );
+
+    if (isHTMLRequest(event.request)) {
+        event.respondWith(networkFirst(event.request));
+        return;
+    }
+
+    event.respondWith(cacheFirst(event.request));
 });
 
+// Rest timer: the page hands over the end time so the "rest over"
+// notification still fires while the app is in the background.
+// Where Notification Triggers exist the notification is scheduled with
+// a TimestampTrigger and the browser shows it even with the worker gone.
+// Elsewhere it's BEST-EFFORT: a setTimeout kept alive by waitUntil, and
+// browsers stop idle workers after somewhere between ~30s and 5 minutes,
+// so long rests may go unannounced. The page also notifies from its own
+// timer when hidden (macra-v2.js completeRestTimer), whichever comes first.
+const REST_TAG = 'macra-rest-timer';
+const SUPPORTS_TRIGGERS = typeof TimestampTrigger !== 'undefined' && 'showTrigger' in Notification.prototype;
+let restTimer = null;
+
+function restNotificationOptions(data) {
+    return {
+        body: data.body || '',
+        tag: REST_TAG,
+        renotify: true,
+        icon: '/icons/icon-192.png',
+        badge: '/icons/icon-96.png',
+        vibrate: data.vibrate ? [200, 100, 200] : undefined
+    };
+}
+
+async function cancelRestTimer() {
+    if (restTimer) {
+        clearTimeout(restTimer.timeout);
+        restTimer.resolve();
+        restTimer = null;
+    }
+    if (SUPPORTS_TRIGGERS) {
+        const pending = await self.registration.getNotifications({ tag: REST_TAG, includeTriggered: false });
+        pending.forEach((notification) => notification.close());
+    }
+}
+
+async function scheduleRestTimer(data) {
+    await cancelRestTimer();
+    if (SUPPORTS_TRIGGERS) {
+        return self.registration.showNotification(data.title || 'Rest over', {
+            ...restNotificationOptions(data),
+            showTrigger: new TimestampTrigger(data.endsAt)
+        }).catch((error) => console.warn('[MACRA SW] Rest notification failed:', error));
+    }
+    return new Promise((resolve) => {
+        const timeout = setTimeout(async () => {
+            restTimer = null;
+            // A visible page shows its own toast + vibration, a hidden one may have notified already
+            const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+            const shown = await self.registration.getNotifications({ tag: REST_TAG });
+            if (!shown.length && !windows.some((client) => client.visibilityState === 'visible')) {
+                await self.registration.showNotification(data.title || 'Rest over', restNotificationOptions(data))
+                    .catch((error) => console.warn('[MACRA SW] Rest notification failed:', error));
+            }
+            resolve();
+        }, Math.max(0, data.endsAt - Date.now()));
+        restTimer = { timeout, resolve };
+    });
+}
+
 // Handle messages from the main app
 self.addEventListener('message', (event) => {
-    if (event.data && event.data.type === 'SKIP_WAITING') {
+    if (!event.data) return;
+
+    if (event.data.type === 'SKIP_WAITING') {
         self.skipWaiting();
+    } else if (event.data.type === 'REST_TIMER_START') {
+        event.waitUntil(scheduleRestTimer(event.data));
+    } else if (event.data.type === 'REST_TIMER_CANCEL') {
+        event.waitUntil(cancelRestTimer());
     }
 });
+
+// Tapping the rest notification brings the app back
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+            .then((windows) => {
+                if (windows.length) return windows[0].focus();
+                return self.clients.openWindow('/?action=workout');
+            })
+    );
+});
@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+/**
+ * MACRA SERVICE WORKER MANIFEST BUILDER
+ * ══════════════════════════════════════════════════════════════
+ *
+ * Hashes every precached asset and writes sw-manifest.js, which sw.js
+ * pulls in with importScripts(). The combined hash becomes the cache
+ * version, so any changed file produces a new cache and triggers the
+ * in-app "new version available" banner.
+ *
+ * Run before every deploy:
+ *     node tools/build-sw-manifest.js
+ *
+ * @version 1.0.0
+ * @author MSG Headquarters / Aurelius Koda
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const OUTPUT = path.join(ROOT, 'sw-manifest.js');
+
+// Everything the app needs to boot offline. sw.js itself is left out -
+// the browser update check handles it.
+const PRECACHE = [
+    'index.html',
+    'manifest.json',
+    'macra-schema.js',
+    'macra-units.js',
+    'macra-nutrients.js',
+    'macra-hydration.js',
+    'macra-exercise-parser.js',
+    'macra-exercises.js',
+    'macra-predictor.js',
+    'macra-db.js',
+    'macra-crypto.js',
+    'macra-barcode.js',
+    'macra-outbox.js',
+    'macra-mock-server.js',
+    'macra-programs.js',
+    'macra-v2.js',
+    'macra-integration-patch.js',
+    'macra-effects.js',
+    'macra-pwa.js',
+    'programs/531.json',
+    'programs/linear-5x5.json',
+    'programs/ppl-rpe.json',
+    'icons/favicon-32x32.png',
+    'icons/apple-touch-icon.png',
+    'icons/icon-192.png',
+    'icons/icon-512.png'
+];
+
+function hashFile(relPath) {
+    const contents = fs.readFileSync(path.join(ROOT, relPath));
+    return crypto.createHash('sha256').update(contents).digest('hex').slice(0, 12);
+}
+
+function build() {
+    const assets = PRECACHE.map(relPath => ({
+        url: '/' + relPath,
+        revision: hashFile(relPath)
+    }));
+
+    const version = crypto.createHash('sha256')
+        .update(assets.map(a => a.url + '@' + a.revision).join('\n'))
+        .digest('hex')
+        .slice(0, 12);
+
+    const output = [
+        '// Generated by tools/build-sw-manifest.js - do not edit by hand',
+        `self.MACRA_PRECACHE = ${JSON.stringify({ version, assets }, null, 4)};`,
+        ''
+    ].join('\n');
+
+    fs.writeFileSync(OUTPUT, output);
+    console.log(`✓ sw-manifest.js written (version ${version}, ${assets.length} assets)`);
+}
+
+build();
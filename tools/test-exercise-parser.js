@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+/**
+ * MACRA EXERCISE PARSER TESTS
+ * ══════════════════════════════════════════════════════════════
+ *
+ * Runs the example table below through MacraExerciseParser.parse().
+ * The parser is a browser script, so it is loaded with macra-units.js
+ * (which it depends on) into a sandbox that stands in for window.
+ *
+ *     node tools/test-exercise-parser.js
+ *
+ * Exits non-zero when any example fails.
+ *
+ * @version 1.0.0
+ * @author MSG Headquarters / Aurelius Koda
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..');
+const SCRIPTS = ['macra-units.js', 'macra-exercise-parser.js'];
+
+// [input, expected exercises]. Each expected set lists only the
+// fields it checks (weight/reps default to 0 when omitted); "n" is
+// how many identical copies are expected. This table is the spec.
+const EXAMPLES = [
+    // Weight × reps / sets × reps
+    ['bench 135 x 10', [{ name: 'bench', sets: [{ weight: 135, reps: 10, unit: null }] }]],
+    ['bench 135x10', [{ name: 'bench', sets: [{ weight: 135, reps: 10 }] }]],
+    ['curl 30x12', [{ name: 'curl', sets: [{ weight: 30, reps: 12 }] }]],
+    ['squat 3x5', [{ name: 'squat', sets: [{ reps: 5, n: 3 }] }]],
+    ['pushups 3x20', [{ name: 'pushups', sets: [{ reps: 20, n: 3 }] }]],
+    ['gvt squat 10x10', [{ name: 'gvt squat', sets: [{ reps: 10, n: 10 }] }]],
+    ['bench 135lbs 3x10', [{ name: 'bench', sets: [{ weight: 135, reps: 10, unit: 'lbs', n: 3 }] }]],
+    ['bench 135 3x10', [{ name: 'bench', sets: [{ weight: 135, reps: 10, n: 3 }] }]],
+    ['Bench Press 185 lbs 3x8', [{ name: 'Bench Press', sets: [{ weight: 185, reps: 8, unit: 'lbs', n: 3 }] }]],
+    ['bench 135x3x10', [{ name: 'bench', sets: [{ weight: 135, reps: 10, n: 3 }] }]],
+    ['deadlift 405 × 1 × 3', [{ name: 'deadlift', sets: [{ weight: 405, reps: 3, n: 1 }] }]],
+    ['row 135*10', [{ name: 'row', sets: [{ weight: 135, reps: 10 }] }]],
+    ['bench 225 for 5', [{ name: 'bench', sets: [{ weight: 225, reps: 5 }] }]],
+    ['squat 225 5 reps', [{ name: 'squat', sets: [{ weight: 225, reps: 5 }] }]],
+    ['pushups 20', [{ name: 'pushups', sets: [{ reps: 20 }] }]],
+    ['pullups 10 reps', [{ name: 'pullups', sets: [{ reps: 10 }] }]],
+    ['bench 3 sets of 10 at 135', [{ name: 'bench', sets: [{ weight: 135, reps: 10, n: 3 }] }]],
+    ['3x8 @ 185 squat', [{ name: 'squat', sets: [{ weight: 185, reps: 8, n: 3 }] }]],
+    ['squat 3x8 @185', [{ name: 'squat', sets: [{ weight: 185, reps: 8, n: 3 }] }]],
+    ['5x5 squat at 225', [{ name: 'squat', sets: [{ weight: 225, reps: 5, n: 5 }] }]],
+    ['t-bar row 90x12', [{ name: 't-bar row', sets: [{ weight: 90, reps: 12 }] }]],
+    ['bench 135#x10', [{ name: 'bench', sets: [{ weight: 135, reps: 10, unit: 'lbs' }] }]],
+
+    // Units
+    ['bench 100kg 5x5', [{ name: 'bench', sets: [{ weight: 100, reps: 5, unit: 'kg', n: 5 }] }]],
+    ['squat 82.5 kg 3x5', [{ name: 'squat', sets: [{ weight: 82.5, reps: 5, unit: 'kg', n: 3 }] }]],
+    ['bench 60kg x 8', [{ name: 'bench', sets: [{ weight: 60, reps: 8, unit: 'kg' }] }]],
+    ['kb swing 24 kilos 3x15', [{ name: 'kb swing', sets: [{ weight: 24, reps: 15, unit: 'kg', n: 3 }] }]],
+    ['squat 225 pounds x 5', [{ name: 'squat', sets: [{ weight: 225, reps: 5, unit: 'lbs' }] }]],
+    ['curl 12.5kgx10', [{ name: 'curl', sets: [{ weight: 12.5, reps: 10, unit: 'kg' }] }]],
+
+    // Several sets on one line
+    ['bench 135x10, 155x8, 175x6', [{ name: 'bench', sets: [{ weight: 135, reps: 10 }, { weight: 155, reps: 8 }, { weight: 175, reps: 6 }] }]],
+    ['squat 60kg x 10, 80 x 5', [{ name: 'squat', sets: [{ weight: 60, reps: 10, unit: 'kg' }, { weight: 80, reps: 5, unit: 'kg' }] }]],
+    ['bench 135x10; 185x5; 225x3', [{ name: 'bench', sets: [{ weight: 135, reps: 10 }, { weight: 185, reps: 5 }, { weight: 225, reps: 3 }] }]],
+    ['squat 225 3x5, 245 1x3', [{ name: 'squat', sets: [{ weight: 225, reps: 5, n: 3 }, { weight: 245, reps: 3 }] }]],
+    ['bench 135x10, squat 225x5', [{ name: 'bench', sets: [{ weight: 135, reps: 10 }] }, { name: 'squat', sets: [{ weight: 225, reps: 5 }] }]],
+    ['bench 135x10 then 155x8', [{ name: 'bench', sets: [{ weight: 135, reps: 10 }, { weight: 155, reps: 8 }] }]],
+
+    // Bodyweight and added load
+    ['pullups bw+25 3x5 rpe 8', [{ name: 'pullups', sets: [{ weight: 25, reps: 5, rpe: 8, bodyweight: true, n: 3 }] }]],
+    ['dips bw 3x10', [{ name: 'dips', sets: [{ weight: 0, reps: 10, bodyweight: true, n: 3 }] }]],
+    ['chin ups bw + 45lbs x 5', [{ name: 'chin ups', sets: [{ weight: 45, reps: 5, unit: 'lbs', bodyweight: true }] }]],
+    ['dips bodyweight 15', [{ name: 'dips', sets: [{ reps: 15, bodyweight: true }] }]],
+    ['pullups @ bw+20kg 4x6', [{ name: 'pullups', sets: [{ weight: 20, reps: 6, unit: 'kg', bodyweight: true, n: 4 }] }]],
+
+    // RPE / RIR
+    ['squat 315x5 rpe 8', [{ name: 'squat', sets: [{ weight: 315, reps: 5, rpe: 8 }] }]],
+    ['squat 315x5 @8', [{ name: 'squat', sets: [{ weight: 315, reps: 5, rpe: 8 }] }]],
+    ['row 135x10 @ rpe 7.5', [{ name: 'row', sets: [{ weight: 135, reps: 10, rpe: 7.5 }] }]],
+    ['bench 185x8 rir 2', [{ name: 'bench', sets: [{ weight: 185, reps: 8, rir: 2, rpe: 8 }] }]],
+    ['bench 185x8 2 rir', [{ name: 'bench', sets: [{ weight: 185, reps: 8, rir: 2, rpe: 8 }] }]],
+    ['press 95 3x5 rpe9', [{ name: 'press', sets: [{ weight: 95, reps: 5, rpe: 9, n: 3 }] }]],
+    ['squat 3x5 @ 225 rpe 7', [{ name: 'squat', sets: [{ weight: 225, reps: 5, rpe: 7, n: 3 }] }]],
+
+    // Timed holds
+    ['plank 60s', [{ name: 'plank', sets: [{ duration: 60, reps: 0 }] }]],
+    ['plank 3x45s', [{ name: 'plank', sets: [{ duration: 45, n: 3 }] }]],
+    ['dead hang 1:30', [{ name: 'dead hang', sets: [{ duration: 90 }] }]],
+    ['wall sit 2 min', [{ name: 'wall sit', sets: [{ duration: 120 }] }]],
+    ['l-sit 3x20 sec', [{ name: 'l-sit', sets: [{ duration: 20, n: 3 }] }]],
+    ['plank for 90 seconds', [{ name: 'plank', sets: [{ duration: 90 }] }]],
+    ['side plank 2x30s each', [{ name: 'side plank', sets: [{ duration: 30, perSide: true, n: 2 }] }]],
+    ['plank 60s x 3', [{ name: 'plank', sets: [{ duration: 60, n: 3 }] }]],
+
+    // Dumbbells / per side
+    ['db row 2x12 70s', [{ name: 'db row', sets: [{ weight: 70, reps: 12, perSide: true, n: 2 }] }]],
+    ['db bench 60s 3x10', [{ name: 'db bench', sets: [{ weight: 60, reps: 10, perSide: true, n: 3 }] }]],
+    ['dumbbell curl 25s x 12', [{ name: 'dumbbell curl', sets: [{ weight: 25, reps: 12, perSide: true }] }]],
+    ['lunges 3x12 25 lbs each', [{ name: 'lunges', sets: [{ weight: 25, reps: 12, unit: 'lbs', perSide: true, n: 3 }] }]],
+    ['split squat 3x10 30s', [{ name: 'split squat', sets: [{ weight: 30, reps: 10, perSide: true, n: 3 }] }]],
+    ['db press 50s 3x10, 55s 2x8', [{ name: 'db press', sets: [{ weight: 50, reps: 10, perSide: true, n: 3 }, { weight: 55, reps: 8, perSide: true, n: 2 }] }]],
+    ['db curl 15kg ea 3x12', [{ name: 'db curl', sets: [{ weight: 15, reps: 12, unit: 'kg', perSide: true, n: 3 }] }]],
+    ['single arm row 80 per arm 3x10', [{ name: 'single arm row', sets: [{ weight: 80, reps: 10, perSide: true, n: 3 }] }]],
+    ['step ups 2x10 40/hand', [{ name: 'step ups', sets: [{ weight: 40, reps: 10, perSide: true, n: 2 }] }]],
+
+    // Names ending in x, and an x glued to one side only
+    ['box 20 x 10', [{ name: 'box', sets: [{ weight: 20, reps: 10 }] }]],
+    ['box jump 20 x 10', [{ name: 'box jump', sets: [{ weight: 20, reps: 10 }] }]],
+    ['box squat 135x5', [{ name: 'box squat', sets: [{ weight: 135, reps: 5 }] }]],
+    ['bench 135x 10', [{ name: 'bench', sets: [{ weight: 135, reps: 10 }] }]],
+    ['bench 135 x10', [{ name: 'bench', sets: [{ weight: 135, reps: 10 }] }]],
+
+    // Nothing to log
+    ['', []],
+    ['bench press', []],
+    ['3x10', []],
+    ['hello there', []]
+];
+
+function loadParser() {
+    const sandbox = { console: { log() {}, warn: console.warn, error: console.error } };
+    sandbox.window = sandbox;
+    vm.createContext(sandbox);
+    for (const file of SCRIPTS) {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), sandbox, { filename: file });
+    }
+    return sandbox.MacraExerciseParser;
+}
+
+function matches(actual, expected) {
+    const expectedSets = expected.sets.flatMap(({ n = 1, ...fields }) => Array(n).fill({ weight: 0, reps: 0, ...fields }));
+    return actual.name === expected.name &&
+        actual.sets.length === expectedSets.length &&
+        expectedSets.every((fields, i) => Object.keys(fields).every(key => actual.sets[i][key] === fields[key]));
+}
+
+const parser = loadParser();
+const failures = EXAMPLES
+    .map(([input, expected]) => ({ input, expected, actual: parser.parse(input) }))
+    .filter(({ expected, actual }) => actual.length !== expected.length || !expected.every((ex, i) => matches(actual[i], ex)));
+
+for (const { input, expected, actual } of failures) {
+    console.error(`✗ "${input}"`);
+    console.error(`    expected ${JSON.stringify(expected)}`);
+    console.error(`    got      ${JSON.stringify(actual)}`);
+}
+
+if (failures.length) {
+    console.error(`${failures.length}/${EXAMPLES.length} examples failed`);
+    process.exit(1);
+}
+console.log(`✓ All ${EXAMPLES.length} exercise parser examples pass`);
@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+/**
+ * MACRA TRAINING PROGRAM TESTS
+ * ══════════════════════════════════════════════════════════════
+ *
+ * Logs a session against a one-lift program and checks how
+ * MacraPrograms.recordSession() scores it and moves the training max.
+ * The modules are browser scripts, so they are loaded into a sandbox
+ * that stands in for window, with its own appData.
+ *
+ *     node tools/test-programs.js
+ *
+ * Exits non-zero when any case fails.
+ *
+ * @version 1.0.0
+ * @author MSG Headquarters / Aurelius Koda
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..');
+const SCRIPTS = ['macra-schema.js', 'macra-units.js', 'macra-exercises.js', 'macra-programs.js'];
+
+// Squat 3×5 at 100% of TM, +5 lbs per session, deload after 2 misses
+const PROGRAM = {
+    format: 'macra-program-v1',
+    id: 'test-squat',
+    name: 'Test Squat',
+    rounding: 5,
+    progression: { type: 'session', failureLimit: 2, deloadPercent: 90 },
+    lifts: { squat: { name: 'Squat', increment: 5 } },
+    weeks: [{ days: [{ exercises: [{ lift: 'squat', sets: [{ percent: 100, reps: 5 }, { percent: 100, reps: 5 }, { percent: 100, reps: 5 }] }] }] }]
+};
+
+// [description, logged squat sets (null = not logged), expected result, expected TM afterwards]
+// Every case enrolls fresh with a 200 lbs TM.
+const CASES = [
+    ['every set at the target', sets(3, 200, 5), 'hit', 205],
+    ['AMRAP-style extra reps', [...sets(2, 200, 5), { weight: 200, reps: 8 }], 'hit', 205],
+    ['one set short on reps', [...sets(2, 200, 5), { weight: 200, reps: 4 }], 'missed', 200],
+    ['reps hit at a lighter load', sets(3, 185, 5), 'missed', 200],
+    ['one set lighter than prescribed', [...sets(2, 200, 5), { weight: 195, reps: 5 }], 'missed', 200],
+    ['heavier than prescribed', sets(3, 205, 5), 'hit', 205],
+    ['the same load logged in kg', sets(3, 90.7, 5, 'kg'), 'hit', 205],
+    ['warmups ignored', [{ weight: 95, reps: 5, set_type: 'warmup' }, ...sets(3, 200, 5)], 'hit', 205],
+    ['fewer sets than prescribed', sets(2, 200, 5), 'missed', 200],
+    ['not logged', null, 'skipped', 200]
+];
+
+function sets(count, weight, reps, unit = 'lbs') {
+    return Array.from({ length: count }, () => ({ weight, reps, unit, set_type: 'normal' }));
+}
+
+function loadPrograms() {
+    const sandbox = {
+        console: { log() {}, warn: console.warn, error: console.error },
+        appData: { activities: {}, prs: {}, profile: {}, customPrograms: [] },
+        saveData() {}
+    };
+    sandbox.window = sandbox;
+    vm.createContext(sandbox);
+    for (const file of SCRIPTS) {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), sandbox, { filename: file });
+    }
+    sandbox.MacraPrograms.importProgram(PROGRAM);
+    return sandbox.MacraPrograms;
+}
+
+const programs = loadPrograms();
+const failures = CASES.filter(([description, logged, expected, expectedTM]) => {
+    const state = programs.enroll(PROGRAM.id, { squat: 200 }, 'lbs');
+    const exercises = logged ? [{ name: 'Squat', sets: logged }] : [];
+    const { results } = programs.recordSession(exercises, { programId: PROGRAM.id, cycle: 1, week: 0, day: 0 });
+    const result = results.squat;
+    const tm = state.trainingMaxes.squat;
+    if (result === expected && tm === expectedTM) return false;
+    console.error(`✗ ${description}: expected ${expected} (TM ${expectedTM}), got ${result} (TM ${tm})`);
+    return true;
+});
+
+if (failures.length) {
+    console.error(`${failures.length}/${CASES.length} program cases failed`);
+    process.exit(1);
+}
+console.log(`✓ All ${CASES.length} training program cases pass`);